@@ -0,0 +1,40 @@
+"use strict";
+
+// Measures the gain of the trial division pre-filter on the range of the original speed_test:
+// the 10^5 integers from 10^10, through primalityTestNumber() and the plain and Montgomery BigInt paths.
+// Usage: node bench/prefilter.js [limit...]
+
+const { primalityTestNumber, primalityTestBigint } = require("../isPrime.js")
+
+const N_START = 10 ** 10
+const N_STEPS = 10 ** 5
+const LIMITS = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [0, 16, 32, 64, 128, 256, 1024]
+
+const PATHS = {
+  number: trialDivision => {
+    for (let i = N_START; i < N_START + N_STEPS; i++) primalityTestNumber(i, { trialDivision })
+  },
+  bigint: trialDivision => {
+    for (let i = BigInt(N_START); i < BigInt(N_START + N_STEPS); i++) {
+      primalityTestBigint(i, { trialDivision, useMontgomery: false })
+    }
+  },
+  montgomery: trialDivision => {
+    for (let i = BigInt(N_START); i < BigInt(N_START + N_STEPS); i++) {
+      primalityTestBigint(i, { trialDivision, useMontgomery: true })
+    }
+  },
+}
+
+for (const [name, run] of Object.entries(PATHS)) {
+  run(0) // Warm up
+  let baseline
+  for (const limit of LIMITS) {
+    const timer = Date.now()
+    run(limit)
+    const elapsed = (Date.now() - timer) / 1000
+    if (baseline === undefined) baseline = elapsed
+    const speedup = (baseline / elapsed).toFixed(2)
+    console.log(`${name.padEnd(10)} trialDivision=${String(limit).padEnd(5)} ${elapsed.toFixed(3)}s  (${speedup}x)`)
+  }
+}
@@ -0,0 +1,167 @@
+"use strict";
+
+// Measures the throughput of primalityTestNumber() and of the plain and Montgomery BigInt paths of primalityTestBigint()
+// per bit-size bucket, compares it against a saved baseline, and reports the bit size from which Montgomery reduction wins.
+// Every bucket tests the same seeded random primes on every run (primes are the worst case: they go through every round).
+// Usage: node bench/run.js [--quick] [--out results.json] [--baseline baseline.json] [--save baseline.json] [--threshold 0.1]
+//   --quick      Shorter samples, for a rough idea
+//   --out        Writes the results as JSON
+//   --baseline   Compares against saved results, and exits with 1 if any bucket regressed by more than the threshold
+//   --save       Saves the results as the new baseline
+//   --threshold  The relative slowdown flagged as a regression, 0.1 (10%) by default
+
+const fs = require("fs")
+const os = require("os")
+const { primalityTestNumber, primalityTestBigint, randomPrime } = require("../isPrime.js")
+
+// Mirrors LOWER_LIMIT_MONTGOMMERY in isPrime.js, above which useMontgomery defaults to true until calibrate() is called
+const CURRENT_CROSSOVER = 10n ** 30n
+
+const NUMBER_BITS = [16, 24, 32, 40, 48, 53]
+const BIGINT_BITS = [64, 80, 96, 112, 128, 160, 192, 256, 384, 512, 768, 1024]
+const PRIMES_PER_BUCKET = 32
+const SAMPLES = 5
+
+const PATHS = {
+  number: { bits: NUMBER_BITS, run: n => primalityTestNumber(n) },
+  bigint: { bits: BIGINT_BITS, run: n => primalityTestBigint(n, { useMontgomery: false, seed: 1 }) },
+  montgomery: { bits: BIGINT_BITS, run: n => primalityTestBigint(n, { useMontgomery: true, seed: 1 }) },
+}
+
+/**
+ * Reads the command-line options.
+ * @param {string[]} args
+ * @returns {{ quick: boolean, out?: string, baseline?: string, save?: string, threshold: number }}
+ */
+function parseArgs(args) {
+  const options = { quick: false, threshold: 0.1 }
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === "--quick") options.quick = true
+    else if (arg === "--out" || arg === "--baseline" || arg === "--save") options[arg.slice(2)] = args[++i]
+    else if (arg === "--threshold") options.threshold = Number(args[++i])
+    else throw new Error(`unknown argument ${arg}`)
+  }
+  if (!(options.threshold > 0 && options.threshold < 1)) throw new Error(`invalid --threshold (must be in (0, 1))`)
+  return options
+}
+
+/**
+ * Measures how many tests per second `run` completes on `inputs`, as the median of several samples.
+ * @param {(n: number | bigint) => boolean} run
+ * @param {Array<number | bigint>} inputs
+ * @param {number} sampleTime The minimum duration of a sample, in milliseconds
+ * @returns {number} Tests per second
+ */
+function measure(run, inputs, sampleTime) {
+  for (const n of inputs) run(n) // Warm up
+  const rates = []
+  for (let sample = 0; sample < SAMPLES; sample++) {
+    let count = 0
+    const start = process.hrtime.bigint()
+    let elapsed = 0
+    while (elapsed < sampleTime) {
+      for (const n of inputs) run(n)
+      count += inputs.length
+      elapsed = Number(process.hrtime.bigint() - start) / 1e6
+    }
+    rates.push(count / (elapsed / 1000))
+  }
+  rates.sort((a, b) => a - b)
+  return rates[Math.floor(SAMPLES / 2)]
+}
+
+/**
+ * Finds the Montgomery crossover minimizing the total time over the BigInt buckets, i.e. the bit size from which
+ * useMontgomery should default to true. Unlike the first bucket where Montgomery wins, it is robust to noisy buckets.
+ * @param {Array<{ path: string, bits: number, opsPerSec: number }>} results
+ * @returns {number | null} The bit size, or null if the plain path alone is fastest
+ */
+function findCrossover(results) {
+  const time = (path, bits) => 1 / results.find(result => result.path === path && result.bits === bits).opsPerSec
+  let best = { crossover: null, total: Infinity }
+  for (let i = 0; i <= BIGINT_BITS.length; i++) {
+    // Plain below BIGINT_BITS[i], Montgomery from it on (i = BIGINT_BITS.length means never)
+    let total = 0
+    BIGINT_BITS.forEach((bits, j) => {
+      total += time(j < i ? "bigint" : "montgomery", bits)
+    })
+    if (total < best.total) best = { crossover: i < BIGINT_BITS.length ? BIGINT_BITS[i] : null, total }
+  }
+  return best.crossover
+}
+
+/**
+ * Compares the results with a baseline, printing the change of every bucket.
+ * @param {Array<{ path: string, bits: number, opsPerSec: number }>} results
+ * @param {{ results: Array<{ path: string, bits: number, opsPerSec: number }> }} baseline
+ * @param {number} threshold The relative slowdown flagged as a regression
+ * @returns {number} The number of regressions
+ */
+function compare(results, baseline, threshold) {
+  let regressions = 0
+  console.log(`\nCompared with the baseline (threshold ${(threshold * 100).toFixed(0)}%):`)
+  for (const { path, bits, opsPerSec } of results) {
+    const previous = baseline.results.find(result => result.path === path && result.bits === bits)
+    if (!previous) continue
+    const change = opsPerSec / previous.opsPerSec - 1
+    let flag = ""
+    if (change < -threshold) {
+      flag = "  REGRESSION"
+      regressions++
+    } else if (change > threshold) {
+      flag = "  improvement"
+    }
+    const sign = change >= 0 ? "+" : ""
+    console.log(`${path.padEnd(10)} ${String(bits).padStart(4)} bits  ${sign}${(change * 100).toFixed(1)}%${flag}`)
+  }
+  return regressions
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const sampleTime = options.quick ? 20 : 200
+  const results = []
+
+  for (const [path, { bits: bitSizes, run }] of Object.entries(PATHS)) {
+    for (const bits of bitSizes) {
+      const primes = Array.from({ length: PRIMES_PER_BUCKET }, (_, i) => randomPrime(bits, { seed: `bench-${bits}-${i}` }))
+      const inputs = path === "number" ? primes.map(Number) : primes
+      const opsPerSec = measure(run, inputs, sampleTime)
+      results.push({ path, bits, opsPerSec: Math.round(opsPerSec) })
+      console.log(`${path.padEnd(10)} ${String(bits).padStart(4)} bits  ${Math.round(opsPerSec).toLocaleString("en-US").padStart(10)} tests/s`)
+    }
+  }
+
+  const crossover = findCrossover(results)
+  const currentBits = CURRENT_CROSSOVER.toString(2).length
+  console.log(crossover === null
+    ? `\nThe plain path is fastest at every size here, while Montgomery is used from ${currentBits} bits (LOWER_LIMIT_MONTGOMMERY)`
+    : `\nThe optimal Montgomery crossover is ${crossover} bits here, while it is used from ${currentBits} bits (LOWER_LIMIT_MONTGOMMERY)`)
+
+  const report = {
+    date: new Date().toISOString(),
+    node: process.version,
+    platform: `${os.platform()} ${os.arch()}`,
+    cpu: os.cpus().length > 0 ? os.cpus()[0].model : "unknown",
+    quick: options.quick,
+    results,
+    montgomeryCrossoverBits: crossover,
+  }
+  if (options.out) fs.writeFileSync(options.out, JSON.stringify(report, null, 2) + "\n")
+  if (options.save) fs.writeFileSync(options.save, JSON.stringify(report, null, 2) + "\n")
+
+  if (options.baseline) {
+    if (!fs.existsSync(options.baseline)) {
+      console.log(`\nNo baseline at ${options.baseline} yet; save one with --save ${options.baseline}`)
+      return
+    }
+    const regressions = compare(results, JSON.parse(fs.readFileSync(options.baseline, "utf8")), options.threshold)
+    if (regressions > 0) {
+      console.log(`\n${regressions} regression(s)`)
+      process.exitCode = 1
+    }
+  }
+}
+
+main()
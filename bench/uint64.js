@@ -0,0 +1,45 @@
+"use strict";
+
+// Compares the 64-bit engine that primalityTest() uses between Number.MAX_SAFE_INTEGER and 2^64
+// with the plain and Montgomery BigInt paths of primalityTestBigint(), which served that range before.
+// For each bit size, it times the primes just above 2^(bits-1) (which run all seven bases) and a run of consecutive integers.
+// Usage: node bench/uint64.js [bits...]
+
+const { primalityTest, primalityTestBigint, nextPrime } = require("../isPrime.js")
+
+const BITS = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [54, 56, 60, 62, 64]
+const N_PRIMES = 200
+const N_STEPS = 10 ** 4
+
+const PATHS = {
+  uint64: n => primalityTest(n),
+  bigint: n => primalityTestBigint(n, { useMontgomery: false }),
+  montgomery: n => primalityTestBigint(n, { useMontgomery: true }),
+}
+
+/**
+ * Times `run` on every input, returning the average time per input in microseconds.
+ * @param {(n: bigint) => boolean} run
+ * @param {bigint[]} inputs
+ * @returns {number}
+ */
+function time(run, inputs) {
+  for (const n of inputs) run(n) // Warm up
+  const timer = process.hrtime.bigint()
+  for (const n of inputs) run(n)
+  return Number(process.hrtime.bigint() - timer) / 1000 / inputs.length
+}
+
+for (const bits of BITS) {
+  const low = 2n ** BigInt(bits - 1)
+  const primes = [nextPrime(low)]
+  while (primes.length < N_PRIMES) primes.push(nextPrime(primes[primes.length - 1]))
+  const range = Array.from({ length: N_STEPS }, (_, i) => low + BigInt(i))
+
+  for (const [label, inputs] of [["primes", primes], ["range", range]]) {
+    const timings = Object.entries(PATHS).map(([name, run]) => [name, time(run, inputs)])
+    const fastest = timings[0][1]
+    const columns = timings.map(([name, us]) => `${name} ${us.toFixed(2)}us (${(us / fastest).toFixed(2)}x)`)
+    console.log(`${String(bits).padStart(2)} bits ${label.padEnd(6)}  ${columns.join("  ")}`)
+  }
+}
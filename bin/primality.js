@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+"use strict";
+
+// Command-line interface to isPrime.js. Run `primality --help` for usage.
+
+const readline = require("readline")
+const { primalityTest, nextPrime, prevPrime, primesInRange, factorize, randomPrime, FactorizationBudgetError } = require("../isPrime.js")
+
+const USAGE = `Usage: primality <command> [options] [arguments]
+
+Commands:
+  test [n...]        Test each number for primality; exits with 1 if any is composite
+  next [n...]        Print the smallest prime after each number
+  prev [n...]        Print the largest prime before each number
+  range <a> <b>      Print the primes in [a, b]
+  factor [n...]      Print the prime factorization of each number
+  bench [bits...]    Time primality tests of random primes of the given bit lengths
+
+Numbers may be decimal, or hexadecimal, octal or binary with a 0x, 0o or 0b prefix.
+When test, next, prev or factor get no numbers, they read them from stdin, one per line.
+
+Options:
+  --rounds <k>          Number of random Miller-Rabin bases (numRounds)
+  --bases <b,...>       Comma-separated Miller-Rabin bases (bases)
+  --montgomery          Force Montgomery reduction (useMontgomery)
+  --no-montgomery       Disable Montgomery reduction
+  --seed <seed>         Seed of the random bases, for reproducible results (seed)
+  --method <method>     "miller-rabin" or "bpsw" (method)
+  --max-iterations <k>  Pollard rho iterations factor may spend on each number (maxIterations)
+  --time-limit <ms>     Time factor may spend on each number, in milliseconds (timeLimit)
+  --json                Print one JSON object per line instead of plain text
+  -h, --help            Print this help
+
+Exit codes: 0 on success, 1 if a tested number is composite, 2 on invalid usage or input, or if factor runs out of budget.`
+
+const DEFAULT_BENCH_BITS = [64, 128, 256, 512, 1024, 2048]
+const BENCH_PRIMES = 50
+
+/** The error for invalid command lines, reported with the usage hint and exit code 2. */
+class UsageError extends Error {}
+
+/**
+ * Parses the command-line arguments.
+ *
+ * @param {string[]} args The arguments, without the node executable and script path
+ * @returns {{ command: string | undefined, operands: string[], options: Object, json: boolean, help: boolean }}
+ */
+function parseArgs(args) {
+  const options = {}
+  const operands = []
+  let json = false
+  let help = false
+  let onlyOperands = false
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    // Negative numbers are operands, not options
+    if (onlyOperands || !arg.startsWith("-") || /^-\d/.test(arg)) {
+      operands.push(arg)
+      continue
+    }
+    if (arg === "--") {
+      onlyOperands = true
+      continue
+    }
+
+    const [name, inlineValue] = arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg, undefined]
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue
+      if (i + 1 >= args.length) throw new UsageError(`option ${name} requires a value`)
+      return args[++i]
+    }
+    switch (name) {
+      case "--rounds": {
+        const rounds = Number(value())
+        if (!Number.isInteger(rounds) || rounds < 1) throw new UsageError(`invalid --rounds (must be a positive integer)`)
+        options.numRounds = rounds
+        break
+      }
+      case "--bases":
+        options.bases = value().split(",").filter(base => base !== "")
+        break
+      case "--montgomery":
+        options.useMontgomery = true
+        break
+      case "--no-montgomery":
+        options.useMontgomery = false
+        break
+      case "--seed":
+        options.seed = value()
+        break
+      case "--method":
+        options.method = value()
+        break
+      case "--max-iterations": {
+        const maxIterations = Number(value())
+        if (!Number.isSafeInteger(maxIterations) || maxIterations < 1) {
+          throw new UsageError(`invalid --max-iterations (must be a positive integer)`)
+        }
+        options.maxIterations = maxIterations
+        break
+      }
+      case "--time-limit": {
+        const timeLimit = Number(value())
+        if (!(timeLimit > 0)) throw new UsageError(`invalid --time-limit (must be a positive number of milliseconds)`)
+        options.timeLimit = timeLimit
+        break
+      }
+      case "--json":
+        json = true
+        break
+      case "-h":
+      case "--help":
+        help = true
+        break
+      default:
+        throw new UsageError(`unknown option ${name}`)
+    }
+  }
+
+  return { command: operands.shift(), operands, options, json, help }
+}
+
+/**
+ * Yields the numbers given as operands, or else the non-empty lines of stdin.
+ *
+ * @param {string[]} operands The command-line operands
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readNumbers(operands) {
+  if (operands.length > 0) {
+    yield* operands
+    return
+  }
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity })
+  for await (const line of lines) {
+    const trimmed = line.trim()
+    if (trimmed !== "") yield trimmed
+  }
+}
+
+/**
+ * Whether `err` is about a single number, to be reported without stopping: an invalid input, or a factorization that
+ * ran out of budget.
+ *
+ * @param {unknown} err The error
+ * @returns {boolean}
+ */
+function isNumberError(err) {
+  return err instanceof TypeError || err instanceof RangeError || err instanceof FactorizationBudgetError
+}
+
+/**
+ * Runs `run` on every number of `operands` (or stdin), printing its output, and reporting invalid numbers (or numbers
+ * that could not be factored within the budget) without stopping.
+ *
+ * @param {string[]} operands The command-line operands
+ * @param {boolean} json Whether to print JSON lines
+ * @param {(n: string) => { text: string, record: Object, ok?: boolean }} run Processes a single number
+ * @returns {Promise<number>} The exit code: 2 if a number was invalid or out of budget, else 1 if `run` reported a failure, else 0
+ */
+async function forEachNumber(operands, json, run) {
+  let exitCode = 0
+  for await (const n of readNumbers(operands)) {
+    let result
+    try {
+      result = run(n)
+    } catch (err) {
+      if (!isNumberError(err)) throw err
+      printError(json, n, err)
+      exitCode = 2
+      continue
+    }
+    console.log(json ? JSON.stringify(result.record) : result.text)
+    if (result.ok === false && exitCode === 0) exitCode = 1
+  }
+  return exitCode
+}
+
+/**
+ * Reports an input that caused an error on stderr, or on stdout as a JSON line.
+ *
+ * @param {boolean} json Whether to print JSON lines
+ * @param {string} n The input
+ * @param {Error} err The error it caused
+ */
+function printError(json, n, err) {
+  if (json) console.log(JSON.stringify({ n, error: err.message }))
+  else console.error(`primality: ${err.message}`)
+}
+
+/**
+ * Times primalityTest() on random primes of each bit length (the worst case, which runs every round).
+ *
+ * @param {string[]} operands The bit lengths
+ * @param {Object} options The primality test options
+ * @param {boolean} json Whether to print JSON lines
+ * @returns {number} The exit code
+ */
+function bench(operands, options, json) {
+  const bitLengths = operands.length > 0 ? operands.map(Number) : DEFAULT_BENCH_BITS
+  for (const bits of bitLengths) {
+    if (!Number.isInteger(bits) || bits < 2) throw new UsageError(`invalid bit length: ${bits}`)
+  }
+  for (const bits of bitLengths) {
+    const primes = Array.from({ length: BENCH_PRIMES }, (_, i) => randomPrime(bits, { seed: `bench-${bits}-${i}` }))
+    for (const p of primes) primalityTest(p, options) // Warm up
+    const timer = process.hrtime()
+    for (const p of primes) primalityTest(p, options)
+    const [seconds, nanoseconds] = process.hrtime(timer)
+    const microseconds = (seconds * 1e9 + nanoseconds) / 1000 / primes.length
+    const record = { bits, tests: primes.length, microseconds: Number(microseconds.toFixed(2)) }
+    console.log(json ? JSON.stringify(record) : `${String(bits).padStart(5)} bits: ${record.microseconds} us per test`)
+  }
+  return 0
+}
+
+/**
+ * Runs the command line, see USAGE.
+ *
+ * @param {string[]} args The arguments, without the node executable and script path
+ * @returns {Promise<number>} The exit code
+ */
+async function main(args) {
+  const { command, operands, options, json, help } = parseArgs(args)
+  if (help || command === undefined) {
+    console.log(USAGE)
+    return help ? 0 : 2
+  }
+
+  switch (command) {
+    case "test":
+      return forEachNumber(operands, json, n => {
+        const prime = primalityTest(n, options)
+        return { text: `${n}: ${prime ? "prime" : "composite"}`, record: { n, prime }, ok: prime }
+      })
+    case "next":
+      return forEachNumber(operands, json, n => {
+        const next = String(nextPrime(n, options))
+        return { text: next, record: { n, next } }
+      })
+    case "prev":
+      return forEachNumber(operands, json, n => {
+        const prev = prevPrime(n, options)
+        return { text: prev === null ? "none" : String(prev), record: { n, prev: prev === null ? null : String(prev) } }
+      })
+    case "factor":
+      return forEachNumber(operands, json, n => {
+        const factors = factorize(n, options)
+        const expanded = factors.flatMap(([p, exponent]) => Array(exponent).fill(String(p)))
+        return { text: `${n}: ${expanded.join(" ")}`.trimEnd(), record: { n, factors: factors.map(([p, e]) => [String(p), e]) } }
+      })
+    case "range": {
+      if (operands.length !== 2) throw new UsageError(`range takes exactly two numbers`)
+      for (const p of primesInRange(operands[0], operands[1], options)) {
+        console.log(json ? JSON.stringify({ prime: String(p) }) : String(p))
+      }
+      return 0
+    }
+    case "bench":
+      return bench(operands, options, json)
+    default:
+      throw new UsageError(`unknown command ${command}`)
+  }
+}
+
+main(process.argv.slice(2)).then(
+  exitCode => {
+    process.exitCode = exitCode
+  },
+  err => {
+    if (!(err instanceof UsageError || isNumberError(err))) throw err
+    console.error(`primality: ${err.message}`)
+    if (err instanceof UsageError) console.error(`Run "primality --help" for usage.`)
+    process.exitCode = 2
+  }
+)
@@ -0,0 +1,4 @@
+export * from "./isPrime.js"
+
+declare const primality: typeof import("./isPrime.js")
+export default primality
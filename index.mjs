@@ -0,0 +1,45 @@
+// ESM entry point for Node.js. Re-exports the CommonJS module, so that both module systems share the same instance.
+import primality from "./isPrime.js"
+
+export const {
+  primalityTest,
+  primalityTestNumber,
+  primalityTestBigint,
+  primalityTestDetailed,
+  PrimalityResult,
+  createSeededRng,
+  bitLength,
+  getAdaptiveNumRounds,
+  getRequiredNumRounds,
+  getErrorBound,
+  setDefaultMethod,
+  calibrate,
+  nextPrime,
+  prevPrime,
+  primesInRange,
+  randomPrime,
+  factorize,
+  FactorizationBudgetError,
+  PrimalityInputError,
+  primalityTestBatch,
+  provePrime,
+  verifyCertificate,
+  createPrimalityCache,
+  primalityTestAsync,
+  primalityTestSpecialForm,
+  isBackendAvailable,
+  modPow,
+  modInverse,
+  gcd,
+  lcm,
+  jacobi,
+  sqrt,
+  nthRoot,
+  isPerfectPower,
+  modSqrt,
+  primeCount,
+  nthPrime,
+  createPrimeDistanceIndex,
+} = primality
+
+export default primality
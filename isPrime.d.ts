@@ -0,0 +1,360 @@
+/**
+ * Anything that can be read as an integer: a bigint, a safe integer number, or a decimal, hexadecimal (0x), octal (0o)
+ * or binary (0b) integer string, with an optional sign and underscores between digits.
+ */
+export type BigIntResolvable = bigint | number | string
+
+/** Options accepted by primalityTest(), primalityTestBigint() and primalityTestDetailed(). */
+export interface PrimalityTestOptions {
+  /** The number of random bases to test against. Derived from the error target or chosen by getAdaptiveNumRounds() if omitted. */
+  numRounds?: number
+  /** The bases to test against instead of random ones, each in [2, n-2]. Overrides `numRounds`. */
+  bases?: BigIntResolvable[]
+  /** Whether to look for a divisor of `n` where this is easily possible. Defaults to `true`. */
+  findDivisor?: boolean
+  /** Whether to use Montgomery reduction. Chosen automatically if undefined (recommended). */
+  useMontgomery?: boolean
+  /** Seed of the built-in deterministic RNG that picks the random bases. */
+  seed?: BigIntResolvable
+  /** A `Math.random()`-like function to draw the random bases from. Takes precedence over `seed`. */
+  rng?: () => number
+  /** The bound up to which primes are tried as divisors before any Miller-Rabin round; 0 or false to skip. Defaults to 256. */
+  trialDivision?: number | boolean
+  /** The primality test to run on bigints. Defaults to "miller-rabin", see setDefaultMethod(). */
+  method?: PrimalityTestMethod
+  /** The target error probability in (0, 1), from which the number of random bases is derived. */
+  errorProbability?: number
+  /** The target error probability as a number of bits, i.e. 2^-securityBits. Exclusive with `errorProbability`. */
+  securityBits?: number
+  /** Whether to meet the target with the worst-case bound 4^-k rather than the average-case one. Defaults to `false`. */
+  adversarial?: boolean
+  /** Whether to run the deterministic test specific to numbers of the form k*2^m±1 above 2^64. Defaults to `false`. */
+  specialForm?: boolean
+  /** Whether to run the Miller-Rabin rounds on BigInts or in WebAssembly, falling back on BigInts. Defaults to `"bigint"`. */
+  backend?: "wasm" | "bigint"
+}
+
+/** A target error probability for getRequiredNumRounds(), see PrimalityTestOptions. */
+export interface ErrorTarget {
+  errorProbability?: number
+  securityBits?: number
+  adversarial?: boolean
+}
+
+/** The primality tests available for bigints: random-base Miller-Rabin or the deterministic Baillie-PSW test. */
+export type PrimalityTestMethod = "miller-rabin" | "bpsw"
+
+/** Options accepted by randomPrime(), on top of the primality test options passed along to primalityTestBigint(). */
+export interface RandomPrimeOptions extends PrimalityTestOptions {
+  /** Whether to generate a safe prime p, where (p-1)/2 is an odd prime as well. */
+  safe?: boolean
+  /** The residue the prime must be congruent to, modulo `modulus`. Must be coprime to it. */
+  residue?: BigIntResolvable
+  /** The modulus of the congruence on the prime. */
+  modulus?: BigIntResolvable
+}
+
+/** Options accepted by factorize(), on top of the primality test options passed along to primalityTest(). */
+export interface FactorizeOptions extends PrimalityTestOptions {
+  /** The maximum number of Pollard rho iterations, over all cofactors. Defaults to 10^7. */
+  maxIterations?: number
+  /** The maximum running time, in milliseconds. Unlimited by default. */
+  timeLimit?: number
+}
+
+/** Options accepted by primalityTestBatch(), on top of the primality test options passed along to primalityTest(). */
+export interface BatchOptions extends PrimalityTestOptions {
+  /** A signal cancelling the batch: the workers are terminated and the promise rejects with the abort reason. */
+  signal?: AbortSignal
+  /** The number of workers. Defaults to the number of logical processors. */
+  concurrency?: number
+  /** The number of inputs sent to a worker at once. */
+  chunkSize?: number
+  /** The URL of a classic script version of this file, for Web Workers to load. */
+  workerUrl?: string | URL
+}
+
+/** A machine-checkable proof that `n` is prime, see provePrime(). All numbers are decimal strings. */
+export interface PrimalityCertificate {
+  /** The kind of proof */
+  type: "small" | "pratt" | "pocklington" | "bls"
+  /** The prime being certified */
+  n: string
+  /** The primitive root modulo `n` ("pratt" only) */
+  witness?: string
+  /** The certified prime factors of n-1 (all of them for "pratt"), with a witness each for "pocklington" and "bls" */
+  factors?: Array<{ prime: PrimalityCertificate; exponent: number; witness?: string }>
+}
+
+/** The constructor options of PrimalityResult. */
+export interface PrimalityResultOptions {
+  probablePrime: boolean
+  deterministic?: boolean
+  bases?: bigint[]
+  witness?: bigint | null
+  divisor?: bigint | null
+  errorBound?: number | null
+}
+
+/** The precomputed values needed to operate on numbers in Montgomery form modulo an odd `base`. */
+export interface MontgomeryReductionContext {
+  /** The odd modulus */
+  base: bigint
+  /** The bit length of `base` */
+  shift: bigint
+  /** The auxiliary modulus, `2^shift` */
+  r: bigint
+  /** `r - 1`, to reduce modulo `r` with a bitwise and */
+  mask: bigint
+  /** The inverse of `r` modulo `base` */
+  rInv: bigint
+  /** The inverse of `base` modulo `r` */
+  baseInv: bigint
+}
+
+/** A record class to hold the result of primality testing. */
+export class PrimalityResult {
+  constructor(options: PrimalityResultOptions)
+  /** Whether `n` passed every test, i.e. is a (probable) prime */
+  probablePrime: boolean
+  /** Whether the verdict is certain (always true for composites and below 2^64) */
+  deterministic: boolean
+  /** The Miller-Rabin bases that were tried, in order */
+  bases: bigint[]
+  /** The base that witnessed the compositeness of `n`, if any */
+  witness: bigint | null
+  /** A nontrivial divisor of `n`, if one was found */
+  divisor: bigint | null
+  /** An upper bound on the probability that `probablePrime` is wrong, or null if none is known */
+  errorBound: number | null
+}
+
+/** The error thrown when an input cannot be read as an integer (see BigIntResolvable). */
+export class PrimalityInputError extends TypeError {
+  constructor(message: string, input: unknown)
+  /** The offending input */
+  input: unknown
+}
+
+/**
+ * Runs Miller-Rabin primality tests on `n`, using the fast Number path below Number.MAX_SAFE_INTEGER
+ * and the BigInt path above it.
+ */
+export function primalityTest(n: BigIntResolvable, options?: PrimalityTestOptions | null): boolean
+
+/** Runs a deterministic Miller-Rabin primality test on a number below Number.MAX_SAFE_INTEGER. */
+export function primalityTestNumber(n: number, options?: Pick<PrimalityTestOptions, "trialDivision"> | null): boolean
+
+/** Runs Miller-Rabin primality tests on a bigint, deterministic below 2^64 and probabilistic above. */
+export function primalityTestBigint(n: bigint, options?: PrimalityTestOptions | null): boolean
+
+/** Runs Miller-Rabin primality tests on `n` and describes why it was accepted or rejected. */
+export function primalityTestDetailed(n: BigIntResolvable, options?: PrimalityTestOptions | null): PrimalityResult
+
+/** Creates a deterministic `Math.random()` replacement (xoshiro128**) from the given seed. */
+export function createSeededRng(seed: BigIntResolvable): () => number
+
+/** Calculates the length of `n` in bits. */
+export function bitLength(n: bigint): number
+
+/** Determines an appropriate number of Miller-Rabin rounds for an input of the given bit length. */
+export function getAdaptiveNumRounds(inputBits: number): number
+
+/** Determines the number of Miller-Rabin rounds with random bases needed to meet an error target on an input of the given bit length. */
+export function getRequiredNumRounds(inputBits: number, target: ErrorTarget): number
+
+/** Computes an upper bound on the error probability of `numRounds` random-base rounds, average-case unless `adversarial`. */
+export function getErrorBound(inputBits: number, numRounds: number, options?: { adversarial?: boolean }): number
+
+/** Sets the primality test that primalityTestBigint() runs when no `method` option is given. */
+export function setDefaultMethod(method: PrimalityTestMethod): void
+
+/** Options accepted by calibrate(). */
+export interface CalibrationOptions {
+  /** The bit sizes to time both paths at. Defaults to 64 through 2048 bits. */
+  bits?: number[]
+  /** The minimum duration of each measurement, in milliseconds. Defaults to 10. */
+  minTime?: number
+}
+
+/** The result of calibrate(). */
+export interface CalibrationResult {
+  /** The smallest n for which Montgomery reduction is now used by default, or null for never */
+  crossover: bigint | null
+  /** The time of a Miller-Rabin round on each path, in milliseconds, at each bit size */
+  timings: Array<{ bits: number; plain: number; montgomery: number }>
+}
+
+/** Measures the crossover between the plain and Montgomery paths on the running engine, and makes it the default. */
+export function calibrate(options?: CalibrationOptions | null): CalibrationResult
+
+/** Finds the smallest prime larger than `n`, as a number if `n` is a number and as a bigint otherwise. */
+export function nextPrime(n: number, options?: PrimalityTestOptions | null): number
+export function nextPrime(n: bigint | string, options?: PrimalityTestOptions | null): bigint
+
+/** Finds the largest prime smaller than `n`, or null if there is none. */
+export function prevPrime(n: number, options?: PrimalityTestOptions | null): number | null
+export function prevPrime(n: bigint | string, options?: PrimalityTestOptions | null): bigint | null
+
+/** Generates all the primes in [a, b], as numbers if both ends are numbers and as bigints otherwise. */
+export function primesInRange(a: number, b: number, options?: PrimalityTestOptions | null): Generator<number, void, undefined>
+export function primesInRange(a: BigIntResolvable, b: BigIntResolvable, options?: PrimalityTestOptions | null): Generator<bigint, void, undefined>
+
+/** Generates a random probable prime of exactly `bits` bits, reproducibly if a `seed` is given. */
+export function randomPrime(bits: number, options?: RandomPrimeOptions | null): bigint
+
+/** The error thrown by factorize() when its budget runs out before `n` is completely factored. */
+export class FactorizationBudgetError extends Error {
+  constructor(message: string, factors: Array<[bigint, number]>, remaining: bigint[])
+  /** The prime factors found so far, with their exponents */
+  factors: Array<[bigint, number]>
+  /** The composite cofactors that could not be factored */
+  remaining: bigint[]
+}
+
+/** Computes the prime factorization of `n` as `[prime, exponent]` pairs, in increasing order of the primes. */
+export function factorize(n: number, options?: FactorizeOptions | null): Array<[number, number]>
+export function factorize(n: bigint | string, options?: FactorizeOptions | null): Array<[bigint, number]>
+
+/** Runs primalityTest() on every input, spread over a pool of worker threads, and resolves to the results in input order. */
+export function primalityTestBatch(inputs: Iterable<BigIntResolvable>, options?: BatchOptions | null): Promise<boolean[]>
+
+/** Produces a certificate proving that `n` is prime, from a (partial) factorization of n-1. */
+export function provePrime(n: BigIntResolvable, options?: FactorizeOptions | null): PrimalityCertificate
+
+/** Checks a primality certificate (or its JSON string) using nothing but modular exponentiation and gcds. */
+export function verifyCertificate(cert: PrimalityCertificate | string): boolean
+
+/** Options accepted by createPrimalityCache(). */
+export interface PrimalityCacheOptions {
+  /** The number of results kept, beyond which the least recently used one is evicted. Defaults to 10000. */
+  maxEntries?: number
+}
+
+/** The statistics of a primality cache. */
+export interface PrimalityCacheStats {
+  /** The number of calls answered from the cache */
+  hits: number
+  /** The number of calls that ran primalityTest(), including those whose result could not be cached */
+  misses: number
+  /** The number of results evicted to make room for newer ones */
+  evictions: number
+  /** The number of results currently cached */
+  size: number
+  /** The capacity of the cache */
+  maxEntries: number
+}
+
+/** A drop-in replacement for primalityTest() that remembers its reproducible results. */
+export interface PrimalityCache {
+  (n: BigIntResolvable, options?: PrimalityTestOptions | null): boolean
+  /** Returns the hit and miss counts */
+  stats(): PrimalityCacheStats
+  /** Empties the cache and resets the counts */
+  clear(): void
+}
+
+/** Creates a memoizing wrapper around primalityTest() with LRU eviction, see PrimalityCache. */
+export function createPrimalityCache(options?: PrimalityCacheOptions | null): PrimalityCache
+
+/** The progress of primalityTestAsync(), reported after every round. */
+export interface PrimalityProgress {
+  /** The number of rounds passed so far */
+  round: number
+  /** The number of rounds `n` must pass to be declared a probable prime */
+  numRounds: number
+}
+
+/** Options accepted by primalityTestAsync(), on top of the primality test options. */
+export interface PrimalityTestAsyncOptions extends PrimalityTestOptions {
+  /** A signal cancelling the test, which then rejects with the abort reason. */
+  signal?: AbortSignal
+  /** Called after every round that `n` passes. */
+  onProgress?: (progress: PrimalityProgress) => void
+  /** The longest time, in milliseconds, to compute without yielding to the event loop. Defaults to 10. */
+  yieldEvery?: number
+}
+
+/** Tests `n` like primalityTest(), yielding to the event loop regularly so that large inputs can be cancelled. */
+export function primalityTestAsync(n: BigIntResolvable, options?: PrimalityTestAsyncOptions | null): Promise<boolean>
+
+/**
+ * Tests a number of the form k*2^m+1 or k*2^m-1 (with k odd and k < 2^m) deterministically, with the Lucas-Lehmer,
+ * Pepin, Proth or Lucas-Lehmer-Riesel test. Throws a RangeError for other numbers.
+ */
+export function primalityTestSpecialForm(n: BigIntResolvable): boolean
+
+/** Tells whether the given `backend` option can run on this javascript engine. */
+export function isBackendAvailable(backend: "wasm" | "bigint"): boolean
+
+/** Computes (base ^ exponent) mod modulus, as a number if all the inputs are numbers and as a bigint otherwise. */
+export function modPow(base: number, exponent: number, modulus: number): number
+export function modPow(base: BigIntResolvable, exponent: BigIntResolvable, modulus: BigIntResolvable): bigint
+
+/** Computes the inverse of `a` modulo `m` in [0, m), or throws a RangeError if there is none. */
+export function modInverse(a: number, m: number): number
+export function modInverse(a: BigIntResolvable, m: BigIntResolvable): bigint
+
+/** Calculates the (non-negative) greatest common divisor of `a` and `b`. */
+export function gcd(a: number, b: number): number
+export function gcd(a: BigIntResolvable, b: BigIntResolvable): bigint
+
+/** Calculates the (non-negative) least common multiple of `a` and `b`. */
+export function lcm(a: number, b: number): number
+export function lcm(a: BigIntResolvable, b: BigIntResolvable): bigint
+
+/** Calculates the Jacobi symbol (a/n) for a positive odd `n`. */
+export function jacobi(a: BigIntResolvable, n: BigIntResolvable): -1 | 0 | 1
+
+/** Calculates the integer square root floor(sqrt(n)) of a non-negative `n`. */
+export function sqrt(n: number): number
+export function sqrt(n: bigint | string): bigint
+
+/** Calculates the integer `k`-th root floor(n^(1/k)) of a non-negative `n`. */
+export function nthRoot(n: number, k: BigIntResolvable): number
+export function nthRoot(n: bigint | string, k: BigIntResolvable): bigint
+
+/** Checks whether `n` is m^k for some integers m and k of at least 2. */
+export function isPerfectPower(n: BigIntResolvable): boolean
+
+/** Finds the smaller square root of `a` modulo the prime `p`, or null if `a` is not a quadratic residue. */
+export function modSqrt(a: number, p: number): number | null
+export function modSqrt(a: BigIntResolvable, p: BigIntResolvable): bigint | null
+
+/** Counts the primes up to `x` (at most 10^14), as a number if `x` is a number and as a bigint otherwise. */
+export function primeCount(x: number): number
+export function primeCount(x: bigint | string): bigint
+
+/** Finds the `n`-th prime, counting from 2 as the first one, as a number if `n` is a number and as a bigint otherwise. */
+export function nthPrime(n: number): number
+export function nthPrime(n: bigint | string): bigint
+
+/** Options accepted by createPrimeDistanceIndex(). */
+export interface PrimeDistanceIndexOptions {
+  /** The largest distance reported, e.g. the size of the board. Defaults to Infinity, for open-ended rays. */
+  maxDistance?: BigIntResolvable
+  /** The bound below which distances are sieved rather than tested one by one, at most 2^28. Defaults to 2^20. */
+  sieveLimit?: number
+  /** Seed of the random bases testing distances above 2^64, which every client must share. Defaults to "huygen". */
+  seed?: BigIntResolvable
+}
+
+/** The prime distances up to some bound. Every method returns numbers for number arguments and bigints otherwise. */
+export interface PrimeDistanceIndex {
+  /** Whether `d` is prime, whatever the bound */
+  isPrimeDistance(d: BigIntResolvable): boolean
+  /** The prime distances in [a, b], in increasing order */
+  primeDistances(a: number, b: number): number[]
+  primeDistances(a: BigIntResolvable, b: BigIntResolvable): bigint[]
+  /** The smallest prime distance at least `d`, or null if there is none up to the bound */
+  nextPrimeDistance(d: number): number | null
+  nextPrimeDistance(d: bigint | string): bigint | null
+  /** The prime distances from `d` on, in increasing order, e.g. along an open-ended ray */
+  primeDistancesFrom(d: number): Generator<number, void, undefined>
+  primeDistancesFrom(d: bigint | string): Generator<bigint, void, undefined>
+  /** Raises the bound, as the board grows. Throws a RangeError if it would be lowered. */
+  extend(maxDistance: BigIntResolvable): PrimeDistanceIndex
+}
+
+/** Creates an index answering which distances are prime, identically on every client sharing the seed. */
+export function createPrimeDistanceIndex(options?: PrimeDistanceIndexOptions | null): PrimeDistanceIndex
@@ -25,13 +25,247 @@ SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 
 // Note to myself, Naviary: ----------------------------------------------------------------------
 // Anything above 341550071728321 has an extremely low probability of returning false positives.
-// As long as both players use the same seeded RNG, then this will never break games if one
-// player's Huygen has different legal moves than the others.
+// As long as both players use the same seeded RNG (pass the same `seed` option), then this will never
+// break games if one player's Huygen has different legal moves than the others.
 // The chance of false positives can further be reduced by modifying getAdaptiveNumRounds() to do more checks.
 // -----------------------------------------------------------------------------------------------
 
 "use strict";
 
+/**
+ * Anything that can be read as an integer: a bigint, a safe integer number, or a decimal, hexadecimal (0x), octal (0o)
+ * or binary (0b) integer string, with an optional sign and underscores between digits. See normalizeInteger().
+ * @typedef {bigint | number | string} BigIntResolvable
+ */
+
+/**
+ * Options accepted by primalityTest(), primalityTestBigint() and primalityTestDetailed().
+ * See primalityTestBigint() for a description of each option.
+ * @typedef {Object} PrimalityTestOptions
+ * @property {number} [numRounds] The number of random bases to test against
+ * @property {BigIntResolvable[]} [bases] The bases to test against, instead of random ones
+ * @property {boolean} [findDivisor=true] Whether to look for a divisor of `n` where this is easily possible
+ * @property {boolean} [useMontgomery] Whether to use Montgomery reduction; chosen automatically if undefined
+ * @property {BigIntResolvable} [seed] Seed of the deterministic RNG that picks the random bases
+ * @property {() => number} [rng] A `Math.random()`-like function to draw the random bases from
+ * @property {number | boolean} [trialDivision] The bound up to which primes are tried as divisors first; 0 or false to skip
+ * @property {"miller-rabin" | "bpsw"} [method] The primality test to run on bigints; see setDefaultMethod()
+ * @property {number} [errorProbability] The target error probability, from which the number of random bases is derived
+ * @property {number} [securityBits] The target error probability as a number of bits, i.e. 2^-securityBits
+ * @property {boolean} [adversarial=false] Whether to target the worst-case error bound instead of the average-case one
+ * @property {boolean} [specialForm=false] Whether to run the test specific to numbers of the form k*2^m+1 or k*2^m-1 when
+ *   `n` has one of them, see primalityTestSpecialForm()
+ * @property {"wasm" | "bigint"} [backend="bigint"] Whether to run the Miller-Rabin rounds on BigInts or in WebAssembly
+ */
+
+/**
+ * The constructor options of PrimalityResult. See the class for a description of each field.
+ * @typedef {Object} PrimalityResultOptions
+ * @property {boolean} probablePrime
+ * @property {boolean} [deterministic=false]
+ * @property {bigint[]} [bases=[]]
+ * @property {bigint | null} [witness=null]
+ * @property {bigint | null} [divisor=null]
+ * @property {number | null} [errorBound=0]
+ */
+
+/**
+ * The precomputed values needed to operate on numbers in Montgomery form modulo an odd `base`.
+ * @typedef {Object} MontgomeryReductionContext
+ * @property {bigint} base The odd modulus
+ * @property {bigint} shift The bit length of `base`, as a bigint
+ * @property {bigint} r The auxiliary modulus, `2^shift`
+ * @property {bigint} mask `r - 1`, to reduce modulo `r` with a bitwise and
+ * @property {bigint} rInv The inverse of `r` modulo `base`
+ * @property {bigint} baseInv The inverse of `base` modulo `r`
+ */
+
+/**
+ * Options accepted by randomPrime(), on top of the PrimalityTestOptions passed along to primalityTestBigint().
+ * @typedef {PrimalityTestOptions & RandomPrimeConstraints} RandomPrimeOptions
+ */
+
+/**
+ * The constraints randomPrime() can put on the generated prime.
+ * @typedef {Object} RandomPrimeConstraints
+ * @property {boolean} [safe=false] Whether to generate a safe prime p, where (p-1)/2 is an odd prime as well
+ * @property {BigIntResolvable} [residue=0] The residue p must be congruent to, modulo `modulus`
+ * @property {BigIntResolvable} [modulus] The modulus of the congruence on p
+ */
+
+/**
+ * Options accepted by factorize(), on top of the PrimalityTestOptions passed along to primalityTest().
+ * @typedef {PrimalityTestOptions & FactorizeBudget} FactorizeOptions
+ */
+
+/**
+ * The budget of factorize().
+ * @typedef {Object} FactorizeBudget
+ * @property {number} [maxIterations=10^7] The maximum number of Pollard rho iterations
+ * @property {number} [timeLimit=Infinity] The maximum running time, in milliseconds
+ */
+
+/**
+ * Options accepted by primalityTestBatch(), on top of the PrimalityTestOptions passed along to primalityTest().
+ * @typedef {PrimalityTestOptions & BatchSettings} BatchOptions
+ */
+
+/**
+ * The settings of primalityTestBatch().
+ * @typedef {Object} BatchSettings
+ * @property {AbortSignal} [signal] A signal cancelling the batch
+ * @property {number} [concurrency] The number of workers, by default the number of logical processors
+ * @property {number} [chunkSize] The number of inputs sent to a worker at once
+ * @property {string} [workerUrl] The URL of a classic script version of this file, for Web Workers to load
+ */
+
+/**
+ * A worker of primalityTestBatch(), see createBatchWorker().
+ * @typedef {Object} BatchWorker
+ * @property {(message: Object) => void} postMessage Sends a chunk to the worker
+ * @property {(listener: (message: Object) => void) => void} onMessage Listens to the results of the worker
+ * @property {(listener: (error: Error) => void) => void} onError Listens to the errors of the worker
+ * @property {(listener: (code: number) => void) => void} onExit Listens to the exit of the worker, where it is reported
+ * @property {() => void} terminate Stops the worker
+ */
+
+/**
+ * A machine-checkable proof that `n` is prime, see provePrime(). All numbers are decimal strings.
+ * @typedef {Object} PrimalityCertificate
+ * @property {"small" | "pratt" | "pocklington" | "bls"} type The kind of proof
+ * @property {string} n The prime being certified
+ * @property {string} [witness] The primitive root modulo `n` ("pratt" only)
+ * @property {{ prime: PrimalityCertificate, exponent: number, witness?: string }[]} [factors] The certified prime factors of
+ *   n-1 (all of them for "pratt"), with their exponents and, for "pocklington" and "bls", a witness for each
+ */
+
+/**
+ * The primes up to some limit, see getSmallPrimeTable().
+ * @typedef {Object} SmallPrimeTable
+ * @property {number[]} primes All the primes up to the limit, in increasing order
+ * @property {{ product: bigint, primes: number[] }[]} chunks The odd primes, grouped so that each product is a safe integer
+ */
+
+/**
+ * The precomputed values needed to run Miller-Rabin rounds on an odd `n`, see getMillerRabinContext().
+ * @typedef {Object} MillerRabinContext
+ * @property {bigint} n The number being tested
+ * @property {bigint} nSub `n - 1`
+ * @property {bigint} r The multiplicity of 2 in `n - 1`
+ * @property {bigint} d The odd part of `n - 1`, so that `n - 1 = d * 2^r`
+ * @property {MontgomeryReductionContext | null} reductionContext The Montgomery context of `n`, or null for plain arithmetic
+ * @property {bigint} oneReduced The number 1 in the representation used
+ * @property {bigint} nSubReduced The number n-1 in the representation used
+ * @property {WasmMontgomeryContext | null} wasm The context of `n` for the WebAssembly backend, or null to run on BigInts
+ */
+
+/**
+ * The constants needed to run Miller-Rabin rounds on an odd `n` with the WebAssembly backend, see getWasmContext().
+ * Numbers are arrays of `len` 32-bit limbs, least significant first, and R = 2^(32*len).
+ * @typedef {Object} WasmMontgomeryContext
+ * @property {number} len The number of limbs of `n`
+ * @property {number} nInv -n^-1 mod 2^32
+ * @property {Uint32Array} constants The limbs of n, R mod n, -R mod n, R^2 mod n, 1 and d, one after the other
+ */
+
+/**
+ * How the Miller-Rabin rounds on an odd `n` are run, see getMillerRabinPlan().
+ * @typedef {Object} MillerRabinPlan
+ * @property {MillerRabinContext} mr The context of `n`
+ * @property {bigint[] | null} bases The bases to test against, or null to draw random ones
+ * @property {number} numRounds The number of rounds
+ * @property {number} nBits The bit length of `n`
+ * @property {() => number} random The generator of the random bases
+ * @property {boolean} findDivisor Whether to look for a divisor of `n`
+ * @property {boolean} deterministic Whether passing every round proves that `n` is prime
+ * @property {number | null} errorBound The bound on the error probability of a "probable prime" verdict
+ */
+
+/**
+ * A number written as k*2^m+sign, with k odd and smaller than 2^m, see getSpecialForm().
+ * @typedef {Object} SpecialForm
+ * @property {bigint} n The number
+ * @property {bigint} k The odd multiplier
+ * @property {number} m The exponent of 2
+ * @property {bigint} sign 1 or -1
+ * @property {bigint} shift `m`, as a bigint
+ * @property {bigint} mask 2^m - 1
+ */
+
+/**
+ * Options accepted by primalityTestAsync(), on top of the primality test options.
+ * @typedef {Object} PrimalityTestAsyncOptions
+ * @property {AbortSignal} [signal] A signal cancelling the test, which then rejects with the abort reason
+ * @property {(progress: PrimalityProgress) => void} [onProgress] Called after every round that `n` passes
+ * @property {number} [yieldEvery=10] The longest time, in milliseconds, to compute without yielding to the event loop
+ */
+
+/**
+ * The progress of primalityTestAsync(), reported after every round.
+ * @typedef {Object} PrimalityProgress
+ * @property {number} round The number of rounds passed so far
+ * @property {number} numRounds The number of rounds `n` must pass to be declared a probable prime
+ */
+
+/**
+ * Options accepted by calibrate().
+ * @typedef {Object} CalibrationOptions
+ * @property {number[]} [bits] The bit sizes to time both paths at
+ * @property {number} [minTime=10] The minimum duration of each measurement, in milliseconds
+ */
+
+/**
+ * The result of calibrate().
+ * @typedef {Object} CalibrationResult
+ * @property {bigint | null} crossover The smallest n for which Montgomery reduction is now used by default, or null for never
+ * @property {Array<{ bits: number, plain: number, montgomery: number }>} timings The time of a Miller-Rabin round on each path,
+ *   in milliseconds, at each bit size
+ */
+
+/**
+ * Options accepted by createPrimalityCache().
+ * @typedef {Object} PrimalityCacheOptions
+ * @property {number} [maxEntries=10000] The number of results kept, beyond which the least recently used one is evicted
+ */
+
+/**
+ * The statistics of a primality cache, see createPrimalityCache().
+ * @typedef {Object} PrimalityCacheStats
+ * @property {number} hits The number of calls answered from the cache
+ * @property {number} misses The number of calls that ran primalityTest(), including those whose result could not be cached
+ * @property {number} evictions The number of results evicted to make room for newer ones
+ * @property {number} size The number of results currently cached
+ * @property {number} maxEntries The capacity of the cache
+ */
+
+/**
+ * A drop-in replacement for primalityTest() that remembers its results, see createPrimalityCache().
+ * @typedef {((n: BigIntResolvable, options?: PrimalityTestOptions | null) => boolean) & {
+ *   stats: () => PrimalityCacheStats, clear: () => void }} PrimalityCache
+ */
+
+/**
+ * Options accepted by createPrimeDistanceIndex().
+ * @typedef {Object} PrimeDistanceIndexOptions
+ * @property {BigIntResolvable} [maxDistance=Infinity] The largest distance reported, e.g. the size of the board
+ * @property {number} [sieveLimit=2^20] The bound below which distances are sieved rather than tested one by one
+ * @property {BigIntResolvable} [seed="huygen"] Seed of the random bases testing distances above 2^64, which every client must share
+ */
+
+/**
+ * The prime distances up to some bound, see createPrimeDistanceIndex(). Every method returns numbers for number arguments
+ * and bigints otherwise.
+ * @typedef {Object} PrimeDistanceIndex
+ * @property {(d: BigIntResolvable) => boolean} isPrimeDistance Whether `d` is prime, whatever the bound
+ * @property {(a: BigIntResolvable, b: BigIntResolvable) => Array<number | bigint>} primeDistances The prime distances in
+ *   [a, b], in increasing order
+ * @property {(d: BigIntResolvable) => number | bigint | null} nextPrimeDistance The smallest prime distance at least `d`,
+ *   or null if there is none up to the bound
+ * @property {(d: BigIntResolvable) => Generator<number | bigint>} primeDistancesFrom The prime distances from `d` on, in
+ *   increasing order, e.g. along an open-ended ray
+ * @property {(maxDistance: BigIntResolvable) => PrimeDistanceIndex} extend Raises the bound, as the board grows
+ */
+
 // Some useful BigInt constants
 const ZERO = 0n
 const ONE = 1n
@@ -59,8 +293,88 @@ const SAFE_SQRT = Math.sqrt(Number.MAX_SAFE_INTEGER)
 // and: https://oeis.org/A014233
 // and: https://miller-rabin.appspot.com/
 const INT_BASES = [2, 3, 5, 7, 11, 13, 17, 19, 23]
+
+// primalityTestNumber() decides the numbers in [HASHED_BASE_MIN, HASHED_BASE_LIMIT) with two Miller-Rabin rounds, to base 2
+// and to the base HASHED_BASES[hashedBaseIndex(n)]. No strong pseudoprime to base 2 in that range is a strong probable prime
+// to the base of its bucket, which scripts/generate-hashed-bases.js established by listing them all when generating the table.
+const HASHED_BASE_MIN = 2 ** 16
+const HASHED_BASE_LIMIT = 2 ** 32
+const HASHED_BASES = [
+  6, 5, 5, 5, 3, 3, 5, 3, 3, 7, 3, 3, 5, 5, 3, 17,
+  3, 5, 3, 5, 3, 7, 3, 3, 3, 3, 3, 14, 3, 5, 3, 3,
+  5, 3, 3, 3, 3, 3, 3, 5, 3, 3, 3, 5, 3, 3, 5, 3,
+  3, 5, 3, 3, 7, 3, 5, 3, 3, 3, 3, 3, 3, 5, 3, 3,
+  3, 3, 3, 3, 3, 3, 3, 3, 3, 5, 3, 5, 3, 3, 3, 5,
+  3, 3, 3, 3, 7, 5, 11, 5, 7, 5, 3, 5, 3, 5, 7, 7,
+  3, 5, 3, 3, 3, 3, 3, 3, 3, 5, 3, 5, 3, 3, 3, 5,
+  7, 3, 3, 3, 5, 3, 7, 5, 3, 3, 3, 3, 3, 7, 3, 3,
+  5, 3, 3, 3, 5, 3, 3, 3, 3, 5, 3, 11, 3, 3, 3, 5,
+  7, 3, 5, 3, 3, 3, 3, 15, 3, 7, 3, 5, 5, 5, 3, 3,
+  3, 3, 3, 3, 5, 3, 5, 3, 3, 7, 7, 3, 5, 7, 5, 3,
+  3, 5, 5, 5, 3, 3, 5, 15, 3, 3, 3, 5, 3, 3, 5, 3,
+  5, 5, 5, 3, 5, 3, 7, 3, 3, 3, 3, 5, 5, 3, 3, 5,
+  3, 11, 3, 5, 3, 3, 3, 3, 3, 3, 3, 3, 5, 5, 3, 3,
+  3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 7, 3, 3, 5, 17,
+  3, 3, 3, 5, 3, 3, 3, 3, 3, 5, 3, 7, 3, 5, 11, 7,
+]
+// From HASHED_BASE_LIMIT to 2^53, primalityTestNumber() does the same with HASHED_BASES_53[hashedBaseIndex53(n)], from a
+// table of 4096 bases that `scripts/generate-hashed-bases.js --psp <file>` builds from the Feitsma-Galway list of the
+// pseudoprimes to base 2 (which is not part of the repository). The table stays empty until it is generated, and
+// those numbers keep the bases of getIntBases() in the meantime.
+const HASHED_BASES_53_SIZE = 4096
+const HASHED_BASES_53 = []
 const BIGINT_BASES = [2n, 325n, 9375n, 28178n, 450775n, 9780504n, 1795265022n]
 
+// Trial division by the primes up to this limit runs before any Miller-Rabin round, see getTrialDivisionTable()
+const DEFAULT_TRIAL_DIVISION_LIMIT = 256
+const MAX_TRIAL_DIVISION_LIMIT = 2 ** 20
+
+// randomPrime() sieves its candidates by the primes up to this limit before testing them
+const RANDOM_PRIME_SIEVE_LIMIT = 2 ** 12
+
+// primeCount() sieves below this limit, and above it uses the Lagarias-Miller-Odlyzko algorithm, up to the limit beyond which
+// it would take minutes. Its parameter y is PRIME_COUNT_ALPHA times the cube root of x, which balances the sieving with the special leaves.
+const PRIME_COUNT_SIEVE_LIMIT = 2 ** 22
+const MAX_PRIME_COUNT = 10 ** 14
+const PRIME_COUNT_ALPHA = 4
+// The index of the largest prime below MAX_PRIME_COUNT, i.e. pi(MAX_PRIME_COUNT), for nthPrime()
+const MAX_NTH_PRIME_INDEX = 3204941750802
+// The primes whose multiples primeCount() removes with a wheel rather than a sieve, and their product
+const PHI_TINY_PRIMES = [2, 3, 5, 7, 11, 13]
+const PHI_TINY_MODULUS = 30030
+// nthPrime() refines its estimate with primeCount() at most this many times, until it is within this many primes of the answer
+const NTH_PRIME_MAX_ITERATIONS = 4
+const NTH_PRIME_STEPS = 1000
+
+// createPrimeDistanceIndex() sieves the distances below its sieveLimit option, starting with DISTANCE_SIEVE_MIN_SIZE of them
+// and doubling as needed. Larger distances above 2^64 are tested with random bases drawn from its seed option.
+const DEFAULT_DISTANCE_SIEVE_LIMIT = 2 ** 20
+const MAX_DISTANCE_SIEVE_LIMIT = 2 ** 28
+const DISTANCE_SIEVE_MIN_SIZE = 2 ** 10
+const DEFAULT_DISTANCE_SEED = "huygen"
+
+// factorize() trial-divides by the primes up to this limit, and gives up after this many Pollard rho iterations by default
+const FACTORIZE_TRIAL_DIVISION_LIMIT = 2 ** 12
+const DEFAULT_FACTORIZE_ITERATIONS = 10 ** 7
+
+// primalityTestAsync() yields to the event loop at least this often by default, in milliseconds
+const DEFAULT_YIELD_INTERVAL = 10
+
+// provePrime() certifies primes below this limit by trial division, and looks for witnesses below this bound
+const SMALL_CERTIFICATE_LIMIT = 2n ** 20n
+const MAX_CERTIFICATE_WITNESS = 10000n
+// verifyCertificate() rejects certificates nested deeper than this. Each level at least halves the prime, and the
+// certificates of provePrime() are rarely more than a few levels deep.
+const MAX_CERTIFICATE_DEPTH = 64
+
+// The primality test run by primalityTestBigint() when no `method` option is given, see setDefaultMethod()
+let defaultMethod = "miller-rabin"
+
+// The smallest n for which useMontgomery defaults to true, or null to never use it by default; see calibrate()
+let montgomeryCrossover = LOWER_LIMIT_MONTGOMMERY
+// The bit sizes at which calibrate() times the plain and Montgomery paths by default
+const CALIBRATION_BITS = [64, 96, 128, 192, 256, 384, 512, 768, 1024, 1536, 2048]
+
 /**
  * Calculates the inverse of `2^exp` modulo the given odd `base`.
  *
@@ -98,23 +412,121 @@ function twoMultiplicity(n) {
   }
 }
 
+/**
+ * Hashes the given seed into a 32-bit unsigned integer (FNV-1a over its decimal/string representation).
+ * Numbers, bigints and strings with the same textual value (e.g. `42`, `42n` and `"42"`) produce the same hash.
+ *
+ * @param {number|string|bigint} seed Any seed value
+ * @returns {number} A 32-bit unsigned hash of the seed
+ */
+function hashSeed(seed) {
+  const str = String(seed)
+  let h = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+/**
+ * Creates a deterministic pseudo-random number generator (xoshiro128**) from the given seed.
+ * The returned function behaves like `Math.random()`, returning floats in [0, 1), but every value is an
+ * exact multiple of 2^-32 and the sequence only depends on the seed. Since it is built purely from 32-bit
+ * integer operations, it produces the exact same sequence on every javascript engine.
+ *
+ * @param {number|string|bigint} seed Any seed value
+ * @returns {() => number} A seeded replacement for `Math.random()`
+ */
+function createSeededRng(seed) {
+  // Expand the 32-bit seed hash into the 128-bit xoshiro state with splitmix32
+  let h = hashSeed(seed)
+  const s = new Uint32Array(4)
+  for (let i = 0; i < 4; i++) {
+    h = (h + 0x9e3779b9) >>> 0
+    let z = h
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b)
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35)
+    s[i] = z ^ (z >>> 16)
+  }
+
+  return function () {
+    const result = Math.imul(rotl32(Math.imul(s[1], 5), 7), 9) >>> 0
+    const t = s[1] << 9
+    s[2] ^= s[0]
+    s[3] ^= s[1]
+    s[1] ^= s[2]
+    s[0] ^= s[3]
+    s[2] ^= t
+    s[3] = rotl32(s[3], 11)
+    return result / 4294967296
+  }
+}
+
+/**
+ * Rotates the 32-bit integer `x` to the left by `k` bits.
+ *
+ * @param {number} x A 32-bit integer
+ * @param {number} k The rotation amount, in [0, 31]
+ * @returns {number} The rotated value
+ */
+function rotl32(x, k) {
+  return (x << k) | (x >>> (32 - k))
+}
+
 /**
  * Produces a string of random bits with the specified length.
  * Mainly useful as input to BigInt constructors that take digit strings of arbitrary length.
+ * Bits are drawn 32 at a time from `rng`, so a seeded generator always yields the same bit string.
  *
  * @param {number} numBits How many random bits to return.
+ * @param {() => number} [rng=Math.random] A function returning floats in [0, 1), like `Math.random()`
  * @returns {string} A string of `numBits` random bits.
  */
-function getRandomBitString(numBits) {
+function getRandomBitString(numBits, rng = Math.random) {
   let bits = ""
   while (bits.length < numBits) {
-    bits += Math.random()
+    bits += Math.floor(rng() * 4294967296)
       .toString(2)
-      .substring(2, 50)
+      .padStart(32, "0")
   }
   return bits.substring(0, numBits)
 }
 
+/**
+ * Selects a random Miller-Rabin base for `n = nSub + 1` in the range [2, n-2] by rejection sampling.
+ *
+ * @param {number} nBits The bit length of `n`
+ * @param {bigint} nSub One less than the number being primality tested
+ * @param {() => number} rng A function returning floats in [0, 1), like `Math.random()`
+ * @returns {bigint} A random base in [2, n-2]
+ */
+function getRandomBase(nBits, nSub, rng) {
+  let base
+  do {
+    base = BigInt("0b" + getRandomBitString(nBits, rng))
+  } while (!(base >= TWO) || !(base < nSub)) // The base must lie within [2, n-2]
+  return base
+}
+
+/**
+ * Resolves the `seed` and `rng` options of primalityTestBigint() into a random number generator.
+ * An explicit `rng` takes precedence; otherwise a fresh generator is seeded from `seed`, so that every call
+ * with the same seed and `n` tests the exact same bases. Without either, `Math.random()` is used.
+ *
+ * @param {number|string|bigint|undefined} seed The seed option
+ * @param {(() => number)|undefined} rng The rng option
+ * @returns {() => number} The random number generator to draw bases from
+ */
+function resolveRng(seed, rng) {
+  if (rng != null) {
+    if (typeof rng !== "function") throw new TypeError(`invalid rng option (must be a function)`)
+    return rng
+  }
+  if (seed != null) return createSeededRng(seed)
+  return Math.random
+}
+
 /**
  * Produces a Montgomery reduction context that can be used to define and operate on numbers in Montgomery form
  * for the given base.
@@ -135,7 +547,7 @@ function getReductionContext(base) {
   const rInv = invertPowerOfTwo(littleShift, base)
   const baseInv = r - (((rInv * r - ONE) / base) % r) // From base*baseInv + r*rInv = 1  (mod r)
 
-  return { base, shift, r, rInv, baseInv }
+  return { base, shift, r, mask: r - ONE, rInv, baseInv }
 }
 
 /**
@@ -149,16 +561,16 @@ function montgomeryReduce(n, ctx) {
   return (n << ctx.shift) % ctx.base
 }
 
-// /**
-//  * Converts the given number _out_ of Montgomery form, according to the given Montgomery reduction context.
-//  *
-//  * @param {bigint} n A number in Montgomery form
-//  * @param {MontgomeryReductionContext} ctx The Montgomery reduction context to reduce out of
-//  * @returns {bigint} The (no longer Montgomery-reduced) number whose Montgomery form was `n`
-//  */
-// function invMontgomeryReduce(n, ctx) {
-//   return (n * ctx.rInv) % ctx.base
-// }
+/**
+ * Converts the given number _out_ of Montgomery form, according to the given Montgomery reduction context.
+ *
+ * @param {bigint} n A number in Montgomery form
+ * @param {MontgomeryReductionContext} ctx The Montgomery reduction context to reduce out of
+ * @returns {bigint} The (no longer Montgomery-reduced) number whose Montgomery form was `n`
+ */
+function invMontgomeryReduce(n, ctx) {
+  return (n * ctx.rInv) % ctx.base
+}
 
 /**
  * Squares a number in Montgomery form.
@@ -182,10 +594,10 @@ function montgomerySqr(n, ctx) {
 function montgomeryMul(a, b, ctx) {
   if (a === ZERO || b === ZERO) return ZERO
 
-  const rm1 = ctx.r - ONE
+  const mask = ctx.mask
   let unredProduct = a * b
 
-  const t = (((unredProduct & rm1) * ctx.baseInv) & rm1) * ctx.base
+  const t = (((unredProduct & mask) * ctx.baseInv) & mask) * ctx.base
   let product = (unredProduct - t) >> ctx.shift
 
   if (product >= ctx.base) product -= ctx.base
@@ -204,26 +616,365 @@ function montgomeryMul(a, b, ctx) {
  * @returns {bigint} The Montgomery-reduced result of taking `n` to exponent `exp`
  */
 function montgomeryPow(n, exp, ctx) {
-  // Exponentiation by squaring
-  const expLen = BigInt(bitLength(exp))
-  let result = montgomeryReduce(ONE, ctx)
-  for (let i = ZERO, x = n; i < expLen; ++i, x = montgomerySqr(x, ctx)) {
-    if (exp & (ONE << i)) result = montgomeryMul(result, x, ctx)
+  return slidingWindowPow(n, exp, montgomeryReduce(ONE, ctx), (a, b) => montgomeryMul(a, b, ctx), a => montgomerySqr(a, ctx))
+}
+
+/**
+ * Chooses the window size of slidingWindowPow() for an exponent of the given bit length. A window of k bits costs
+ * 2^(k-1) multiplications up front to precompute the odd powers, and saves multiplications during the scan
+ * (one per k+1 bits on average instead of one per 2 bits). These thresholds are the usual ones, from OpenSSL.
+ *
+ * @param {number} expBits The bit length of the exponent
+ * @returns {number} The window size, in bits
+ */
+function getWindowSize(expBits) {
+  if (expBits > 671) return 6
+  else if (expBits > 239) return 5
+  else if (expBits > 79) return 4
+  else if (expBits > 23) return 3
+  else return 1
+}
+
+/**
+ * Computes `base` to the power of `exp` by left-to-right sliding window exponentiation, with the given multiplication
+ * and squaring, so that the same routine serves plain and Montgomery arithmetic.
+ *
+ * @param {bigint} base The base, already reduced (and converted into Montgomery form if need be)
+ * @param {bigint} exp A nonnegative exponent
+ * @param {bigint} one The number 1 in the representation of `base`, returned when `exp` is 0
+ * @param {(a: bigint, b: bigint) => bigint} mul The modular multiplication
+ * @param {(a: bigint) => bigint} sqr The modular squaring
+ * @returns {bigint} base^exp in the representation of `base`
+ */
+function slidingWindowPow(base, exp, one, mul, sqr) {
+  const steps = slidingWindowSteps(base, exp, one, mul, sqr)
+  let step = steps.next()
+  while (!step.done) step = steps.next()
+  return step.value
+}
+
+/**
+ * Runs the sliding window exponentiation of slidingWindowPow() and slidingWindowPowAsync(), yielding before each
+ * window so that the latter can pause in between, and returning the result.
+ * The bits of the exponent are scanned from the most significant one, in windows of up to getWindowSize() bits
+ * that start and end with a 1, each costing one multiplication by a precomputed odd power of `base`.
+ *
+ * @param {bigint} base The base, already reduced (and converted into Montgomery form if need be)
+ * @param {bigint} exp A nonnegative exponent
+ * @param {bigint} one The number 1 in the representation of `base`, returned when `exp` is 0
+ * @param {(a: bigint, b: bigint) => bigint} mul The modular multiplication
+ * @param {(a: bigint) => bigint} sqr The modular squaring
+ * @returns {Generator<void, bigint, void>} The steps of the exponentiation, returning base^exp in the representation of `base`
+ */
+function* slidingWindowSteps(base, exp, one, mul, sqr) {
+  if (exp === ZERO) return one
+  // Reading the bits from the binary string avoids allocating a BigInt per bit
+  const bits = exp.toString(2)
+  const windowSize = getWindowSize(bits.length)
+
+  // The odd powers base^1, base^3, ..., base^(2^windowSize - 1)
+  const oddPowers = [base]
+  if (windowSize > 1) {
+    const square = sqr(base)
+    for (let i = 1; i < 1 << (windowSize - 1); i++) oddPowers.push(mul(oddPowers[i - 1], square))
   }
 
+  let result = null // Stands for 1 until the first window, saving the squarings of 1
+  for (let i = 0; i < bits.length;) {
+    yield
+    if (bits[i] === "0") {
+      result = sqr(result)
+      i++
+      continue
+    }
+
+    // The longest window of at most windowSize bits starting at i and ending with a 1
+    let end = Math.min(i + windowSize, bits.length)
+    while (bits[end - 1] === "0") end--
+    const power = oddPowers[parseInt(bits.slice(i, end), 2) >> 1]
+    if (result === null) result = power
+    else {
+      for (let j = i; j < end; j++) result = sqr(result)
+      result = mul(result, power)
+    }
+    i = end
+  }
   return result
 }
 
+// The WebAssembly module of the "wasm" backend, assembled from wasm/montgomery.wat by `npm run build:wasm`, in base64
+const MONTGOMERY_WASM = "AGFzbQEAAAABIwRgB39/f39/f38AYAp/f39/f39/f39/AGADf39/AGACf38AAwUEAAECAwUDAQABBx4DBm1lbW9yeQIAB21vbnRNdWwAAAdtb250UG93AAEKzgYEyQMCBn8GfiAEIAVBAnRqIQkgBCAFQQFqEANBACEHAkADQCAHIAVPDQEgAiAHQQJ0ajUCACENIAQ1AgAgATUCACANfnwhECAQQiCIIQ8gEEL/////D4MhECAQIAatfkL/////D4MhDiAQIA4gAzUCAH58QiCIIRFBBCEIIAVBAnQhCwJAA0AgCCALTw0BIAQgCGo1AgAgASAIajUCACANfnwgD3whECAQQiCIIQ8gEEL/////D4MgDiADIAhqNQIAfnwgEXwhEiASQiCIIREgBCAIakEEayASPgIAIAhBBGohCAwACwsgCTUCACAPfCEQIBBC/////w+DIBF8IRIgCUEEayASPgIAIAkgEEIgiCASQiCIfD4CACAHQQFqIQcMAAsLIAkoAgBBAEchCiAKRQRAQQEhCiAFIQgCQANAIAhFDQEgCEEBayEIIAQgCEECdGooAgAhCyADIAhBAnRqKAIAIQwgCyAMRwRAIAsgDEshCgwCCwwACwsLQgAhD0EAIQgCQANAIAggBU8NASAIQQJ0IQsgBCALajUCACADIAtqNQIAIAqtfn0gD30hECAAIAtqIBA+AgAgEEI/iCEPIAhBAWohCAwACwsLngIBBn8gCEECdCEKIAcgBCAIEAIgByAKaiABIAgQAkECIQsCQANAIAtBEE8NASAHIAsgCmxqIAcgC0EBayAKbGogASAFIAYgCCAJEAAgC0EBaiELDAALCyAAIAQgCBACQQAhDyADIQwCQANAIAxFDQEgDEEBayEMQSAhDQJAA0AgDUUNASANQQRrIQ0gAiAMQQJ0aigCACANdkEPcSEOIA8EQCAAIAAgACAFIAYgCCAJEAAgACAAIAAgBSAGIAggCRAAIAAgACAAIAUgBiAIIAkQACAAIAAgACAFIAYgCCAJEAAgDgRAIAAgACAHIA4gCmxqIAUgBiAIIAkQAAsFIA4EQCAAIAcgDiAKbGogCBACQQEhDwsLDAALCwwACwsLNQEBfyABIAJBAnRqIQMCQANAIAEgA08NASAAIAEoAgA2AgAgAEEEaiEAIAFBBGohAQwACwsLKwEBfyAAIAFBAnRqIQICQANAIAAgAk8NASAAQQA2AgAgAEEEaiEADAALCws="
+
+// The exports of the instantiated module: undefined until first needed, null if WebAssembly is unavailable
+let wasmEngine
+
+// The layout of the linear memory during a Miller-Rabin round, as offsets in limbs: the constants of the context
+// (see WasmMontgomeryContext), then two working numbers, the scratch space of montMul and the window table of montPow.
+// Every offset is a multiple of `len`, plus 1 after the scratch space.
+const WASM_MODULUS = 0
+const WASM_ONE = 1
+const WASM_MINUS_ONE = 2
+const WASM_R_SQUARED = 3
+const WASM_PLAIN_ONE = 4
+const WASM_EXPONENT = 5
+const WASM_X = 6
+const WASM_Y = 7
+const WASM_SCRATCH = 8
+const WASM_TABLE = 9
+const WASM_PAGE_SIZE = 65536
+
+/**
+ * Instantiates the WebAssembly module of the "wasm" backend the first time it is needed.
+ * It is small enough to be compiled synchronously, even on the main thread of browsers.
+ *
+ * @returns {{ memory: WebAssembly.Memory, montMul: Function, montPow: Function } | null} Its exports, or null if the
+ *   engine cannot run it: without WebAssembly, or on a big-endian platform, where typed arrays disagree with its memory
+ */
+function getWasmEngine() {
+  if (wasmEngine !== undefined) return wasmEngine
+  wasmEngine = null
+  try {
+    if (typeof WebAssembly === "object" && new Uint8Array(Uint32Array.of(1).buffer)[0] === 1) {
+      wasmEngine = new WebAssembly.Instance(new WebAssembly.Module(decodeBase64(MONTGOMERY_WASM))).exports
+    }
+  } catch (error) {
+    // Engines may forbid compiling WebAssembly (e.g. under a Content Security Policy), so fall back on BigInts
+  }
+  return wasmEngine
+}
+
+/**
+ * Decodes a base64 string, with Buffer in Node.js and atob() elsewhere.
+ *
+ * @param {string} string The base64 string
+ * @returns {Uint8Array} The decoded bytes
+ */
+function decodeBase64(string) {
+  if (typeof Buffer === "function") return new Uint8Array(Buffer.from(string, "base64"))
+  return Uint8Array.from(atob(string), c => c.charCodeAt(0))
+}
+
+/**
+ * Tells whether the given backend of the Miller-Rabin rounds can run on this javascript engine. The `backend: "wasm"`
+ * option falls back on "bigint" when it cannot.
+ *
+ * @param {"wasm" | "bigint"} backend The backend
+ * @returns {boolean} true if `backend` is available
+ */
+function isBackendAvailable(backend) {
+  validateBackend(backend)
+  return backend === "bigint" || getWasmEngine() !== null
+}
+
+/**
+ * Checks the `backend` option of the primality tests.
+ *
+ * @param {unknown} backend The option
+ * @returns {"wasm" | "bigint"} The backend, "bigint" if undefined
+ */
+function validateBackend(backend) {
+  if (backend === undefined) return "bigint"
+  if (backend !== "wasm" && backend !== "bigint") throw new RangeError(`invalid backend option (must be "wasm" or "bigint"): ${backend}`)
+  return backend
+}
+
+/**
+ * Precomputes the constants needed to run Miller-Rabin rounds on the odd number `n` with the WebAssembly backend.
+ *
+ * @param {bigint} n An odd number of at least 5
+ * @param {bigint} d The odd part of `n - 1`
+ * @returns {WasmMontgomeryContext}
+ */
+function getWasmContext(n, d) {
+  const len = Math.ceil(bitLength(n) / 32)
+  const r = (ONE << BigInt(32 * len)) % n
+
+  // -n^-1 mod 2^32 by Newton's iteration, each step doubling the number of correct low bits (n0 * n0 = 1 mod 8 to start with)
+  const n0 = Number(n & 0xffffffffn)
+  let inverse = n0
+  for (let i = 0; i < 4; i++) inverse = Math.imul(inverse, 2 - Math.imul(n0, inverse))
+
+  const constants = new Uint32Array(6 * len)
+  setWasmLimbs(constants, WASM_MODULUS * len, len, n)
+  setWasmLimbs(constants, WASM_ONE * len, len, r)
+  setWasmLimbs(constants, WASM_MINUS_ONE * len, len, n - r)
+  setWasmLimbs(constants, WASM_R_SQUARED * len, len, (r * r) % n)
+  setWasmLimbs(constants, WASM_PLAIN_ONE * len, len, ONE)
+  setWasmLimbs(constants, WASM_EXPONENT * len, len, d)
+  return { len, nInv: -inverse >>> 0, constants }
+}
+
+/**
+ * Stores the nonnegative bigint `value` into `len` 32-bit limbs, going through its hexadecimal string,
+ * which is much faster than shifting it 32 bits at a time.
+ *
+ * @param {Uint32Array} words The array to write into
+ * @param {number} offset The index of the least significant limb
+ * @param {number} len The number of limbs, enough to hold `value`
+ * @param {bigint} value The number to store
+ */
+function setWasmLimbs(words, offset, len, value) {
+  const hex = value.toString(16)
+  for (let i = 0, end = hex.length; i < len; i++, end -= 8) {
+    words[offset + i] = end > 0 ? parseInt(hex.slice(Math.max(end - 8, 0), end), 16) : 0
+  }
+}
+
+/**
+ * Reads the number stored in `len` 32-bit limbs, the inverse of setWasmLimbs().
+ *
+ * @param {Uint32Array} words The array to read from
+ * @param {number} offset The index of the least significant limb
+ * @param {number} len The number of limbs
+ * @returns {bigint} The number
+ */
+function getWasmLimbs(words, offset, len) {
+  let hex = ""
+  for (let i = len - 1; i >= 0; i--) hex += words[offset + i].toString(16).padStart(8, "0")
+  return BigInt("0x" + hex)
+}
+
+/**
+ * Runs a single Miller-Rabin round on `n` like millerRabinRound(), but with the modular arithmetic done in WebAssembly:
+ * Montgomery multiplication and fixed 4-bit window exponentiation on 32-bit limbs, without allocating any BigInt.
+ * The numbers are in Montgomery form with R = 2^(32*len) rather than the smallest power of 2 above `n`, which does not
+ * change the result: both paths compute the same residues, and report the same witness and divisor.
+ *
+ * @param {bigint} base The base to test against, in [1, n-1]
+ * @param {MillerRabinContext} mr The context of `n`, from getMillerRabinContext() with the "wasm" backend
+ * @param {boolean} findDivisor Whether to look for a divisor of `n` if `base` turns out to be a witness
+ * @returns {{ witness: bigint | null, divisor: bigint | null } | null} See millerRabinRound()
+ */
+function millerRabinRoundWasm(base, mr, findDivisor) {
+  const { n, r } = mr
+  const { len, nInv, constants } = mr.wasm
+
+  // Check whether the chosen base has any factors in common with n (if so, we can end early)
+  if (findDivisor) {
+    const gcd = ugcd(n, base)
+    if (gcd !== ONE && gcd !== n) return { witness: null, divisor: gcd }
+  }
+
+  // The memory is shared by every context, so the constants of this one are copied in at each round
+  const engine = getWasmEngine()
+  const bytes = 4 * ((WASM_TABLE + 16) * len + 1)
+  if (engine.memory.buffer.byteLength < bytes) {
+    engine.memory.grow(Math.ceil((bytes - engine.memory.buffer.byteLength) / WASM_PAGE_SIZE))
+  }
+  const words = new Uint32Array(engine.memory.buffer)
+  words.set(constants)
+
+  const address = slot => 4 * slot * len
+  const modulus = address(WASM_MODULUS)
+  const scratch = address(WASM_SCRATCH)
+  const table = 4 * (WASM_TABLE * len + 1)
+  const mul = (out, a, b) => engine.montMul(out, a, b, modulus, scratch, len, nInv)
+  const equals = (a, b) => {
+    for (let i = 0; i < len; i++) if (words[a * len + i] !== words[b * len + i]) return false
+    return true
+  }
+  // x is a nontrivial square root of 1 (mod n), so gcd(x-1, n) is a nontrivial divisor of n
+  const nontrivialRootDivisor = x => {
+    mul(address(x), address(x), address(WASM_PLAIN_ONE)) // Out of Montgomery form
+    return ugcd(getWasmLimbs(words, x * len, len) - ONE, n)
+  }
+
+  // Convert the base into Montgomery form, then raise it to the power d
+  setWasmLimbs(words, WASM_Y * len, len, base)
+  mul(address(WASM_Y), address(WASM_Y), address(WASM_R_SQUARED))
+  engine.montPow(
+    address(WASM_X), address(WASM_Y), address(WASM_EXPONENT), len, address(WASM_ONE), modulus, scratch, table, len, nInv
+  )
+  if (equals(WASM_X, WASM_ONE) || equals(WASM_X, WASM_MINUS_ONE)) return null // The test passed: base^d = +/-1 (mod n)
+
+  // Square up to base^(d*2^(r-1)), alternating between the two working numbers so that x survives its square y
+  let x = WASM_X
+  let y = WASM_Y
+  for (let i = ONE; i < r; i++) {
+    mul(address(y), address(x), address(x))
+    if (equals(y, WASM_ONE)) return { witness: base, divisor: findDivisor ? nontrivialRootDivisor(x) : null }
+    else if (equals(y, WASM_MINUS_ONE)) return null
+    const z = x
+    x = y
+    y = z
+  }
+
+  if (findDivisor) {
+    mul(address(y), address(x), address(x))
+    if (equals(y, WASM_ONE)) return { witness: base, divisor: nontrivialRootDivisor(x) }
+  }
+  return { witness: base, divisor: null }
+}
+
 /** A record class to hold the result of primality testing. */
-// class PrimalityResult {
-//   /**
-//    * Constructs a result object from the given options
-//    * @param {PrimalityResultOptions} options
-//    */
-//   constructor({ probablePrime }) {
-//     this.probablePrime = probablePrime
-//   }
-// }
+class PrimalityResult {
+  /**
+   * Constructs a result object from the given options
+   * @param {PrimalityResultOptions} options
+   */
+  constructor({ probablePrime, deterministic = false, bases = [], witness = null, divisor = null, errorBound = 0 }) {
+    /** @type {boolean} Whether `n` passed every test, i.e. is a (probable) prime */
+    this.probablePrime = probablePrime
+    /** @type {boolean} Whether the verdict is certain (always true for composites and below LIMIT_DETERMINISM) */
+    this.deterministic = deterministic
+    /** @type {bigint[]} The Miller-Rabin bases that were tried, in order */
+    this.bases = bases
+    /** @type {bigint | null} The base that witnessed the compositeness of `n`, if any */
+    this.witness = witness
+    /** @type {bigint | null} A nontrivial divisor of `n`, if one was found */
+    this.divisor = divisor
+    /** @type {number | null} An upper bound on the probability that `probablePrime` is wrong, or null if none is known */
+    this.errorBound = errorBound
+  }
+}
+
+/** The error thrown when an input cannot be read as an integer, see normalizeInteger(). */
+class PrimalityInputError extends TypeError {
+  /**
+   * @param {string} message The error message
+   * @param {unknown} input The offending input
+   */
+  constructor(message, input) {
+    super(message)
+    this.name = "PrimalityInputError"
+    /** @type {unknown} The offending input */
+    this.input = input
+  }
+}
+
+// Decimal, hexadecimal, octal and binary integer literals, with an optional sign and underscores between digits
+const INTEGER_STRING = /^[+-]?(?:\d+(?:_\d+)*|0[xX][\da-fA-F]+(?:_[\da-fA-F]+)*|0[oO][0-7]+(?:_[0-7]+)*|0[bB][01]+(?:_[01]+)*)$/
+
+/**
+ * Reads `value` as an integer, the same way for every public entry point.
+ * Numbers must be safe integers, and are returned unchanged so that small inputs stay on the fast number path.
+ * Strings may be decimal, or hexadecimal, octal or binary with a 0x, 0o or 0b prefix, with an optional sign and
+ * underscores between digits (like numeric literals), but no whitespace; they are returned as bigints, like bigints.
+ * Anything else throws a PrimalityInputError.
+ *
+ * @param {unknown} value The input to read
+ * @param {string} [name="n"] The name of the input, for error messages
+ * @returns {number|bigint} The integer `value` stands for
+ */
+function normalizeInteger(value, name = "n") {
+  if (typeof value === 'bigint') return value
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) return value
+    if (!Number.isFinite(value)) throw new PrimalityInputError(`invalid ${name} (must be finite): ${value}`, value)
+    if (!Number.isInteger(value)) throw new PrimalityInputError(`invalid ${name} (must be an integer): ${value}`, value)
+    throw new PrimalityInputError(`invalid ${name} (exceeds Number.MAX_SAFE_INTEGER, pass a bigint or a string instead): ${value}`, value)
+  }
+  if (typeof value === 'string') {
+    if (!INTEGER_STRING.test(value)) {
+      throw new PrimalityInputError(`invalid ${name} (must be a decimal, hexadecimal, octal or binary integer): "${value}"`, value)
+    }
+    // BigInt() rejects underscores and signed prefixed literals, so handle those here
+    const digits = value.replace(/_/g, "")
+    if (digits[0] === "-") return -BigInt(digits.slice(1))
+    return BigInt(digits[0] === "+" ? digits.slice(1) : digits)
+  }
+  throw new PrimalityInputError(`invalid ${name} (must be a number, bigint or string, not ${value === null ? "null" : typeof value})`, value)
+}
 
 /**
  * Calculates the gcd of two positive bigints.
@@ -267,8 +1018,8 @@ function ugcd(a, b) {
  *
  * If `bases` is null or undefined, it is ignored and null is returned.
  * If `bases` is an array of valid bases, they will be returned as a new array, all coerced to BigInts.
- * Otherwise, a RangeError will be thrown if any of the bases are outside the valid range, or a TypeError will
- * be thrown if `bases` is neither an array nor null/undefined.
+ * Otherwise, a RangeError will be thrown if any of the bases are outside the valid range, a PrimalityInputError if
+ * any of them is not an integer (see normalizeInteger()), or a TypeError if `bases` is neither an array nor null/undefined.
  *
  * @param {BigIntResolvable[] | null} bases The array of bases to validate
  * @param {bigint} nSub One less than the number being primality tested
@@ -279,12 +1030,117 @@ function validateBases(bases, nSub) {
   if (!Array.isArray(bases)) throw new TypeError(`invalid bases option (must be an array)`);
   // Ensure all bases are valid BigInts within [2, n-2]
   return bases.map(b => {
-    if (typeof b !== "bigint") b = BigInt(b)
+    b = BigInt(normalizeInteger(b, "base"))
     if (!(b >= TWO) || !(b < nSub)) throw new RangeError(`invalid base (must be in the range [2, n-2]): ${b}`)
     return b
   })
 }
 
+// The primes up to a trial division limit and their products, by limit, see getSmallPrimeTable()
+const smallPrimeTables = new Map()
+
+/**
+ * Returns the primes up to `limit`, computed once per limit with sievePrimes(). The odd primes are also
+ * grouped into chunks whose products stay below Number.MAX_SAFE_INTEGER, so that a bigint can be trial-divided
+ * by a whole chunk with a single BigInt remainder followed by cheap Number remainders.
+ *
+ * @param {number} limit The largest number to sieve
+ * @returns {SmallPrimeTable}
+ */
+function getSmallPrimeTable(limit) {
+  let table = smallPrimeTables.get(limit)
+  if (table) return table
+
+  const primes = sievePrimes(limit)
+  const chunks = []
+  let chunk = { product: 1, primes: [] }
+  for (let i = 1; i < primes.length; i++) {
+    if (chunk.product * primes[i] > Number.MAX_SAFE_INTEGER) {
+      chunks.push(chunk)
+      chunk = { product: 1, primes: [] }
+    }
+    chunk.product *= primes[i]
+    chunk.primes.push(primes[i])
+  }
+  if (chunk.primes.length > 0) chunks.push(chunk)
+
+  table = { primes, chunks: chunks.map(({ product, primes }) => ({ product: BigInt(product), primes })) }
+  smallPrimeTables.set(limit, table)
+  return table
+}
+
+/**
+ * Computes all the primes up to `limit` with a sieve of Eratosthenes.
+ *
+ * @param {number} limit The largest number to sieve
+ * @returns {number[]} The primes up to `limit`, in increasing order
+ */
+function sievePrimes(limit) {
+  const composite = new Uint8Array(limit + 1)
+  const primes = []
+  for (let i = 2; i <= limit; i++) {
+    if (composite[i]) continue
+    primes.push(i)
+    for (let j = i * i; j <= limit; j += i) composite[j] = 1
+  }
+  return primes
+}
+
+/**
+ * Resolves the `trialDivision` option into the table of primes to trial-divide by.
+ *
+ * @param {number | boolean | undefined} trialDivision The trialDivision option: a limit, false to disable, or true/undefined for the default
+ * @returns {SmallPrimeTable} The table of primes up to the limit, see getSmallPrimeTable()
+ */
+function getTrialDivisionTable(trialDivision) {
+  if (trialDivision === undefined || trialDivision === true) return getSmallPrimeTable(DEFAULT_TRIAL_DIVISION_LIMIT)
+  else if (trialDivision === false) return getSmallPrimeTable(0)
+  else if (!Number.isInteger(trialDivision) || !(trialDivision >= 0) || !(trialDivision <= MAX_TRIAL_DIVISION_LIMIT)) {
+    throw new RangeError(`invalid trialDivision option (must be an integer in the range [0, ${MAX_TRIAL_DIVISION_LIMIT}] or a boolean): ${trialDivision}`)
+  }
+  return getSmallPrimeTable(trialDivision)
+}
+
+/**
+ * Trial-divides the odd number `n` by the given odd primes, in increasing order.
+ *
+ * @param {number} n An odd number
+ * @param {number[]} primes The primes to try, starting with 2 (which is skipped)
+ * @returns {number} 1 if `n` is proven prime (no prime up to sqrt(n) divides it), the smallest prime factor of `n` if one
+ *   was found, or 0 if the primes ran out before reaching sqrt(n)
+ */
+function trialDivideNumber(n, primes) {
+  for (let i = 1; i < primes.length; i++) {
+    const p = primes[i]
+    if (p * p > n) return 1
+    if (n % p == 0) return p
+  }
+  return 0
+}
+
+/**
+ * Trial-divides the odd bigint `n` by the primes of the given table, one chunk of primes at a time.
+ *
+ * @param {bigint} n An odd number
+ * @param {SmallPrimeTable} table The primes to try, see getSmallPrimeTable()
+ * @returns {bigint} 1 if `n` is proven prime, the smallest prime factor of `n` if one was found, or 0 otherwise
+ */
+function trialDivideBigint(n, { primes, chunks }) {
+  if (primes.length < 2) return ZERO
+
+  // Small n can be settled completely by the Number routine
+  const largestPrime = primes[primes.length - 1]
+  if (n <= BigInt(largestPrime) ** TWO) return BigInt(trialDivideNumber(Number(n), primes))
+
+  for (const chunk of chunks) {
+    const remainder = Number(n % chunk.product)
+    for (const p of chunk.primes) {
+      if (remainder % p == 0) return BigInt(p)
+    }
+  }
+  return ZERO
+}
+
 /**
  * Computes (p1 * p2) mod modulus for numbers
  * @param {Number} p1 - base
@@ -330,67 +1186,114 @@ function modPowNumber (base, exponent, modulus) {
 }
 
 /**
- * Computes (base ^ exponent) mod modulus for BigInts, avoiding recursion because of large exponent
+ * Computes (base ^ exponent) mod modulus for BigInts by sliding window exponentiation, see slidingWindowPow()
  * @param {bigint} base - base
  * @param {bigint} exponent - exponent
  * @param {bigint} modulus - modulus
  * @returns - return value: (base ** exponent) % modulus
  */
 function modPowBigint (base, exponent, modulus) {
-  let accumulator = ONE
-  while (exponent != ZERO) {
-    if (exponent % TWO == ZERO) {
-      exponent = exponent / TWO
-      base = (base**TWO) % modulus
-    } else {
-      exponent = exponent - ONE
-      accumulator = (base*accumulator) % modulus
-    }
-  }
-  return accumulator
+  return slidingWindowPow(base % modulus, exponent, ONE, (a, b) => (a * b) % modulus, a => (a * a) % modulus)
 }
 
 /**
  * Runs Miller-Rabin primality tests on `n` which can be a number, string, or a bigint.
  * If `n` is a number/string smaller than Number.MAX_SAFE_INTEGER, then primalityTestNumber() is called.
- * If `n` is a bigint/string larger than Number.MAX_SAFE_INTEGER, then primalityTestBigint() is called.
+ * If `n` is a bigint/string between Number.MAX_SAFE_INTEGER and 2^64, then primalityTestUint64() is called,
+ * unless the "bpsw" method is selected.
+ * If `n` is a bigint/string larger than that, then primalityTestBigint() is called.
+ * Throws a PrimalityInputError if `n` is not an integer, see normalizeInteger(). Negative integers are never prime.
  * @param {number|string|bigint} n - A number or bigint integer to be tested for primality.
  * @param {PrimalityTestOptions?} options - optional arguments passed along to primalityTestBigint() if necessary
+ *   (primalityTestNumber() only uses the `trialDivision` option)
  * @returns {boolean} true if all the primality tests passed, false otherwise
  */
 function primalityTest(n, options) {
-  if (typeof n === 'number') return primalityTestNumber(n)
-  else if (typeof n === 'string') n = BigInt(n);
+  n = normalizeInteger(n)
+  if (typeof n === 'number') return primalityTestNumber(n, options)
+  else if (n < ZERO) return false // Including negative bigints beyond the reach of primalityTestNumber()
 
-  if (n < MAX_SAFE_INTEGER_BIGINT) return primalityTestNumber(Number(n))
+  if (n < MAX_SAFE_INTEGER_BIGINT) return primalityTestNumber(Number(n), options)
+  if (n < LIMIT_DETERMINISM && ((options && options.method) || defaultMethod) === "miller-rabin") return primalityTestUint64(n, options)
   return primalityTestBigint(n, options)
 }
 
 /**
- * Runs deterministic Miller-Rabin primality test on number `n`
- * @param {Number} n - A number be tested for primality.
- * @returns {boolean} true if all the primality tests passed, false otherwise
+ * Returns the smallest prefix of INT_BASES that makes Miller-Rabin deterministic for the odd number `n`.
+ * @param {Number} n - An odd number of at least 5, below Number.MAX_SAFE_INTEGER
+ * @returns {Number[]} The bases to test `n` against
  */
-function primalityTestNumber(n) {
-  let bases
-  // Handle some small special cases
-  if (n < 2) return false // n = 0 or 1
-  else if (n < 4) return true // n = 2 or 3
-  else if (n % 2 == 0) return false // Quick short-circuit for other even n
-  else if (n < LIMIT_2) bases = INT_BASES.slice(0, 1)
-  else if (n < LIMIT_2_3) bases = INT_BASES.slice(0, 2)
-  else if (n < LIMIT_2_3_5) bases = INT_BASES.slice(0, 3)
-  else if (n < LIMIT_2_3_5_7) bases = INT_BASES.slice(0, 4)
-  else if (n < LIMIT_2_3_5_7_11) bases = INT_BASES.slice(0, 5)
-  else if (n < LIMIT_2_3_5_7_11_13) bases = INT_BASES.slice(0, 6)
-  else if (n < LIMIT_2_3_5_7_11_13_17) bases = INT_BASES.slice(0, 7)
-  else bases = INT_BASES.slice(0, 9)
+function getIntBases(n) {
+  if (n < LIMIT_2) return INT_BASES.slice(0, 1)
+  else if (n < LIMIT_2_3) return INT_BASES.slice(0, 2)
+  else if (n < LIMIT_2_3_5) return INT_BASES.slice(0, 3)
+  else if (n < LIMIT_2_3_5_7) return INT_BASES.slice(0, 4)
+  else if (n < LIMIT_2_3_5_7_11) return INT_BASES.slice(0, 5)
+  else if (n < LIMIT_2_3_5_7_11_13) return INT_BASES.slice(0, 6)
+  else if (n < LIMIT_2_3_5_7_11_13_17) return INT_BASES.slice(0, 7)
+  else return INT_BASES.slice(0, 9)
+}
 
-  let nSub = n - 1
-  let r = 0
-  let d = nSub
-  while (d % 2 == 0) {
-    d = d / 2
+/**
+ * Hashes a number below 2^32 into the index of its second Miller-Rabin base in HASHED_BASES, with two multiply and
+ * xorshift steps of a 32-bit integer hash that spreads the strong pseudoprimes to base 2 evenly over the buckets.
+ *
+ * @param {number} n An integer in [0, 2^32)
+ * @returns {number} The index, in [0, 256)
+ */
+function hashedBaseIndex(n) {
+  let h = Math.imul((n >>> 16) ^ n, 0x45d9f3b)
+  h = Math.imul((h >>> 16) ^ h, 0x45d9f3b)
+  return ((h >>> 16) ^ h) & 255
+}
+
+/**
+ * Hashes a safe integer of at least 2^32 into the index of its second Miller-Rabin base in HASHED_BASES_53, by folding
+ * its high 32 bits into the low ones and then mixing them like hashedBaseIndex().
+ *
+ * @param {number} n A safe integer of at least 2^32
+ * @returns {number} The index, in [0, HASHED_BASES_53_SIZE)
+ */
+function hashedBaseIndex53(n) {
+  let h = Math.imul((n >>> 0) ^ Math.imul(Math.floor(n / 4294967296), 0x9e3779b1), 0x45d9f3b)
+  h = Math.imul((h >>> 16) ^ h, 0x45d9f3b)
+  h = Math.imul((h >>> 16) ^ h, 0x45d9f3b)
+  return ((h >>> 16) ^ h) & (HASHED_BASES_53_SIZE - 1)
+}
+
+/**
+ * Runs deterministic Miller-Rabin primality test on number `n`
+ * @param {Number} n - A safe integer to be tested for primality. Throws a PrimalityInputError otherwise.
+ * @param {PrimalityTestOptions?} options - optional arguments, of which only `trialDivision` is used (see primalityTestBigint())
+ * @returns {boolean} true if all the primality tests passed, false otherwise
+ */
+function primalityTestNumber(n, options) {
+  if (typeof normalizeInteger(n) !== 'number') {
+    throw new PrimalityInputError(`invalid n (must be a number, see primalityTest() for other types): ${n}`, n)
+  }
+
+  // Handle some small special cases
+  if (n < 2) return false // n = 0 or 1
+  else if (n < 4) return true // n = 2 or 3
+  else if (n % 2 == 0) return false // Quick short-circuit for other even n
+
+  // Cheaply rule out n with small factors, and settle small n entirely
+  const factor = trialDivideNumber(n, getTrialDivisionTable(options && options.trialDivision).primes)
+  if (factor === 1) return true
+  else if (factor !== 0) return false
+
+  // Between 2^16 and 2^32, base 2 and a base from a hash table of 256 are enough, and above 2^32 with a table of 4096
+  // once it is generated
+  let bases
+  if (n >= HASHED_BASE_MIN && n < HASHED_BASE_LIMIT) bases = [2, HASHED_BASES[hashedBaseIndex(n)]]
+  else if (n >= HASHED_BASE_LIMIT && HASHED_BASES_53.length > 0) bases = [2, HASHED_BASES_53[hashedBaseIndex53(n)]]
+  else bases = getIntBases(n)
+
+  let nSub = n - 1
+  let r = 0
+  let d = nSub
+  while (d % 2 == 0) {
+    d = d / 2
     r += 1
   }
 
@@ -409,6 +1312,168 @@ function primalityTestNumber(n) {
   return true
 }
 
+// The 64-bit engine of primalityTestUint64() works on numbers below 2^64 stored as four 16-bit limbs, least significant first,
+// so that every limb product and carry stays exact in Number arithmetic. Its buffers are allocated once and reused.
+const UINT64_BASES = BIGINT_BASES.map(Number)
+const uint64Modulus = new Uint32Array(4)
+const uint64One = new Uint32Array(4) // R mod n, i.e. 1 in Montgomery form with R = 2^64
+const uint64MinusOne = new Uint32Array(4) // -R mod n, i.e. n-1 in Montgomery form
+const uint64RSquared = new Uint32Array(4) // R^2 mod n, to convert bases into Montgomery form
+const uint64Exponent = new Uint32Array(4)
+const uint64Base = new Uint32Array(4)
+const uint64Power = new Uint32Array(4)
+let uint64ModulusInverse = 0 // -n^-1 mod 2^16
+
+/**
+ * Stores the 64-bit bigint `value` into four 16-bit limbs.
+ *
+ * @param {Uint32Array} limbs The limbs to write
+ * @param {bigint} value A nonnegative integer below 2^64
+ */
+function setUint64Limbs(limbs, value) {
+  const low = Number(value & 0xffffffffn)
+  const high = Number(value >> 32n)
+  limbs[0] = low & 0xffff
+  limbs[1] = low >>> 16
+  limbs[2] = high & 0xffff
+  limbs[3] = high >>> 16
+}
+
+/**
+ * Computes the Montgomery product a * b * R^-1 mod n of two 64-bit numbers in limbs, with R = 2^64 and n = uint64Modulus.
+ * The limb products are accumulated one column at a time (finely integrated product scanning), fully unrolled
+ * so that everything stays in local variables; the accumulator never exceeds 2^37. `out` may be the same array as `a` or `b`.
+ *
+ * @param {Uint32Array} a The first factor, below n
+ * @param {Uint32Array} b The second factor, below n
+ * @param {Uint32Array} out The limbs to write the product to
+ */
+function montgomeryMulUint64(a, b, out) {
+  const a0 = a[0], a1 = a[1], a2 = a[2], a3 = a[3]
+  const b0 = b[0], b1 = b[1], b2 = b[2], b3 = b[3]
+  const n = uint64Modulus
+  const n0 = n[0], n1 = n[1], n2 = n[2], n3 = n[3]
+  const inverse = uint64ModulusInverse
+
+  // The low half: each column picks the multiple m_i of n that clears its limb, then shifts right by a limb
+  let acc = a0 * b0
+  const m0 = Math.imul(acc & 0xffff, inverse) & 0xffff
+  acc = (acc + m0 * n0) / 65536
+  acc += a0 * b1 + a1 * b0 + m0 * n1
+  const m1 = Math.imul(acc & 0xffff, inverse) & 0xffff
+  acc = (acc + m1 * n0) / 65536
+  acc += a0 * b2 + a1 * b1 + a2 * b0 + m0 * n2 + m1 * n1
+  const m2 = Math.imul(acc & 0xffff, inverse) & 0xffff
+  acc = (acc + m2 * n0) / 65536
+  acc += a0 * b3 + a1 * b2 + a2 * b1 + a3 * b0 + m0 * n3 + m1 * n2 + m2 * n1
+  const m3 = Math.imul(acc & 0xffff, inverse) & 0xffff
+  acc = (acc + m3 * n0) / 65536
+
+  // The high half is the result, below 2n
+  acc += a1 * b3 + a2 * b2 + a3 * b1 + m1 * n3 + m2 * n2 + m3 * n1
+  let t0 = acc & 0xffff
+  acc = (acc - t0) / 65536
+  acc += a2 * b3 + a3 * b2 + m2 * n3 + m3 * n2
+  let t1 = acc & 0xffff
+  acc = (acc - t1) / 65536
+  acc += a3 * b3 + m3 * n3
+  let t2 = acc & 0xffff
+  acc = (acc - t2) / 65536
+  let t3 = acc & 0xffff
+  const t4 = (acc - t3) / 65536
+
+  // At most one subtraction of n brings it into [0, n)
+  if (t4 !== 0 || t3 > n3 || (t3 === n3 && (t2 > n2 || (t2 === n2 && (t1 > n1 || (t1 === n1 && t0 >= n0)))))) {
+    t0 -= n0
+    t1 -= n1 + (t0 < 0 ? 1 : 0)
+    t2 -= n2 + (t1 < 0 ? 1 : 0)
+    t3 -= n3 + (t2 < 0 ? 1 : 0)
+    t0 &= 0xffff
+    t1 &= 0xffff
+    t2 &= 0xffff
+    t3 &= 0xffff
+  }
+  out[0] = t0
+  out[1] = t1
+  out[2] = t2
+  out[3] = t3
+}
+
+/**
+ * Checks whether two 64-bit numbers in limbs are equal.
+ *
+ * @param {Uint32Array} a The first number
+ * @param {Uint32Array} b The second number
+ * @returns {boolean} a === b
+ */
+function equalsUint64(a, b) {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3]
+}
+
+/**
+ * Runs the deterministic Miller-Rabin test on `n` with the seven BIGINT_BASES, entirely in Number arithmetic on 16-bit limbs.
+ * BigInts are only used to set up the Montgomery constants of `n`, so no BigInt is allocated per modular multiplication,
+ * unlike primalityTestBigint(). primalityTest() uses it for inputs between Number.MAX_SAFE_INTEGER and 2^64.
+ *
+ * @param {bigint} n A number in the range [Number.MAX_SAFE_INTEGER, 2^64)
+ * @param {PrimalityTestOptions?} options - optional arguments, of which only `trialDivision` is used (see primalityTestBigint())
+ * @returns {boolean} true if `n` is prime, false otherwise
+ */
+function primalityTestUint64(n, options) {
+  if ((n & ONE) === ZERO) return false
+  setUint64Limbs(uint64Modulus, n)
+  const [n0, n1, n2, n3] = uint64Modulus
+
+  // Cheaply rule out n with small factors, by Horner's rule over the limbs (n is larger than all the primes tried)
+  const primes = getTrialDivisionTable(options && options.trialDivision).primes
+  for (let i = 1; i < primes.length; i++) {
+    const p = primes[i]
+    if (((((n3 % p) * 65536 + n2) % p * 65536 + n1) % p * 65536 + n0) % p === 0) return false
+  }
+
+  // -n^-1 mod 2^16 by Newton's iteration, each step doubling the number of correct low bits (n0 * n0 = 1 mod 8 to start with)
+  let inverse = n0
+  for (let i = 0; i < 3; i++) inverse = Math.imul(inverse, 2 - Math.imul(n0, inverse)) & 0xffff
+  uint64ModulusInverse = (65536 - inverse) & 0xffff
+
+  const r = LIMIT_DETERMINISM % n
+  setUint64Limbs(uint64One, r)
+  setUint64Limbs(uint64MinusOne, n - r)
+  setUint64Limbs(uint64RSquared, (r * r) % n)
+  const nSub = n - ONE
+  const shift = twoMultiplicity(nSub)
+  const s = Number(shift)
+  setUint64Limbs(uint64Exponent, nSub >> shift)
+  const exponentBits = bitLength(nSub) - s
+
+  for (const base of UINT64_BASES) {
+    // Convert the base into Montgomery form, then raise it to the power d = (n-1) / 2^s, from the most significant bit down
+    uint64Base[0] = base & 0xffff
+    uint64Base[1] = base >>> 16
+    uint64Base[2] = 0
+    uint64Base[3] = 0
+    montgomeryMulUint64(uint64Base, uint64RSquared, uint64Base)
+    uint64Power.set(uint64Base)
+    for (let bit = exponentBits - 2; bit >= 0; bit--) {
+      montgomeryMulUint64(uint64Power, uint64Power, uint64Power)
+      if ((uint64Exponent[bit >>> 4] >>> (bit & 15)) & 1) montgomeryMulUint64(uint64Power, uint64Base, uint64Power)
+    }
+
+    if (equalsUint64(uint64Power, uint64One) || equalsUint64(uint64Power, uint64MinusOne)) continue
+    let passed = false
+    for (let i = 1; i < s; i++) {
+      montgomeryMulUint64(uint64Power, uint64Power, uint64Power)
+      if (equalsUint64(uint64Power, uint64MinusOne)) {
+        passed = true
+        break
+      }
+      if (equalsUint64(uint64Power, uint64One)) break
+    }
+    if (!passed) return false
+  }
+  return true
+}
+
 /**
  * Runs probabilistic Miller-Rabin primality tests on bigint `n` using randomly-chosen bases, to determine with high probability whether `n` is a prime number.
  *
@@ -420,123 +1485,602 @@ function primalityTestNumber(n) {
  *    is specified, the `numRounds` option will be ignored, and the maximum number of testing rounds will equal `bases.length` (one round
  *    for each given base). Every base provided must lie within the range [2, n-2] (inclusive) or a RangeError will be thrown.
  *    If `bases` is specified but is not an array, a TypeError will be thrown.
- *   - `findDivisor` is a boolean specifying whether to calculate and return a divisor of `n` in certain cases where this is
- *    easily possible (not guaranteed). Set this to false to avoid extra calculations if a divisor is not needed. Defaults to `true`.
+ *   - `findDivisor` is a boolean specifying whether to calculate a divisor of `n` in certain cases where this is
+ *    easily possible (not guaranteed), which primalityTestDetailed() then reports. Set this to false to avoid extra calculations
+ *    if a divisor is not needed. Defaults to `true`.
  *   - `useMontgomery` specifies whether the Montgomery reduction context for faster modular exponentiation should be used.
- *     If left undefined, it is set automatically (recommended).
+ *     If left undefined, it is set automatically (recommended), from 10^30 on or from the crossover measured by calibrate().
+ *   - `seed` is a number, string or bigint used to seed the built-in deterministic RNG (see createSeededRng()) that picks
+ *     the random bases. The same seed and `n` always produce the same bases, on every javascript engine.
+ *   - `rng` is a function returning floats in [0, 1), like `Math.random()`, to draw the random bases from.
+ *     Takes precedence over `seed`. Defaults to `Math.random()` if neither `rng` nor `seed` is given.
+ *   - `trialDivision` is the bound up to which the primes are tried as divisors of `n` before any Miller-Rabin round,
+ *     which quickly rejects most composites and proves the primality of `n` below the square of the bound.
+ *     Set it to 0 or false to skip trial division. Defaults to DEFAULT_TRIAL_DIVISION_LIMIT.
+ *   - `method` is either "miller-rabin" (random-base Miller-Rabin, as described above) or "bpsw" (the deterministic
+ *     Baillie-PSW test, see bailliePSWBigint(), which ignores the options about bases and rounds).
+ *     Defaults to "miller-rabin", which can be changed with setDefaultMethod().
+ *   - `errorProbability` is a target error probability in (0, 1), or `securityBits` the same target as a number of bits
+ *     (2^-securityBits). The number of random bases is then the smallest one meeting the target, see getRequiredNumRounds(),
+ *     unless `numRounds` or `bases` is given. Only one of the two options may be set.
+ *   - `adversarial` specifies whether `n` may have been chosen to fool the test, in which case the target is met with the
+ *     worst-case bound 4^-k. Otherwise `n` is assumed to be a random candidate, and the much smaller average-case bounds
+ *     of getErrorBound() are used. Defaults to false; only relevant with a target.
+ *   - `specialForm` specifies whether to recognize the numbers of the form k*2^m+1 or k*2^m-1 (with k odd and k < 2^m)
+ *     above 2^64, and run the deterministic test specific to their form instead, see primalityTestSpecialForm().
+ *     Defaults to false.
+ *   - `backend` is either "bigint" (the Miller-Rabin rounds run on BigInts) or "wasm" (they run in WebAssembly, with
+ *     Montgomery multiplication on 32-bit limbs, see millerRabinRoundWasm()). Both give identical results, and "wasm"
+ *     falls back on "bigint" where WebAssembly is unavailable, see isBackendAvailable(). Defaults to "bigint".
  * @returns {boolean} true if all the primality tests passed, false otherwise
  */
-function primalityTestBigint(
-  n,
-{ numRounds, bases, findDivisor = true, useMontgomery} = {}
-) {
-  // Handle some small special cases
-  if (n < TWO) return false // n = 0 or 1
-  else if (n < FOUR) return true // n = 2 or 3
-  else if (!(n & ONE)) return false // Quick short-circuit for other even n
-  else if (n < LIMIT_DETERMINISM) bases = BIGINT_BASES
+function primalityTestBigint(n, options) {
+  return runBigintTest(n, options).probablePrime
+}
 
-  const nBits = bitLength(n)
+/**
+ * Runs Miller-Rabin primality tests on `n` like primalityTest(), but returns a PrimalityResult describing why `n`
+ * was accepted or rejected instead of a bare boolean: the bases that were tried, the base that witnessed the
+ * compositeness of `n` (if any), a nontrivial divisor of `n` (if one was found along the way) and an upper bound
+ * on the probability that a "probable prime" verdict is wrong.
+ *
+ * Unlike primalityTest(), this always runs the BigInt code path, so it is slower for small `n`.
+ * @param {number|string|bigint} n - A number or bigint integer to be tested for primality.
+ * @param {PrimalityTestOptions?} options - optional arguments, as accepted by primalityTestBigint()
+ * @returns {PrimalityResult} The detailed result of the primality test
+ */
+function primalityTestDetailed(n, options) {
+  return runBigintTest(n, options)
+}
+
+/**
+ * Returns the deterministic Miller-Rabin bases for `n`, reduced modulo `n` (bases divisible by `n` are skipped).
+ * Below Number.MAX_SAFE_INTEGER these are the same bases primalityTestNumber() uses; otherwise BIGINT_BASES.
+ *
+ * @param {bigint} n An odd number below LIMIT_DETERMINISM
+ * @returns {bigint[]} The bases that deterministically decide the primality of `n`
+ */
+function getDeterministicBases(n) {
+  const bases = n < MAX_SAFE_INTEGER_BIGINT ? getIntBases(Number(n)).map(BigInt) : BIGINT_BASES
+  const reduced = []
+  for (const base of bases) {
+    const b = base % n
+    if (b !== ZERO) reduced.push(b)
+  }
+  return reduced
+}
+
+/**
+ * Runs the primality test selected by the `method` option (or the default method, see setDefaultMethod()) on bigint `n`.
+ *
+ * @param {bigint} n A Bigint integer to be tested for primality.
+ * @param {PrimalityTestOptions?} options See primalityTestBigint()
+ * @returns {PrimalityResult} The detailed result of the primality test
+ */
+function runBigintTest(n, options) {
+  n = BigInt(normalizeInteger(n))
+  const method = (options && options.method) || defaultMethod
+
+  // Cheaply rule out odd n with small factors, and settle small n entirely (the other cases are handled by each method)
+  if (n > FOUR && (n & ONE)) {
+    const factor = trialDivideBigint(n, getTrialDivisionTable(options && options.trialDivision))
+    if (factor === ONE) return new PrimalityResult({ probablePrime: true, deterministic: true })
+    else if (factor !== ZERO) return new PrimalityResult({ probablePrime: false, deterministic: true, divisor: factor })
+  }
+
+  // Numbers of a special form get a definitive test of their own when asked for (below 2^64, every method is deterministic)
+  if (options && options.specialForm && n >= LIMIT_DETERMINISM) {
+    const form = getSpecialForm(n)
+    if (form) return new PrimalityResult({ probablePrime: runSpecialFormTest(form), deterministic: true })
+  }
+
+  if (method === "miller-rabin") return millerRabinBigint(n, options)
+  else if (method === "bpsw") return bailliePSWBigint(n, options)
+  throw new RangeError(`invalid method option (must be "miller-rabin" or "bpsw"): ${method}`)
+}
+
+/**
+ * Sets the primality test that primalityTestBigint(), and thus primalityTest() for inputs above Number.MAX_SAFE_INTEGER,
+ * runs when no `method` option is given. Initially "miller-rabin".
+ *
+ * @param {"miller-rabin" | "bpsw"} method The new default method
+ */
+function setDefaultMethod(method) {
+  if (method !== "miller-rabin" && method !== "bpsw") {
+    throw new RangeError(`invalid method (must be "miller-rabin" or "bpsw"): ${method}`)
+  }
+  defaultMethod = method
+}
+
+/**
+ * Measures the crossover between the plain and Montgomery BigInt paths on the running javascript engine, and stores it
+ * so that the `useMontgomery` option of subsequent primalityTestBigint() calls defaults to the faster path.
+ * Until then, Montgomery reduction is used from LOWER_LIMIT_MONTGOMMERY (10^30) on, which does not suit every engine.
+ *
+ * A Miller-Rabin round on a seeded random number is timed with both paths at each bit size, and the crossover
+ * minimizes the sum over all sizes of each path's time relative to the faster one, so that a noisy size cannot
+ * swing it. It lies halfway (in bits) between the last size where the plain path was chosen and the next one.
+ * The calibration takes about `2 * bits.length * minTime` milliseconds, plus a round at each size if that is longer.
+ * It only affects the current thread: the workers of primalityTestBatch() keep the default.
+ *
+ * @param {CalibrationOptions?} options An object specifying the `bits` to time at and/or the `minTime` of each measurement
+ * @returns {CalibrationResult} The stored crossover and the timings it was derived from
+ */
+function calibrate(options) {
+  const { bits = CALIBRATION_BITS, minTime = 10 } = options || {}
+  if (!Array.isArray(bits) || bits.length === 0 || !bits.every(b => Number.isInteger(b) && b >= 16)) {
+    throw new RangeError(`invalid bits option (must be a nonempty array of integers of at least 16)`)
+  }
+  if (!(minTime > 0 && minTime < Infinity)) throw new RangeError(`invalid minTime option (must be a positive number): ${minTime}`)
+  const sizes = [...new Set(bits)].sort((a, b) => a - b)
+  const now = typeof performance !== "undefined" ? () => performance.now() : () => Date.now()
+  const rng = createSeededRng("calibrate")
+
+  const timings = sizes.map(size => {
+    const n = BigInt("0b1" + getRandomBitString(size - 1, rng)) | ONE
+    const base = getRandomBase(size, n - ONE, rng)
+    const time = useMontgomery => {
+      millerRabinRound(base, getMillerRabinContext(n, useMontgomery), false) // Warm up
+      const start = now()
+      let runs = 0
+      let elapsed
+      do {
+        millerRabinRound(base, getMillerRabinContext(n, useMontgomery), false)
+        runs++
+      } while ((elapsed = now() - start) < minTime)
+      return elapsed / runs
+    }
+    return { bits: size, plain: time(false), montgomery: time(true) }
+  })
+
+  // Plain arithmetic below sizes[best], Montgomery from it on (best = sizes.length means never)
+  let best = 0
+  let bestCost = Infinity
+  for (let i = 0; i <= sizes.length; i++) {
+    let cost = 0
+    timings.forEach(({ plain, montgomery }, j) => {
+      cost += (j < i ? plain : montgomery) / Math.min(plain, montgomery)
+    })
+    if (cost < bestCost) {
+      best = i
+      bestCost = cost
+    }
+  }
+
+  if (best === sizes.length) montgomeryCrossover = null
+  else if (best === 0) montgomeryCrossover = ZERO
+  else montgomeryCrossover = ONE << BigInt(Math.floor((sizes[best - 1] + sizes[best]) / 2) - 1)
+  return { crossover: montgomeryCrossover, timings }
+}
+
+/**
+ * Handles the trivial cases of primality testing shared by every method: n < 4 and even n.
+ *
+ * @param {bigint} n A Bigint integer to be tested for primality.
+ * @returns {PrimalityResult | null} The result for trivial `n`, or null if `n` is odd and at least 5
+ */
+function trivialResult(n) {
+  if (n < TWO) return new PrimalityResult({ probablePrime: false, deterministic: true }) // n = 0 or 1
+  else if (n < FOUR) return new PrimalityResult({ probablePrime: true, deterministic: true }) // n = 2 or 3
+  else if (!(n & ONE)) return new PrimalityResult({ probablePrime: false, deterministic: true, divisor: TWO }) // Other even n
+  return null
+}
+
+/**
+ * Precomputes everything needed to run Miller-Rabin rounds on the odd number `n`.
+ *
+ * @param {bigint} n An odd number of at least 5
+ * @param {boolean | undefined} useMontgomery Whether to use Montgomery reduction; set according to the crossover if undefined
+ * @param {"wasm" | "bigint" | undefined} backend Where to run the rounds, see the `backend` option of primalityTestBigint()
+ * @returns {MillerRabinContext}
+ */
+function getMillerRabinContext(n, useMontgomery, backend) {
   const nSub = n - ONE
 
   // Represent n-1 as d * 2^r, with d odd
   const r = twoMultiplicity(nSub) // Multiplicity of prime factor 2 in the prime factorization of n-1
   const d = nSub >> r // The result of factoring out all powers of 2 from n-1
 
-  // Either use the user-provided list of bases to test against, or determine how many random bases to test
-  const validBases = validateBases(bases, nSub)
+  // if useMontgomery is not specified, it will be set according to the cutoff at LOWER_LIMIT_MONTGOMMERY, or the one measured by calibrate()
+  if (useMontgomery === undefined) {
+    if (montgomeryCrossover === null || n < montgomeryCrossover) useMontgomery = false
+    else useMontgomery = true
+  }
+
+  // Montgomery reduction is faster for larger numbers (like above 1e30), plain modular arithmetic for smaller ones.
+  // Either way, all the values in millerRabinRound() live in the same representation, so only the arithmetic differs.
+  const reductionContext = useMontgomery ? getReductionContext(n) : null
+  const oneReduced = useMontgomery ? montgomeryReduce(ONE, reductionContext) : ONE // The number 1 in the reduction context
+  const nSubReduced = useMontgomery ? montgomeryReduce(nSub, reductionContext) : nSub // The number n-1 in the reduction context
+
+  // The WebAssembly backend replaces the BigInt arithmetic of the rounds, and falls back on it where it is unavailable.
+  // The BigInt values above are still needed by the strong Lucas test and primalityTestAsync(), which always use BigInts.
+  const wasm = validateBackend(backend) === "wasm" && getWasmEngine() !== null ? getWasmContext(n, d) : null
+
+  return { n, nSub, r, d, reductionContext, oneReduced, nSubReduced, wasm }
+}
+
+/**
+ * Runs a single Miller-Rabin round on `n` with the given base.
+ *
+ * @param {bigint} base The base to test against, in [1, n-1]
+ * @param {MillerRabinContext} mr The context of `n`, from getMillerRabinContext()
+ * @param {boolean} findDivisor Whether to look for a divisor of `n` if `base` turns out to be a witness
+ * @returns {{ witness: bigint | null, divisor: bigint | null } | null} null if `n` is a strong probable prime to `base`,
+ *   otherwise the base if it is a witness to the compositeness of `n` (rather than sharing a factor with it) and the divisor found (if any)
+ */
+function millerRabinRound(base, mr, findDivisor) {
+  if (mr.wasm) return millerRabinRoundWasm(base, mr, findDivisor)
+  const { n, r, d, reductionContext, oneReduced, nSubReduced } = mr
+  const sqr = x => reductionContext ? montgomerySqr(x, reductionContext) : (x * x) % n
+  // x is a nontrivial square root of 1 (mod n), so gcd(x-1, n) is a nontrivial divisor of n
+  const nontrivialRootDivisor = x => ugcd((reductionContext ? invMontgomeryReduce(x, reductionContext) : x) - ONE, n)
+
+  // Check whether the chosen base has any factors in common with n (if so, we can end early)
+  if (findDivisor) {
+    const gcd = ugcd(n, base)
+    if (gcd !== ONE && gcd !== n) return { witness: null, divisor: gcd } // Found a factor of n, so no need for further primality tests
+  }
+
+  let x = reductionContext
+    ? montgomeryPow(montgomeryReduce(base, reductionContext), d, reductionContext)
+    : modPowBigint(base, d, n)
+  if (x === oneReduced || x === nSubReduced) return null // The test passed: base^d = +/-1 (mod n)
+
+  // Perform the actual Miller-Rabin loop, squaring up to base^(d*2^(r-1))
+  for (let i = ONE; i < r; i++) {
+    const y = sqr(x)
+
+    if (y === oneReduced) {
+      // The test failed: base^(d*2^i) = 1 (mod n) and thus cannot be -1 for any i
+      return { witness: base, divisor: findDivisor ? nontrivialRootDivisor(x) : null }
+    } else if (y === nSubReduced) {
+      // The test passed: base^(d*2^i) = -1 (mod n) for the current i
+      // So n is a strong probable prime to this base (though n may still be composite)
+      return null
+    }
+    x = y
+  }
+
+  // No value of i satisfied base^(d*2^i) = +/-1 (mod n)
+  // So this base is a witness to the guaranteed compositeness of n
+  // If base^(n-1) = 1 (mod n) anyway, x = base^(d*2^(r-1)) is a nontrivial square root of 1 (mod n)
+  if (findDivisor && sqr(x) === oneReduced) return { witness: base, divisor: nontrivialRootDivisor(x) }
+  return { witness: base, divisor: null }
+}
+
+/**
+ * The Miller-Rabin core behind primalityTestBigint() and primalityTestDetailed().
+ *
+ * @param {bigint} n A Bigint integer to be tested for primality.
+ * @param {PrimalityTestOptions?} options See primalityTestBigint()
+ * @returns {PrimalityResult} The detailed result of the primality test
+ */
+function millerRabinBigint(n, options) {
+  const plan = getMillerRabinPlan(n, options)
+  if (plan instanceof PrimalityResult) return plan
+  const { mr, numRounds, findDivisor } = plan
+  const testedBases = []
+
+  for (let round = 0; round < numRounds; round++) {
+    // Use the next deterministic or user-specified base, or select a random base to test
+    const base = plan.bases != null ? plan.bases[round] : getRandomBase(plan.nBits, mr.nSub, plan.random)
+    testedBases.push(base)
+
+    const failure = millerRabinRound(base, mr, findDivisor)
+    if (failure) {
+      return new PrimalityResult({ probablePrime: false, deterministic: true, bases: testedBases, ...failure })
+    }
+  }
+
+  return new PrimalityResult({ probablePrime: true, deterministic: plan.deterministic, bases: testedBases, errorBound: plan.errorBound })
+}
+
+/**
+ * Decides how millerRabinBigint() (or primalityTestAsync()) tests `n`: which bases, how many rounds, and the error
+ * bound a "probable prime" verdict would carry.
+ *
+ * @param {bigint} n A Bigint integer to be tested for primality.
+ * @param {PrimalityTestOptions?} options See primalityTestBigint()
+ * @returns {MillerRabinPlan | PrimalityResult} The plan of the test, or its result if `n` is trivial
+ */
+function getMillerRabinPlan(n, options) {
+  let { numRounds, bases, findDivisor = true, useMontgomery, backend, seed, rng, errorProbability, securityBits, adversarial = false } = options || {}
+  const target = getTargetErrorLog2(errorProbability, securityBits)
+
+  // Handle some small special cases
+  const trivial = trivialResult(n)
+  if (trivial) return trivial
+
+  const deterministic = n < LIMIT_DETERMINISM
+  const nBits = bitLength(n)
+  const mr = getMillerRabinContext(n, useMontgomery, backend)
+
+  // Either use the deterministic or user-provided list of bases to test against, or determine how many random bases to test
+  const validBases = deterministic ? getDeterministicBases(n) : validateBases(bases, mr.nSub)
   if (validBases != null) numRounds = validBases.length
   else if (numRounds == null || numRounds < 1) {
-    // If the number of testing rounds was not provided, pick a reasonable one based on the size of n
+    // If the number of testing rounds was not provided, derive it from the target error probability if there is one,
+    // or else pick a reasonable one based on the size of n
     // Larger n have a vanishingly small chance to be falsely labelled probable primes, so we can balance speed and accuracy accordingly
-    numRounds = getAdaptiveNumRounds(nBits)
+    numRounds = target != null ? roundsForTarget(nBits, target, adversarial) : getAdaptiveNumRounds(nBits)
   }
 
-  let baseIndex = 0 // Only relevant if the user specified a list of bases to use
+  // Every random base of a composite n is a witness with probability at least 3/4, so k random rounds leave an error of at most 4^-k.
+  // The smaller average-case bound is only reported when it was asked for, by a target without `adversarial`.
+  // No such bound holds for user-provided bases.
+  let errorBound = null
+  if (deterministic) errorBound = 0
+  else if (validBases == null) errorBound = getErrorBound(nBits, numRounds, { adversarial: adversarial || target == null })
 
-  // if useMontgomery is not specified, it will be set according to the cutoff at LOWER_LIMIT_MONTGOMMERY
-  if (useMontgomery === undefined) {
-    if (n < LOWER_LIMIT_MONTGOMMERY) useMontgomery = false
-    else useMontgomery = true
-  }
+  const random = resolveRng(seed, rng) // Only relevant if the bases are chosen randomly
+  return { mr, bases: validBases, numRounds, nBits, random, findDivisor, deterministic, errorBound }
+}
 
-  if (useMontgomery) { // Faster for larger numbers (like above 1e30)
-    // Convert into a Montgomery reduction context for faster modular exponentiation
-    const reductionContext = getReductionContext(n)
-    const oneReduced = montgomeryReduce(ONE, reductionContext) // The number 1 in the reduction context
-    const nSubReduced = montgomeryReduce(nSub, reductionContext) // The number n-1 in the reduction context
+/**
+ * Runs the Baillie-PSW primality test on bigint `n`: a Miller-Rabin round to base 2 followed by a strong Lucas
+ * probable prime test with Selfridge's parameters. It involves no randomness, and no composite passing it is known;
+ * in particular there is none below 2^64, where the result is therefore deterministic.
+ *
+ * @param {bigint} n A Bigint integer to be tested for primality.
+ * @param {PrimalityTestOptions?} options An object specifying the `findDivisor`, `useMontgomery` and/or `backend` options, see primalityTestBigint()
+ * @returns {PrimalityResult} The detailed result of the primality test
+ */
+function bailliePSWBigint(n, { findDivisor = true, useMontgomery, backend } = {}) {
+  // Handle some small special cases
+  const trivial = trivialResult(n)
+  if (trivial) return trivial
 
-    for (let round = 0; round < numRounds; round++) {
-      let base
-      if (validBases != null) {
-        // Use the next user-specified base
-        base = validBases[baseIndex]
-        baseIndex++
-      } else {
-        // Select a random base to test
-        do {
-          base = BigInt("0b" + getRandomBitString(nBits))
-        } while (!(base >= TWO) || !(base < nSub)) // The base must lie within [2, n-2]
-      }
+  const deterministic = n < LIMIT_DETERMINISM
+  const mr = getMillerRabinContext(n, useMontgomery, backend)
+  const bases = [TWO]
 
-      // Check whether the chosen base has any factors in common with n (if so, we can end early)
-      if (findDivisor) {
-        const gcd = ugcd(n, base)
-        if (gcd !== ONE) return false // Found a factor of n, so no need for further primality tests
-      }
+  const failure = millerRabinRound(TWO, mr, findDivisor) || strongLucasRound(n, mr.reductionContext)
+  if (failure) return new PrimalityResult({ probablePrime: false, deterministic: true, bases, ...failure })
+
+  // No bound on the error probability is proven above 2^64, even though no counterexample is known
+  return new PrimalityResult({ probablePrime: true, deterministic, bases, errorBound: deterministic ? 0 : null })
+}
 
-      const baseReduced = montgomeryReduce(base, reductionContext)
-      let x = montgomeryPow(baseReduced, d, reductionContext)
-      if (x === oneReduced || x === nSubReduced) continue // The test passed: base^d = +/-1 (mod n)
+/**
+ * Runs a strong Lucas probable prime test on `n`, with the parameters P = 1 and Q = (1 - D) / 4 where D is the first
+ * number in the sequence 5, -7, 9, -11, 13, ... with Jacobi symbol (D/n) = -1 (Selfridge's method A).
+ * The Lucas sequences are computed in the same representation as the Miller-Rabin rounds, so the Montgomery
+ * reduction context of `n` is reused if there is one.
+ *
+ * @param {bigint} n An odd number of at least 5, which is not divisible by 2
+ * @param {MontgomeryReductionContext | null} reductionContext The Montgomery context of `n`, or null for plain arithmetic
+ * @returns {{ witness: null, divisor: bigint | null } | null} null if `n` is a strong Lucas probable prime, otherwise the divisor found (if any)
+ */
+function strongLucasRound(n, reductionContext) {
+  // Find D with Selfridge's method A
+  let D = 5n
+  for (let attempts = 0; ; attempts++) {
+    const j = jacobiSymbol(D, n)
+    if (j === -1) break
+    const absD = D < ZERO ? -D : D
+    if (j === 0 && absD !== n) return { witness: null, divisor: ugcd(absD, n) } // D shares a factor with n
+
+    // Perfect squares have (D/n) = 1 for every D coprime to n, so the search would never end for them
+    if (attempts === 8) {
+      const root = isqrtBigint(n)
+      if (root * root === n) return { witness: null, divisor: root }
+    }
+    D = D > ZERO ? -(D + TWO) : -D + TWO
+  }
+  const Q = (ONE - D) / FOUR // Exact, since D = 1 (mod 4)
 
-      // Perform the actual Miller-Rabin loop
-      let i, y
-      for (i = ZERO; i < r; i++) {
-        y = montgomerySqr(x, reductionContext)
+  const mod = x => {
+    x %= n
+    return x < ZERO ? x + n : x
+  }
+  const toReduced = x => reductionContext ? montgomeryReduce(mod(x), reductionContext) : mod(x)
+  const mul = (a, b) => reductionContext ? montgomeryMul(a, b, reductionContext) : (a * b) % n
+  const half = x => ((x & ONE) ? x + n : x) >> ONE // Division by 2 (mod n), which commutes with Montgomery form
+
+  // Represent n+1 as d * 2^s, with d odd
+  const nAdd = n + ONE
+  const s = twoMultiplicity(nAdd)
+  const d = nAdd >> s
+
+  // Compute U_d, V_d and Q^d from the most significant bit of d down, starting at U_1 = 1, V_1 = P = 1
+  // Multiplying a reduced number by the plain number D keeps it in the same representation
+  const DPlain = mod(D)
+  const QReduced = toReduced(Q)
+  let U = toReduced(ONE)
+  let V = U
+  let Qk = QReduced
+  const dBits = d.toString(2)
+  for (let i = 1; i < dBits.length; i++) {
+    // Double the index: U_2k = U_k V_k, V_2k = V_k^2 - 2Q^k
+    U = mul(U, V)
+    V = mod(mul(V, V) - TWO * Qk)
+    Qk = mul(Qk, Qk)
+    if (dBits[i] === "1") {
+      // Increment the index: U_k+1 = (P U_k + V_k) / 2, V_k+1 = (D U_k + P V_k) / 2
+      const nextU = half(mod(U + V))
+      V = half(mod(DPlain * U + V))
+      U = nextU
+      Qk = mul(Qk, QReduced)
+    }
+  }
 
-        if (y === oneReduced) return false // The test failed: base^(d*2^i) = 1 (mod n) and thus cannot be -1 for any i
-        else if (y === nSubReduced) {
-          // The test passed: base^(d*2^i) = -1 (mod n) for the current i
-          // So n is a strong probable prime to this base (though n may still be composite)
-          return true
-        }
-        x = y
-      }
+  // n is a strong Lucas probable prime if U_d = 0 or V_(d*2^i) = 0 (mod n) for some 0 <= i < s
+  if (U === ZERO || V === ZERO) return null
+  for (let i = ONE; i < s; i++) {
+    V = mod(mul(V, V) - TWO * Qk)
+    if (V === ZERO) return null
+    Qk = mul(Qk, Qk)
+  }
+  return { witness: null, divisor: null }
+}
 
-      // No value of i satisfied base^(d*2^i) = +/-1 (mod n)
-      // So this base is a witness to the guaranteed compositeness of n
-      if (i === r) return false
+/**
+ * Tests `n` for primality with the test specific to its form, when it is k*2^m+1 or k*2^m-1 with k odd and smaller
+ * than 2^m. These tests are deterministic, unlike Miller-Rabin above 2^64, and reduce modulo `n` by shifts and additions
+ * instead of divisions (see reduceSpecialForm()), which makes them much faster on such numbers:
+ *   - Mersenne numbers 2^m-1: the Lucas-Lehmer test, after checking that `m` is prime.
+ *   - Fermat numbers 2^m+1: Pepin's test, after checking that `m` is a power of 2.
+ *   - Proth numbers k*2^m+1: Proth's theorem, with a base for which the Jacobi symbol is -1.
+ *   - Riesel numbers k*2^m-1: the Lucas-Lehmer-Riesel test, with Rodseth's choice of the starting value.
+ * Below 2^64, where primalityTest() is deterministic as well, `n` is tested with primalityTest().
+ * Throws a RangeError if `n` is not of either form.
+ * @param {number|string|bigint} n - A number of the form k*2^m+1 or k*2^m-1, with k odd and k < 2^m
+ * @returns {boolean} true if `n` is prime, false otherwise
+ */
+function primalityTestSpecialForm(n) {
+  n = BigInt(normalizeInteger(n))
+  const form = getSpecialForm(n)
+  if (form === null) throw new RangeError(`${n} is not of the form k*2^m+1 or k*2^m-1 with k odd and k < 2^m`)
+  if (n < LIMIT_DETERMINISM) return primalityTest(n)
+
+  // Cheaply rule out n with small factors first, like runBigintTest()
+  const factor = trialDivideBigint(n, getTrialDivisionTable())
+  if (factor !== ZERO) return factor === ONE
+  return runSpecialFormTest(form)
+}
+
+/**
+ * Writes `n` as k*2^m+1 or k*2^m-1, with k odd and smaller than 2^m, if possible.
+ *
+ * @param {bigint} n Any number
+ * @returns {SpecialForm | null} The form of `n`, or null if it has neither
+ */
+function getSpecialForm(n) {
+  if (n < 3n) return null
+  for (const sign of [ONE, -ONE]) {
+    const x = n - sign
+    // x & -x is the lowest set bit of x, i.e. 2^m
+    const m = bitLength(x & -x) - 1
+    const k = x >> BigInt(m)
+    if (m > 0 && bitLength(k) <= m) {
+      const shift = BigInt(m)
+      return { n, k, m, sign, shift, mask: (ONE << shift) - ONE }
     }
-    return true
-  } else { // Use Miller-Robin method (faster for smaller numbers, like below 1e30)
-    for (let round = 0; round < numRounds; round++) {
-      let base
-      if (validBases != null) {
-        // Use the next user-specified base
-        base = validBases[baseIndex]
-        baseIndex++
-      } else {
-        // Select a random base to test
-        do {
-          base = BigInt("0b" + getRandomBitString(nBits))
-        } while (!(base >= TWO) || !(base < nSub)) // The base must lie within [2, n-2]
-      }
+  }
+  return null
+}
 
-      // Check whether the chosen base has any factors in common with n (if so, we can end early)
-      if (findDivisor) {
-        const gcd = ugcd(n, base)
-        if (gcd !== ONE) return false // Found a factor of n, so no need for further primality tests
-      }
+/**
+ * Runs the test specific to the form of `n`, see primalityTestSpecialForm().
+ *
+ * @param {SpecialForm} form The form of `n`, from getSpecialForm()
+ * @returns {boolean} true if `n` is prime, false otherwise
+ */
+function runSpecialFormTest(form) {
+  const { n, k, m, sign } = form
+  const sqr = x => reduceSpecialForm(x * x, form)
+
+  if (sign === ONE) {
+    // 2^m+1 has the factor 2^(m/d)+1 for every odd divisor d > 1 of m
+    if (k === ONE && (m & (m - 1)) !== 0) return false
+    // A square has no quadratic non-residues, and Proth's theorem needs one
+    const root = isqrtBigint(n)
+    if (root * root === n) return false
+
+    // Proth's theorem: n is prime iff a^((n-1)/2) = -1 (mod n), for any a with Jacobi symbol (a/n) = -1
+    // For Fermat numbers, a = 3 is always the first such base, and this is Pepin's test
+    let a = 3n
+    for (let j = jacobiSymbol(a, n); j !== -1; j = jacobiSymbol(a, n)) {
+      if (j === 0) return false // a < n shares a factor with n
+      a += TWO
+    }
+    let x = slidingWindowPow(a, k, ONE, (u, v) => reduceSpecialForm(u * v, form), sqr)
+    for (let i = 1; i < m; i++) x = sqr(x)
+    return x === n - ONE
+  }
 
-      // normal Miller-Rabin
-      let modularpower = modPowBigint(base, d, n)
-      if (modularpower != ONE) {
-        for (let i = ZERO, x = modularpower;  x!= nSub; i += ONE, x = (x**TWO) % n) {
-          if (i == r - ONE) return false
-        }
-      }
+  // Lucas-Lehmer-Riesel: n is prime iff s_(m-2) = 0 (mod n), where s_0 = V_k(P, 1) and s_i = s_(i-1)^2 - 2,
+  // for any P with Jacobi symbols ((P-2)/n) = 1 and ((P+2)/n) = -1 (Rodseth). P = 4 always works for Mersenne numbers,
+  // which makes this the Lucas-Lehmer test.
+  let P = 4n
+  if (k === ONE) {
+    // 2^m-1 has the factor 2^d-1 for every divisor d of m
+    if (!primalityTest(m)) return false
+  } else {
+    for (P = 3n; ; P++) {
+      const minus = jacobiSymbol(P - TWO, n)
+      const plus = jacobiSymbol(P + TWO, n)
+      if (minus === 0 || plus === 0) return false // P-2 or P+2 is smaller than n and shares a factor with it
+      if (minus === 1 && plus === -1) break
     }
-    return true
+  }
+
+  // Compute V_k(P, 1) with the Lucas chain V_2j = V_j^2 - 2 and V_(2j+1) = V_j * V_(j+1) - P
+  let [v, vNext] = [TWO, P]
+  for (const bit of k.toString(2)) {
+    const product = reduceSpecialForm(v * vNext + n - P, form)
+    if (bit === "1") [v, vNext] = [product, reduceSpecialForm(vNext * vNext + n - TWO, form)]
+    else [v, vNext] = [reduceSpecialForm(v * v + n - TWO, form), product]
+  }
+  for (let i = 2; i < m; i++) v = reduceSpecialForm(v * v + n - TWO, form)
+  return v === ZERO
+}
+
+/**
+ * Reduces `x` modulo n = k*2^m+sign, with shifts and additions and a division by the small k at most, instead of a
+ * division by `n`. Writing x = high*2^m + low and high = q*k + t, k*2^m = -sign (mod n) gives
+ * x = t*2^m + low - sign*q (mod n), which is smaller than `x` by q*n.
+ *
+ * @param {bigint} x A non-negative number
+ * @param {SpecialForm} form The form of the modulus, from getSpecialForm()
+ * @returns {bigint} x mod n
+ */
+function reduceSpecialForm(x, { n, k, shift, mask, sign }) {
+  // x > n implies high >= k, so every step takes q >= 1 times n off x
+  while (x > n) {
+    const high = x >> shift
+    const q = k === ONE ? high : high / k
+    const t = high - q * k
+    x = (t << shift) + (x & mask) - sign * q
+  }
+  if (x < ZERO) return x + n
+  return x === n ? ZERO : x
+}
+
+/**
+ * Calculates the Jacobi symbol (a/n).
+ *
+ * @param {bigint} a Any number
+ * @param {bigint} n A positive odd number
+ * @returns {number} The Jacobi symbol (a/n), which is -1, 0 or 1
+ */
+function jacobiSymbol(a, n) {
+  a %= n
+  if (a < ZERO) a += n
+
+  let result = 1
+  while (a !== ZERO) {
+    // (2/n) = -1 exactly when n = 3 or 5 (mod 8)
+    while (!(a & ONE)) {
+      a >>= ONE
+      const nMod8 = n & 7n
+      if (nMod8 === 3n || nMod8 === 5n) result = -result
+    }
+    // Quadratic reciprocity: (a/n) = -(n/a) exactly when a = n = 3 (mod 4)
+    [a, n] = [n, a]
+    if ((a & 3n) === 3n && (n & 3n) === 3n) result = -result
+    a %= n
+  }
+
+  return n === ONE ? result : 0
+}
+
+/**
+ * Calculates the integer square root of `n`, i.e. the largest number whose square is at most `n`, with Newton's method.
+ *
+ * @param {bigint} n Any non-negative number
+ * @returns {bigint} floor(sqrt(n))
+ */
+function isqrtBigint(n) {
+  if (n < TWO) return n
+
+  // Start from a power of two above the root, from which Newton's method decreases monotonically to it
+  let x = ONE << BigInt((bitLength(n) + 1) >> 1)
+  while (true) {
+    const y = (x + n / x) >> ONE
+    if (y >= x) return x
+    x = y
   }
 }
 
@@ -554,7 +2098,8 @@ function bitLength(n) {
 /**
  * Determines an appropriate number of Miller-Rabin testing rounds to perform based on the size of the
  * input number being tested. Larger numbers generally require fewer rounds to maintain a given level
- * of accuracy.
+ * of accuracy. The resulting error probability can be computed with getErrorBound(); to target one
+ * instead, see getRequiredNumRounds().
  *
  * @param {number} inputBits The number of bits in the input number.
  * @returns {number} How many rounds of testing to perform.
@@ -567,80 +2112,1973 @@ function getAdaptiveNumRounds(inputBits) {
   else return 6
 }
 
+/**
+ * Computes log2 of an upper bound on the probability that a composite `inputBits`-bit number passes `numRounds` Miller-Rabin
+ * rounds with random bases. For adversarial inputs this is the worst-case bound 4^-k, since at least 3/4 of the bases
+ * witness the compositeness of any odd composite. For random odd `inputBits`-bit candidates, the probability that one
+ * passing all rounds is composite is much smaller, and bounded by the minimum of 4^-k and the bounds of Damgård,
+ * Landrock and Pomerance (see "Average case error estimates for the strong probable prime test", 1993, or
+ * Fact 4.48 of the Handbook of Applied Cryptography, whose Table 4.4 they reproduce).
+ *
+ * @param {number} k The number of bits of the input
+ * @param {number} t The number of rounds
+ * @param {boolean} adversarial Whether to use the worst-case bound instead of the average-case one
+ * @returns {number} log2 of the error bound
+ */
+function getErrorBoundLog2(k, t, adversarial) {
+  let bound = -2 * t
+  if (adversarial) return bound
+  // Adds the logarithms of positive terms given by their logarithms, without underflowing for large k and t
+  const log2Sum = (...logs) => {
+    const max = Math.max(...logs)
+    return max + Math.log2(logs.reduce((sum, l) => sum + 2 ** (l - max), 0))
+  }
+
+  if (t === 1 && k >= 2) bound = Math.min(bound, 2 * Math.log2(k) + 2 * (2 - Math.sqrt(k)))
+  if ((t === 2 && k >= 88) || (t >= 3 && t <= k / 9 && k >= 21)) {
+    bound = Math.min(bound, 1.5 * Math.log2(k) + t - 0.5 * Math.log2(t) + 2 * (2 - Math.sqrt(t * k)))
+  }
+  if (t >= k / 9 && t <= k / 4 && k >= 21) {
+    bound = Math.min(bound, log2Sum(
+      Math.log2(7 / 20 * k) - 5 * t,
+      3.75 * Math.log2(k) - Math.log2(7) - k / 2 - 2 * t,
+      Math.log2(12 * k) - k / 4 - 3 * t
+    ))
+  }
+  if (t >= k / 4 && k >= 21) bound = Math.min(bound, 3.75 * Math.log2(k) - Math.log2(7) - k / 2 - 2 * t)
+  return bound
+}
+
+/**
+ * Reads the `errorProbability` and `securityBits` options as a single target, see primalityTestBigint().
+ *
+ * @param {number | undefined} errorProbability The target error probability, in (0, 1)
+ * @param {number | undefined} securityBits The target error probability as a number of bits, i.e. 2^-securityBits
+ * @returns {number | null} log2 of the target error probability, or null if neither option is set
+ */
+function getTargetErrorLog2(errorProbability, securityBits) {
+  if (errorProbability != null && securityBits != null) {
+    throw new TypeError(`the errorProbability and securityBits options are mutually exclusive`)
+  }
+  if (errorProbability != null) {
+    if (!(errorProbability > 0 && errorProbability < 1)) {
+      throw new RangeError(`invalid errorProbability option (must be in the range (0, 1)): ${errorProbability}`)
+    }
+    return Math.log2(errorProbability)
+  }
+  if (securityBits != null) {
+    if (!(securityBits > 0 && securityBits < Infinity)) {
+      throw new RangeError(`invalid securityBits option (must be a positive number): ${securityBits}`)
+    }
+    return -securityBits
+  }
+  return null
+}
+
+/**
+ * Determines the number of Miller-Rabin rounds with random bases needed to bring the error probability of a test on
+ * an `inputBits`-bit number below a target. See getErrorBound() for the error models.
+ *
+ * @param {number} inputBits The number of bits in the input number
+ * @param {{ errorProbability?: number, securityBits?: number, adversarial?: boolean }} options The target, as either
+ *   an `errorProbability` in (0, 1) or a number of `securityBits` (for an error probability of 2^-securityBits),
+ *   and whether the input may be `adversarial` rather than a random candidate.
+ * @returns {number} How many rounds of testing to perform
+ */
+function getRequiredNumRounds(inputBits, { errorProbability, securityBits, adversarial = false } = {}) {
+  const target = getTargetErrorLog2(errorProbability, securityBits)
+  if (target == null) throw new TypeError(`either the errorProbability or the securityBits option is required`)
+  return roundsForTarget(inputBits, target, adversarial)
+}
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////
-// Everything below this line is only for testing purposes
-////////////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * Finds the smallest number of rounds whose error bound is at most 2^target, see getRequiredNumRounds().
+ *
+ * @param {number} inputBits The number of bits in the input number
+ * @param {number} target log2 of the target error probability
+ * @param {boolean} adversarial Whether to use the worst-case bound
+ * @returns {number} How many rounds of testing to perform
+ */
+function roundsForTarget(inputBits, target, adversarial) {
+  // The worst-case bound 4^-k always applies, so the search stops there at the latest
+  const maxRounds = Math.max(1, Math.ceil(-target / 2))
+  let rounds = 1
+  while (rounds < maxRounds && getErrorBoundLog2(inputBits, rounds, adversarial) > target) rounds++
+  return rounds
+}
 
+/**
+ * Computes an upper bound on the probability that a composite `inputBits`-bit number passes `numRounds` Miller-Rabin
+ * rounds with random bases, i.e. that a "probable prime" verdict is wrong.
+ *   - By default, the input is assumed to be a random odd candidate (as in prime generation), and the bound is the
+ *     average-case bound of Damgård, Landrock and Pomerance, which is far smaller than 4^-k for large inputs.
+ *   - With `adversarial: true`, the input may have been chosen to fool the test, and the bound is the worst-case 4^-k.
+ *
+ * @param {number} inputBits The number of bits in the input number
+ * @param {number} numRounds The number of rounds with random bases
+ * @param {{ adversarial?: boolean }} [options] Whether the input may be adversarial
+ * @returns {number} The error bound, at least Number.MIN_VALUE even when it is smaller than that
+ */
+function getErrorBound(inputBits, numRounds, { adversarial = false } = {}) {
+  return Math.max(2 ** getErrorBoundLog2(inputBits, numRounds, adversarial), Number.MIN_VALUE)
+}
 
-// Get the mathjs module via "npm install mathjs"
-/*
-let mathjs = require('mathjs');
-
-let prime1 = 11;
-let prime2 = BigInt("34260522533194312141699016768017376046579370858274371908475849");
-let prime3 = BigInt("24609615439855545007865829059894825853255339682863740988001");
-let prime4 = BigInt("10000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000267");
-let largecomposite = prime2*prime3;
-
-function run_basic_tests(){
-  console.log("prime1 is prime? " + primalityTest(prime1));
-  console.log("prime2 is prime? " + primalityTest(prime2));
-  console.log("prime3 is prime? " + primalityTest(prime3));
-  console.log("prime4 is prime? " + primalityTest(prime4));
-  console.log("Product of prime2 and prime3 is prime? " + primalityTest(largecomposite));
-  console.log("Stupidly large composite is prime? " + primalityTest(BigInt("10") ** BigInt("1000") + BigInt("13")));
-}
-run_basic_tests();
-
-function test_for_errors(){
-  let erroramount = 0;
-  let N_TESTS = 1000;
-  for (let i = 0; i< N_TESTS; i++){
-    if (primalityTest(largecomposite)) erroramount++;
-  }
-  console.log("Consistency test. Number of false positives after " + N_TESTS + " tests: " + erroramount);
-}
-test_for_errors(largecomposite);
-
-function speed_test(){
-  let N_START = 10n**10n;
-  let N_STEPS = 10n**5n;
-  let timer = Date.now();
-  for (let i = N_START; i< N_START + N_STEPS; i+= 1n){
-    primalityTest(i, {useMontgomery: false});
-  }
-  console.log(`Speed test. Time ellapsed: ${(Date.now()-timer)/1000}s`);
-}
-speed_test();
-
-function mathjs_speed_test(){
-  let N_START = 10**10;
-  let N_STEPS = 10**5;
-  let timer = Date.now();
-  for (let i = N_START; i< N_START + N_STEPS; i+= 1){
-    mathjs.isPrime(i);
-  }
-  console.log(`Mathjs speed test. Time ellapsed: ${(Date.now()-timer)/1000}s`);
-}
-mathjs_speed_test();
-
-// Test this program for correctness with mathjs library
-function test_program(){
-  let i = 10**12 + 1;
-  while(true) {
-    let isprime_thisprogram = primalityTest(i);
-    let isprime_mathjs = mathjs.isPrime(i);
-    if (isprime_thisprogram != isprime_mathjs){
-      console.log(`Program fails for number ${i}`);
-      console.log(isprime_thisprogram);
-      console.log(isprime_mathjs);
-      break;
-    } else if(i % 10000 == 0){
-      console.log(`Numbers up to ${i} tested`);
-    }
-    i += 1;
-  }
-}
-test_program();
-*/
\ No newline at end of file
+/**
+ * Distances from each residue modulo 30 to the next residue (at or after it) that is coprime to 30,
+ * and from each residue coprime to 30 to the next one. Used to step through prime candidates with a 2-3-5 wheel.
+ */
+const WHEEL_30_NEXT = []
+const WHEEL_30_STEP = []
+for (let residue = 0; residue < 30; residue++) {
+  const isCoprime = r => r % 2 != 0 && r % 3 != 0 && r % 5 != 0
+  let next = 0
+  while (!isCoprime(residue + next)) next++
+  WHEEL_30_NEXT.push(next)
+  let step = 1
+  while (!isCoprime(residue + step)) step++
+  WHEEL_30_STEP.push(step)
+}
+
+/**
+ * Converts the output of the prime search and arithmetic functions back to the type of their inputs:
+ * a number if the inputs were numbers, a bigint otherwise.
+ *
+ * @param {number|bigint} p The result, a non-negative integer
+ * @param {boolean} asNumber Whether the inputs were numbers
+ * @returns {number|bigint} `p` as a number or as a bigint
+ */
+function toIntegerOutput(p, asNumber) {
+  if (!asNumber) return BigInt(p)
+  if (p > MAX_SAFE_INTEGER_BIGINT) throw new RangeError(`result exceeds Number.MAX_SAFE_INTEGER, pass a bigint instead: ${p}`)
+  return Number(p)
+}
+
+/**
+ * Finds the smallest prime larger than `n`. Only candidates coprime to 30 are tested, with primalityTest().
+ * @param {number|string|bigint} n - Any integer
+ * @param {PrimalityTestOptions?} options - optional arguments passed along to primalityTest()
+ * @returns {number|bigint} The next prime after `n`, as a number if `n` is a number and as a bigint otherwise.
+ *   Throws a RangeError if `n` is a number and the next prime exceeds Number.MAX_SAFE_INTEGER.
+ */
+function nextPrime(n, options) {
+  const asNumber = typeof n === 'number'
+  let candidate = BigInt(normalizeInteger(n)) + ONE
+  if (candidate <= 5n) return toIntegerOutput(candidate <= TWO ? TWO : candidate <= 3n ? 3n : 5n, asNumber)
+
+  candidate += BigInt(WHEEL_30_NEXT[Number(candidate % 30n)])
+  while (!primalityTest(candidate, options)) candidate += BigInt(WHEEL_30_STEP[Number(candidate % 30n)])
+  return toIntegerOutput(candidate, asNumber)
+}
+
+/**
+ * Finds the largest prime smaller than `n`. Only candidates coprime to 30 are tested, with primalityTest().
+ * @param {number|string|bigint} n - Any integer
+ * @param {PrimalityTestOptions?} options - optional arguments passed along to primalityTest()
+ * @returns {number|bigint|null} The previous prime before `n`, as a number if `n` is a number and as a bigint otherwise,
+ *   or null if `n` is at most 2
+ */
+function prevPrime(n, options) {
+  const asNumber = typeof n === 'number'
+  let candidate = BigInt(normalizeInteger(n)) - ONE
+  if (candidate < TWO) return null
+  else if (candidate < 7n) return toIntegerOutput(candidate < 3n ? TWO : candidate < 5n ? 3n : 5n, asNumber)
+
+  // Step down to the previous residue coprime to 30, mirroring the wheel: 30 - r steps up from 30 - r exactly when r steps down
+  const stepDown = c => BigInt(WHEEL_30_NEXT[(30 - Number(c % 30n)) % 30])
+  candidate -= stepDown(candidate)
+  while (!primalityTest(candidate, options)) {
+    candidate -= ONE
+    candidate -= stepDown(candidate)
+  }
+  return toIntegerOutput(candidate, asNumber)
+}
+
+/**
+ * Generates all the primes in the range [a, b] (inclusive), in increasing order.
+ * Dense ranges below Number.MAX_SAFE_INTEGER, at least as long as sqrt(b), are scanned with a segmented sieve of
+ * Eratosthenes. Other ranges step through the candidates coprime to 30 and test each one with primalityTest().
+ * @param {number|string|bigint} a - The lower end of the range
+ * @param {number|string|bigint} b - The upper end of the range
+ * @param {PrimalityTestOptions?} options - optional arguments passed along to primalityTest() for sparse ranges
+ * @returns {Generator<number|bigint>} The primes in [a, b], as numbers if both `a` and `b` are numbers and as bigints otherwise
+ */
+function* primesInRange(a, b, options) {
+  const asNumber = typeof a === 'number' && typeof b === 'number'
+  let low = BigInt(normalizeInteger(a, "a"))
+  const high = BigInt(normalizeInteger(b, "b"))
+  if (low < TWO) low = TWO
+  if (high < low) return
+
+  if (high <= MAX_SAFE_INTEGER_BIGINT && isqrtBigint(high) <= high - low) {
+    for (const p of sieveRange(Number(low), Number(high))) yield asNumber ? p : BigInt(p)
+    return
+  }
+
+  for (const p of [TWO, 3n, 5n]) {
+    if (p >= low && p <= high) yield toIntegerOutput(p, asNumber)
+  }
+  let candidate = low < 7n ? 7n : low
+  candidate += BigInt(WHEEL_30_NEXT[Number(candidate % 30n)])
+  for (; candidate <= high; candidate += BigInt(WHEEL_30_STEP[Number(candidate % 30n)])) {
+    if (primalityTest(candidate, options)) yield toIntegerOutput(candidate, asNumber)
+  }
+}
+
+/**
+ * Generates the primes in [low, high] with a segmented sieve of Eratosthenes over the odd numbers.
+ * The primes up to sqrt(high) are sieved first, then used to cross out their multiples one segment at a time.
+ * @param {Number} low - The lower end of the range, at least 2
+ * @param {Number} high - The upper end of the range, at most Number.MAX_SAFE_INTEGER
+ * @returns {Generator<Number>} The primes in [low, high]
+ */
+function* sieveRange(low, high) {
+  if (low <= 2 && high >= 2) yield 2
+
+  const root = Number(isqrtBigint(BigInt(high)))
+  const basePrimes = sievePrimes(root)
+
+  // Segments hold odd numbers only; they are at least as long as sqrt(high) so that crossing out pays off, within reason
+  const segmentSize = Math.min(Math.max(2 ** 15, Math.ceil(root / 2)), 2 ** 22)
+  const segment = new Uint8Array(segmentSize) // segment[i] is 1 if start + 2i is composite
+
+  let start = low <= 3 ? 3 : low % 2 == 0 ? low + 1 : low // The first odd number of the segment
+  while (start <= high) {
+    const count = Math.min(segmentSize, Math.floor((high - start) / 2) + 1)
+    const end = start + 2 * (count - 1)
+    segment.fill(0, 0, count)
+
+    for (let i = 1; i < basePrimes.length; i++) {
+      const p = basePrimes[i]
+      if (p * p > end) break
+      // Offset of the first odd multiple of p in the segment, but no lower than p^2 (smaller multiples have smaller factors)
+      let offset = p * p >= start ? p * p - start : (p - (start % p)) % p
+      if (offset % 2 != 0) offset += p
+      for (let j = offset / 2; j < count; j += p) segment[j] = 1
+    }
+
+    for (let i = 0; i < count; i++) {
+      if (!segment[i]) yield start + 2 * i
+    }
+    start = end + 2
+  }
+}
+
+/**
+ * Counts the primes up to `x`, i.e. computes the prime-counting function pi(x).
+ * Below PRIME_COUNT_SIEVE_LIMIT the primes are sieved and counted one by one; above it, the Lagarias-Miller-Odlyzko
+ * algorithm counts them without enumerating them, in about x^(2/3) operations (a few seconds for 10^13, see primeCountLmo()).
+ * @param {number|string|bigint} x - Any integer, at most MAX_PRIME_COUNT
+ * @returns {number|bigint} The number of primes in [2, x], as a number if `x` is a number and as a bigint otherwise
+ */
+function primeCount(x) {
+  const asNumber = typeof x === 'number'
+  const n = BigInt(normalizeInteger(x, "x"))
+  if (n > BigInt(MAX_PRIME_COUNT)) throw new RangeError(`x must be at most ${MAX_PRIME_COUNT}: ${n}`)
+  return toIntegerOutput(primeCountNumber(Number(n)), asNumber)
+}
+
+/**
+ * Computes pi(x) for a number, with a sieve for small `x` and the Lagarias-Miller-Odlyzko algorithm otherwise.
+ *
+ * @param {number} x Any integer up to MAX_PRIME_COUNT
+ * @returns {number} The number of primes in [2, x]
+ */
+function primeCountNumber(x) {
+  if (x < 2) return 0
+  if (x >= PRIME_COUNT_SIEVE_LIMIT) return primeCountLmo(x)
+  let count = 0
+  for (const p of sieveRange(2, x)) count++
+  return count
+}
+
+/**
+ * Finds the `n`-th prime, counting from p_1 = 2. Cipolla's asymptotic expansion gives a first estimate of it,
+ * which Newton's method refines with primeCount() until the number of primes up to the estimate is close to `n`.
+ * The remaining primes are then stepped through with nextPrime() or prevPrime(), which test each candidate coprime to 30
+ * with primalityTestNumber().
+ * @param {number|string|bigint} n - A positive integer, at most pi(MAX_PRIME_COUNT)
+ * @returns {number|bigint} The `n`-th prime, as a number if `n` is a number and as a bigint otherwise
+ */
+function nthPrime(n) {
+  const asNumber = typeof n === 'number'
+  const index = BigInt(normalizeInteger(n))
+  if (index < ONE) throw new RangeError(`n must be positive: ${index}`)
+  if (index > BigInt(MAX_NTH_PRIME_INDEX)) throw new RangeError(`n must be at most ${MAX_NTH_PRIME_INDEX}: ${index}`)
+  return toIntegerOutput(nthPrimeNumber(Number(index)), asNumber)
+}
+
+/**
+ * Finds the `n`-th prime for a number, see nthPrime().
+ *
+ * @param {number} n A positive integer, at most MAX_NTH_PRIME_INDEX
+ * @returns {number} The `n`-th prime
+ */
+function nthPrimeNumber(n) {
+  if (n < 6) return [2, 3, 5, 7, 11][n - 1]
+
+  // p_n ~ n (ln n + ln ln n - 1 + (ln ln n - 2) / ln n), and pi grows like 1 / ln around it
+  const log = Math.log(n)
+  const logLog = Math.log(log)
+  let estimate = Math.min(Math.round(n * (log + logLog - 1 + (logLog - 2) / log)), MAX_PRIME_COUNT)
+  let count = primeCountNumber(estimate)
+  for (let i = 0; i < NTH_PRIME_MAX_ITERATIONS && Math.abs(count - n) > NTH_PRIME_STEPS; i++) {
+    estimate = Math.min(Math.max(Math.round(estimate + (n - count) * Math.log(estimate)), 2), MAX_PRIME_COUNT)
+    count = primeCountNumber(estimate)
+  }
+
+  // Either step up from the (count+1)-th prime, or down from the count-th one
+  if (count < n) {
+    let p = nextPrime(estimate)
+    for (count++; count < n; count++) p = nextPrime(p)
+    return p
+  }
+  let p = prevPrime(estimate + 1)
+  for (; count > n; count--) p = prevPrime(p)
+  return p
+}
+
+/**
+ * Computes pi(x) with the Lagarias-Miller-Odlyzko algorithm, in the formulation of Deleglise and Rivat. With y a bit above
+ * the cube root of `x` and a = pi(y), pi(x) = phi(x, a) + a - 1 - P2(x, a), where phi(x, a) counts the integers up to `x`
+ * without any of the first a primes as factors, and P2(x, a) those with exactly two prime factors above y.
+ *
+ * phi(x, a) is the sum of the leaves of Legendre's recursion phi(x, b) = phi(x, b-1) - phi(x / p_b, b-1):
+ *   - the ordinary leaves mu(n) phi(x / n, c) for n <= y, where c = PHI_TINY_PRIMES.length and phi(t, c) comes from a table;
+ *   - the special leaves -mu(m) phi(x / (p_b m), b-1) for b > c, m <= y < p_b m and m free of primes up to p_b,
+ *     whose arguments are below x / y. They are counted while sieving [1, x / y] segment by segment, removing one prime
+ *     at a time from the numbers left after the wheel, with a binary indexed tree to count the numbers left up to each argument.
+ * P2(x, a) is the sum of pi(x / p) - pi(p) + 1 over the primes p in (y, sqrt(x)], with pi(x / p) counted by the same sieve.
+ *
+ * @param {number} x An integer of at least PRIME_COUNT_SIEVE_LIMIT, at most MAX_PRIME_COUNT
+ * @returns {number} The number of primes in [2, x]
+ */
+function primeCountLmo(x) {
+  const root = integerRootNumber(x, 2)
+  const y = Math.min(Math.floor(PRIME_COUNT_ALPHA * integerRootNumber(x, 3)), root)
+  const z = Math.floor(x / y) // Every special leaf is below z
+  const primes = sievePrimes(root) // p_b is primes[b - 1]
+  let a = 0
+  while (a < primes.length && primes[a] <= y) a++
+
+  // The Moebius function and the least prime factor of the integers up to y (1 has no prime factor, and gets a larger one)
+  const mu = new Int8Array(y + 1).fill(1)
+  const lpf = new Int32Array(y + 1)
+  lpf[1] = y + 1
+  for (let i = 0; i < a; i++) {
+    const p = primes[i]
+    for (let j = p; j <= y; j += p) {
+      if (lpf[j] === 0) lpf[j] = p
+      mu[j] = -mu[j]
+    }
+    for (let j = p * p; j <= y; j += p * p) mu[j] = 0
+  }
+
+  // The ordinary leaves
+  const c = PHI_TINY_PRIMES.length
+  let phi = 0
+  for (let n = 1; n <= y; n++) {
+    if (mu[n] !== 0 && lpf[n] > primes[c - 1]) phi += mu[n] * phiTiny(Math.floor(x / n))
+  }
+
+  // The special leaves, over segments of [1, z) whose length is a power of 2 (the size of the binary indexed tree)
+  let size = 1 << 16
+  while (size * size < z) size *= 2
+  const sieve = new Uint8Array(size) // sieve[j] is 1 if low + j is free of the primes removed so far
+  const tree = new Int32Array(size + 1) // tree[i] counts the ones in sieve[i - (i & -i), i)
+  const phiBefore = new Float64Array(a + 1) // phiBefore[b] = phi(low - 1, b - 1)
+  const { coprime } = getPhiTinyTable()
+  const count = j => {
+    let total = 0
+    for (let i = j + 1; i > 0; i -= i & -i) total += tree[i]
+    return total
+  }
+
+  for (let low = 1; low < z; low += size) {
+    const high = Math.min(low + size, z)
+    const length = high - low
+    for (let j = 0, r = low % PHI_TINY_MODULUS; j < length; j++, r = r + 1 === PHI_TINY_MODULUS ? 0 : r + 1) sieve[j] = coprime[r]
+    sieve.fill(0, length)
+    tree.set(sieve, 1)
+    for (let i = 1; i <= size; i++) {
+      const parent = i + (i & -i)
+      if (parent <= size) tree[parent] += tree[i]
+    }
+    let left = count(size - 1)
+
+    for (let b = c + 1; b < a; b++) {
+      const p = primes[b - 1]
+      if (p * p > Math.floor(x / low)) break // The leaves of p_b and beyond are all below this segment (m > p_b)
+
+      // The leaves whose argument x / (p m) lies in [low, high): m in (x / (p high), x / (p low)], and m > y / p
+      const mHigh = Math.min(Math.floor(x / (p * low)), y)
+      const mLow = Math.max(Math.floor(x / (p * high)), Math.floor(y / p))
+      if (p * p <= y) {
+        for (let m = mHigh; m > mLow; m--) {
+          if (mu[m] !== 0 && lpf[m] > p) phi -= mu[m] * (phiBefore[b] + count(Math.floor(x / (p * m)) - low))
+        }
+      } else {
+        // Above sqrt(y), m must be a prime larger than p (and so m > y / p)
+        for (let i = upperBoundIndex(primes, mHigh, a) - 1; i >= b && primes[i] > mLow; i--) {
+          phi += phiBefore[b] + count(Math.floor(x / (p * primes[i])) - low)
+        }
+      }
+      phiBefore[b] += left
+
+      // Remove the multiples of p
+      for (let j = (p - (low % p)) % p; j < length; j += p) {
+        if (!sieve[j]) continue
+        sieve[j] = 0
+        left--
+        for (let i = j + 1; i <= size; i += i & -i) tree[i]--
+      }
+    }
+  }
+
+  // P2(x, a), with pi(x / p_b) counted in increasing order of x / p_b, i.e. for decreasing b
+  let p2 = 0
+  let k = primes.length - 1 // p_(k+1), the prime whose x / p is the next one to count up to
+  let counted = 0
+  for (const q of sieveRange(2, z)) {
+    for (; k >= a && q > Math.floor(x / primes[k]); k--) p2 += counted - k
+    counted++
+  }
+  for (; k >= a; k--) p2 += counted - k
+
+  return phi + a - 1 - p2
+}
+
+/**
+ * Finds the number of elements of the increasing array `values`, among its first `length`, that are at most `bound`.
+ *
+ * @param {number[]} values An increasing array
+ * @param {number} bound The bound
+ * @param {number} length The number of elements to search
+ * @returns {number} The index of the first element above `bound`, or `length`
+ */
+function upperBoundIndex(values, bound, length) {
+  let lowIndex = 0
+  let highIndex = length
+  while (lowIndex < highIndex) {
+    const middle = (lowIndex + highIndex) >>> 1
+    if (values[middle] <= bound) lowIndex = middle + 1
+    else highIndex = middle
+  }
+  return lowIndex
+}
+
+// The tables of phiTiny(), built on first use
+let phiTinyTable = null
+
+/**
+ * Computes the number of integers in [1, t] divisible by none of PHI_TINY_PRIMES, from the periodicity of their pattern
+ * modulo PHI_TINY_MODULUS (the product of PHI_TINY_PRIMES).
+ *
+ * @param {number} t A non-negative integer
+ * @returns {number} phi(t, c) with c = PHI_TINY_PRIMES.length
+ */
+function phiTiny(t) {
+  const { counts } = getPhiTinyTable()
+  const r = t % PHI_TINY_MODULUS
+  return ((t - r) / PHI_TINY_MODULUS) * counts[PHI_TINY_MODULUS - 1] + counts[r]
+}
+
+/**
+ * Builds the tables of phiTiny() on first use: which residues modulo PHI_TINY_MODULUS are coprime to it,
+ * and how many are in [1, r] for each residue r.
+ *
+ * @returns {{ coprime: Uint8Array, counts: Uint16Array }}
+ */
+function getPhiTinyTable() {
+  if (phiTinyTable) return phiTinyTable
+  const coprime = new Uint8Array(PHI_TINY_MODULUS).fill(1)
+  for (const p of PHI_TINY_PRIMES) {
+    for (let j = 0; j < PHI_TINY_MODULUS; j += p) coprime[j] = 0
+  }
+  const counts = new Uint16Array(PHI_TINY_MODULUS)
+  for (let r = 1; r < PHI_TINY_MODULUS; r++) counts[r] = counts[r - 1] + coprime[r]
+  phiTinyTable = { coprime, counts }
+  return phiTinyTable
+}
+
+/**
+ * Generates a random probable prime of exactly `bits` bits, i.e. in [2^(bits-1), 2^bits).
+ * A random odd candidate is drawn and the candidates following it are sieved incrementally by the small primes,
+ * so that only the survivors go through primalityTestBigint(). If no prime turns up within a window of candidates,
+ * a new random starting point is drawn.
+ *
+ * @param {number} bits The bit length of the prime, at least 2
+ * @param {RandomPrimeOptions?} options An object specifying the `safe`, `residue` and `modulus` options, on top of the
+ *   primality test options of primalityTestBigint() (whose `seed` and `rng` also drive the choice of candidates).
+ *   - `safe` is a boolean specifying whether to generate a safe prime, i.e. a prime p where (p-1)/2 is an odd prime as well.
+ *   - `residue` and `modulus` restrict the result to primes p with p = residue (mod modulus). The residue must be coprime to the modulus.
+ *   With a `seed` (or a seeded `rng`), the result is reproducible: the same seed always yields the same prime.
+ * @returns {bigint} A random probable prime of `bits` bits. Throws a RangeError if no prime satisfies the options.
+ */
+function randomPrime(bits, options = {}) {
+  const { safe = false, residue, modulus, seed, rng } = options || {}
+  if (!Number.isInteger(bits) || bits < 2) throw new RangeError(`invalid bits (must be an integer of at least 2): ${bits}`)
+  const random = resolveRng(seed, rng)
+  const testOptions = { ...options, rng: random }
+
+  // Combine the parity (or safe prime) requirement with the user-provided congruence into a single one
+  let congruence = safe ? { residue: 3n, modulus: FOUR } : { residue: ONE, modulus: TWO }
+  if (residue != null && modulus == null) throw new TypeError(`the residue option requires a modulus option`)
+  if (modulus != null) {
+    const m = BigInt(normalizeInteger(modulus, "modulus option"))
+    if (!(m >= ONE)) throw new RangeError(`invalid modulus option (must be a positive integer): ${m}`)
+    const a = ((BigInt(normalizeInteger(residue == null ? 0 : residue, "residue option")) % m) + m) % m
+    if (ugcd(a, m) !== ONE) throw new RangeError(`invalid residue option (must be coprime to the modulus): ${a}`)
+    congruence = solveCongruences(congruence, { residue: a, modulus: m })
+    if (congruence == null) throw new RangeError(`no ${safe ? "safe " : ""}prime satisfies p = ${a} (mod ${m})`)
+  }
+
+  // The candidates are first + k*step, for k in [0, count)
+  const step = congruence.modulus
+  const low = ONE << BigInt(bits - 1)
+  const high = (ONE << BigInt(bits)) - ONE
+  const first = low + ((congruence.residue - low) % step + step) % step
+  if (first > high) throw new RangeError(`no ${bits}-bit number satisfies the requested congruence`)
+  const count = (high - first) / step + ONE
+  const countBits = bitLength(count)
+
+  // Sieve with the small primes below every candidate (and below (candidate-1)/2 for safe primes), so that divisibility means compositeness
+  const sieveLimit = Math.min(RANDOM_PRIME_SIEVE_LIMIT, 2 ** (bits - 2) - 1)
+  const sievePrimes = getSmallPrimeTable(Math.max(sieveLimit, 0)).primes.slice(1)
+  const stepResidues = sievePrimes.map(p => Number(step % BigInt(p)))
+
+  // Walk a window of candidates from a random starting point; a window covering every candidate is only walked once
+  const windowSize = BigInt(Math.max(64, 16 * bits))
+  const exhaustive = count <= windowSize
+  while (true) {
+    let k
+    do {
+      k = BigInt("0b" + getRandomBitString(countBits, random))
+    } while (k >= count)
+    let candidate = first + k * step
+    const residues = sievePrimes.map(p => Number(candidate % BigInt(p)))
+
+    for (let i = ZERO; i < (exhaustive ? count : windowSize); i++) {
+      if (k === count) {
+        // Wrap around to the first candidate
+        k = ZERO
+        candidate = first
+        for (let j = 0; j < sievePrimes.length; j++) residues[j] = Number(candidate % BigInt(sievePrimes[j]))
+      }
+
+      let sieved = false
+      for (let j = 0; j < residues.length; j++) {
+        // A residue of 1 means that p divides (candidate-1)/2
+        if (residues[j] === 0 || (safe && residues[j] === 1)) {
+          sieved = true
+          break
+        }
+      }
+      if (!sieved && (!safe || primalityTestBigint(candidate >> ONE, testOptions)) && primalityTestBigint(candidate, testOptions)) {
+        return candidate
+      }
+
+      k++
+      candidate += step
+      for (let j = 0; j < residues.length; j++) residues[j] = (residues[j] + stepResidues[j]) % sievePrimes[j]
+    }
+    if (exhaustive) throw new RangeError(`no ${bits}-bit ${safe ? "safe " : ""}prime satisfies the requested options`)
+  }
+}
+
+/**
+ * Combines two congruences x = a1 (mod m1) and x = a2 (mod m2) into a single one, with the Chinese remainder theorem.
+ *
+ * @param {{ residue: bigint, modulus: bigint }} first The first congruence, with a residue in [0, m1)
+ * @param {{ residue: bigint, modulus: bigint }} second The second congruence, with a residue in [0, m2)
+ * @returns {{ residue: bigint, modulus: bigint } | null} The combined congruence modulo lcm(m1, m2), or null if they are incompatible
+ */
+function solveCongruences(first, second) {
+  const g = ugcd(first.modulus, second.modulus)
+  const difference = second.residue - first.residue
+  if (difference % g !== ZERO) return null
+
+  // x = a1 + m1*t, where (m1/g)*t = (a2-a1)/g (mod m2/g)
+  const reducedModulus = second.modulus / g
+  const t = (((difference / g) % reducedModulus) * modInverseBigint(first.modulus / g, reducedModulus)) % reducedModulus
+  const modulus = first.modulus * reducedModulus
+  return { residue: (((first.residue + first.modulus * t) % modulus) + modulus) % modulus, modulus }
+}
+
+/**
+ * Calculates the inverse of `a` modulo `m` with the extended Euclidean algorithm.
+ *
+ * @param {bigint} a A number coprime to `m`
+ * @param {bigint} m A positive modulus
+ * @returns {bigint} The number x in [0, m) with a*x = 1 (mod m)
+ */
+function modInverseBigint(a, m) {
+  if (m === ONE) return ZERO
+  let [oldR, r] = [((a % m) + m) % m, m]
+  let [oldS, s] = [ONE, ZERO]
+  while (r !== ZERO) {
+    const quotient = oldR / r
+    ;[oldR, r] = [r, oldR - quotient * r]
+    ;[oldS, s] = [s, oldS - quotient * s]
+  }
+  if (oldR !== ONE) throw new RangeError(`${a} is not invertible modulo ${m}`)
+  return ((oldS % m) + m) % m
+}
+
+/** The error thrown by factorize() when its budget runs out before `n` is completely factored. */
+class FactorizationBudgetError extends Error {
+  /**
+   * @param {string} message The error message
+   * @param {Array<[bigint, number]>} factors The prime factors found so far, with their exponents
+   * @param {bigint[]} remaining The composite cofactors that could not be factored
+   */
+  constructor(message, factors, remaining) {
+    super(message)
+    this.name = "FactorizationBudgetError"
+    /** @type {Array<[bigint, number]>} The prime factors found so far, with their exponents */
+    this.factors = factors
+    /** @type {bigint[]} The composite cofactors that could not be factored */
+    this.remaining = remaining
+  }
+}
+
+/**
+ * Computes the prime factorization of `n`. Small factors are found by trial division, larger ones with Pollard's rho
+ * algorithm (with Brent's cycle detection, over Montgomery arithmetic), and every cofactor is certified with primalityTest().
+ * The factorization is deterministic: the same `n` always yields the same result within the same number of iterations.
+ *
+ * @param {number|string|bigint} n - A positive integer to factor
+ * @param {FactorizeOptions?} options - An object specifying the `maxIterations` and/or `timeLimit` budget options, on top of
+ *   the primality test options passed along to primalityTest().
+ *   - `maxIterations` is the maximum number of Pollard rho iterations, over all cofactors. Defaults to 10^7.
+ *   - `timeLimit` is the maximum running time, in milliseconds. Unlimited by default.
+ *   When either runs out, a FactorizationBudgetError is thrown, holding the factors found so far and the remaining composites.
+ * @returns {Array<[number|bigint, number]>} The `[prime, exponent]` pairs of the factorization, in increasing order of the primes,
+ *   which are numbers if `n` is a number and bigints otherwise. The factorization of 1 is empty.
+ */
+function factorize(n, options) {
+  const { maxIterations = DEFAULT_FACTORIZE_ITERATIONS, timeLimit = Infinity } = options || {}
+  const asNumber = typeof n === 'number'
+  let m = BigInt(normalizeInteger(n))
+  if (m < ONE) throw new RangeError(`cannot factorize ${m} (must be a positive integer)`)
+
+  const primes = new Map() // Prime factor => exponent
+  const addFactor = (p, exponent = 1) => primes.set(p, (primes.get(p) || 0) + exponent)
+  const output = () => [...primes.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([p, exponent]) => [asNumber ? Number(p) : p, exponent])
+
+  // Strip out the small factors by trial division
+  for (const p of getSmallPrimeTable(FACTORIZE_TRIAL_DIVISION_LIMIT).primes) {
+    const prime = BigInt(p)
+    if (prime * prime > m) break
+    while (m % prime === ZERO) {
+      m /= prime
+      addFactor(prime)
+    }
+  }
+
+  // Split the remaining cofactors until they are all prime
+  const budget = { iterations: maxIterations, deadline: Date.now() + timeLimit }
+  const composites = [] // Pairs of a composite cofactor and its multiplicity
+  const push = (cofactor, multiplicity) => {
+    if (cofactor === ONE) return
+    if (cofactor <= BigInt(FACTORIZE_TRIAL_DIVISION_LIMIT) ** TWO || primalityTest(cofactor, options)) addFactor(cofactor, multiplicity)
+    else composites.push([cofactor, multiplicity])
+  }
+  push(m, 1)
+
+  while (composites.length > 0) {
+    const [cofactor, multiplicity] = composites.pop()
+
+    // Pollard's rho struggles with perfect powers, so take their roots first
+    // Every prime factor left exceeds the trial division limit, which bounds the exponent
+    const power = perfectPowerBigint(cofactor, Math.floor(bitLength(cofactor) / Math.log2(FACTORIZE_TRIAL_DIVISION_LIMIT)))
+    if (power) {
+      push(power.root, multiplicity * power.exponent)
+      continue
+    }
+
+    const divisor = pollardBrent(cofactor, budget)
+    if (divisor === null) {
+      const remaining = [cofactor, ...composites.map(([c]) => c)]
+      throw new FactorizationBudgetError(`factorization budget exhausted before factoring ${cofactor}`, output(), remaining)
+    }
+    push(divisor, multiplicity)
+    push(cofactor / divisor, multiplicity)
+  }
+
+  return output()
+}
+
+/**
+ * Finds a nontrivial divisor of the odd composite `n` with Pollard's rho algorithm and Brent's cycle detection,
+ * computing the pseudo-random sequence x -> x^2 + c in Montgomery form. The constants c = 1, 2, 3, ... are tried in turn.
+ *
+ * @param {bigint} n An odd composite number, which is not a perfect power
+ * @param {{ iterations: number, deadline: number }} budget The remaining iterations and the time limit, shared between calls
+ * @returns {bigint | null} A nontrivial divisor of `n`, or null if the budget ran out
+ */
+function pollardBrent(n, budget) {
+  const ctx = getReductionContext(n)
+  const absDiff = (a, b) => (a > b ? a - b : b - a) // |a - b| has the same gcd with n in and out of Montgomery form
+  const batchSize = 128 // Number of differences multiplied together before each gcd
+
+  for (let c = ONE; ; c++) {
+    const cReduced = montgomeryReduce(c, ctx)
+    const f = x => {
+      const y = montgomerySqr(x, ctx) + cReduced
+      return y >= n ? y - n : y
+    }
+
+    let y = montgomeryReduce(TWO, ctx)
+    let x = y
+    let ys = y
+    let q = montgomeryReduce(ONE, ctx)
+    let g = ONE
+    for (let r = 1; g === ONE; r *= 2) {
+      x = y
+      for (let i = 0; i < r; i++) y = f(y)
+      for (let k = 0; k < r && g === ONE; k += batchSize) {
+        if (budget.iterations <= 0 || Date.now() > budget.deadline) return null
+        const steps = Math.min(batchSize, r - k)
+        budget.iterations -= steps + (k === 0 ? r : 0)
+
+        ys = y
+        for (let i = 0; i < steps; i++) {
+          y = f(y)
+          q = montgomeryMul(q, absDiff(x, y), ctx)
+        }
+        g = ugcd(q, n)
+      }
+    }
+
+    // The batched product may have collected every factor of n at once: redo the last batch one step at a time
+    if (g === n) {
+      do {
+        ys = f(ys)
+        g = ugcd(absDiff(x, ys), n)
+      } while (g === ONE)
+    }
+    if (g !== n) return g
+  }
+}
+
+/**
+ * Checks whether `n` is a perfect power, i.e. `root^exponent` for some integers root and exponent > 1.
+ *
+ * @param {bigint} n Any number of at least 2
+ * @param {number} [maxExponent] The largest exponent to try, if a bound is known. Defaults to the bit length of `n`.
+ * @returns {{ root: bigint, exponent: number } | null} The smallest root and its exponent, or null if `n` is not a perfect power
+ */
+function perfectPowerBigint(n, maxExponent = bitLength(n)) {
+  let best = null
+  // Trying every exponent in increasing order finds the largest exponent last, and thus the smallest root
+  for (let exponent = 2; exponent <= maxExponent; exponent++) {
+    const root = integerRootBigint(n, exponent)
+    if (root < TWO) break
+    if (root ** BigInt(exponent) === n) best = { root, exponent }
+  }
+  return best
+}
+
+/**
+ * Calculates the integer `k`-th root of `n`, i.e. the largest number whose `k`-th power is at most `n`, with Newton's method.
+ *
+ * @param {bigint} n Any non-negative number
+ * @param {number} k The degree of the root, at least 1
+ * @returns {bigint} floor(n^(1/k))
+ */
+function integerRootBigint(n, k) {
+  if (n < TWO || k === 1) return n
+  if (k === 2) return isqrtBigint(n)
+
+  const degree = BigInt(k)
+  const degreeSub = BigInt(k - 1)
+  // Start from a power of two above the root, from which Newton's method decreases monotonically to it
+  let x = ONE << BigInt(Math.ceil(bitLength(n) / k))
+  while (true) {
+    const y = (degreeSub * x + n / x ** degreeSub) / degree
+    if (y >= x) return x
+    x = y
+  }
+}
+
+/**
+ * Produces a certificate proving that `n` is prime, which verifyCertificate() can check without running any primality test.
+ * The certificate is built recursively from a factorization of n-1 (see factorize()):
+ *   - "small": `n` is below SMALL_CERTIFICATE_LIMIT, so trial division settles it.
+ *   - "pratt": n-1 is completely factored, and `witness` is a primitive root modulo `n` (Lucas' theorem).
+ *   - "pocklington": the factored part F of n-1 exceeds sqrt(n), with a `witness` for each of its prime factors.
+ *   - "bls": F only exceeds the cube root of n (Brillhart-Lehmer-Selfridge), with the same witnesses as for "pocklington".
+ * The prime factors of n-1 carry certificates of their own. All the numbers are decimal strings, so the certificate
+ * can go through JSON.stringify() and JSON.parse() unchanged.
+ *
+ * @param {number|string|bigint} n - The prime to certify
+ * @param {FactorizeOptions?} options - The budget for factoring each n-1, passed along to factorize()
+ * @returns {PrimalityCertificate} A certificate of the primality of `n`. Throws a RangeError if `n` is not prime, or an Error
+ *   if n-1 could not be factored far enough within the budget.
+ */
+function provePrime(n, options) {
+  n = BigInt(normalizeInteger(n))
+  if (!primalityTest(n, options)) throw new RangeError(`${n} is not prime`)
+  return certifyPrime(n, options)
+}
+
+/**
+ * Builds the certificate of the probable prime `n`, see provePrime().
+ *
+ * @param {bigint} n A probable prime
+ * @param {FactorizeOptions?} options The budget for factoring n-1
+ * @returns {PrimalityCertificate} A certificate of the primality of `n`
+ */
+function certifyPrime(n, options) {
+  if (n < SMALL_CERTIFICATE_LIMIT) return { type: "small", n: String(n) }
+
+  const nSub = n - ONE
+  let factors
+  let complete = true
+  try {
+    factors = factorize(nSub, options)
+  } catch (error) {
+    if (!(error instanceof FactorizationBudgetError)) throw error
+    factors = error.factors
+    complete = false
+  }
+
+  // A base with base^(n-1) != 1 (mod n) would prove n composite
+  const fermat = base => {
+    if (modPowBigint(base, nSub, n) !== ONE) throw new RangeError(`${n} is not prime (Fermat witness ${base})`)
+  }
+
+  if (complete) {
+    // Find a primitive root: a base of order exactly n-1
+    for (let base = TWO; base < MAX_CERTIFICATE_WITNESS; base++) {
+      fermat(base)
+      if (factors.every(([q]) => modPowBigint(base, nSub / q, n) !== ONE)) {
+        return {
+          type: "pratt",
+          n: String(n),
+          witness: String(base),
+          factors: factors.map(([q, exponent]) => ({ prime: certifyPrime(q, options), exponent })),
+        }
+      }
+    }
+    throw new Error(`no primitive root of ${n} found below ${MAX_CERTIFICATE_WITNESS}`)
+  }
+
+  const factored = factors.reduce((product, [q, exponent]) => product * q ** BigInt(exponent), ONE)
+  let type
+  if (factored * factored > n) type = "pocklington"
+  else if (factored ** 3n >= n) type = "bls"
+  else throw new Error(`could not factor enough of n-1 to prove the primality of ${n} (factored part: ${factored})`)
+
+  return {
+    type,
+    n: String(n),
+    factors: factors.map(([q, exponent]) => {
+      // Each prime factor q of the factored part needs a base with gcd(base^((n-1)/q) - 1, n) = 1
+      for (let base = TWO; base < MAX_CERTIFICATE_WITNESS; base++) {
+        fermat(base)
+        if (ugcd(modPowBigint(base, nSub / q, n) + nSub, n) === ONE) {
+          return { prime: certifyPrime(q, options), exponent, witness: String(base) }
+        }
+      }
+      throw new Error(`no Pocklington witness of ${n} for the factor ${q} found below ${MAX_CERTIFICATE_WITNESS}`)
+    }),
+  }
+}
+
+/**
+ * Checks a primality certificate produced by provePrime(), which may have gone through JSON in between.
+ * The verification is independent of the primality tests of this file: besides plain arithmetic, it only relies on
+ * modPowBigint() and ugcd().
+ *
+ * @param {PrimalityCertificate | string} cert - A certificate, or its JSON string
+ * @returns {boolean} true if the certificate proves that `cert.n` is prime, false if it is malformed or invalid
+ */
+function verifyCertificate(cert) {
+  try {
+    if (typeof cert === 'string') cert = JSON.parse(cert)
+    return checkCertificate(cert, 0)
+  } catch (error) {
+    return false // Malformed certificate, e.g. a number that is not a decimal string
+  }
+}
+
+/**
+ * Checks a parsed primality certificate, see verifyCertificate().
+ *
+ * @param {PrimalityCertificate} cert A certificate
+ * @param {number} depth The nesting level of `cert`, 0 for the certificate being verified
+ * @returns {boolean} true if the certificate proves that `cert.n` is prime
+ */
+function checkCertificate(cert, depth) {
+  if (depth > MAX_CERTIFICATE_DEPTH) return false
+  const parse = value => {
+    if (typeof value !== 'string' || !/^[0-9]+$/.test(value)) throw new TypeError(`invalid number in certificate: ${value}`)
+    return BigInt(value)
+  }
+  const n = parse(cert.n)
+  if (n < TWO) return false
+
+  if (cert.type === "small") {
+    if (n >= SMALL_CERTIFICATE_LIMIT) return false
+    for (let p = TWO; p * p <= n; p++) {
+      if (n % p === ZERO) return false
+    }
+    return true
+  }
+  if (cert.type !== "pratt" && cert.type !== "pocklington" && cert.type !== "bls") return false
+  if (!Array.isArray(cert.factors) || cert.factors.length === 0) return false
+
+  // Every factor must be a distinct, certified prime, and their product must divide n-1. The product is checked first,
+  // one power at a time, so that a forged exponent is rejected before it gets to build a huge number.
+  const nSub = n - ONE
+  const maxExponent = bitLength(n)
+  const primes = new Set()
+  let factored = ONE
+  for (const factor of cert.factors) {
+    if (!factor || !factor.prime || !Number.isInteger(factor.exponent) || factor.exponent < 1) return false
+    if (factor.exponent > maxExponent) return false
+    const q = parse(factor.prime.n)
+    if (q < TWO || primes.has(q)) return false
+    for (let i = 0; i < factor.exponent && factored <= nSub; i++) factored *= q
+    if (factored > nSub || !checkCertificate(factor.prime, depth + 1)) return false
+    primes.add(q)
+  }
+  if (nSub % factored !== ZERO) return false
+
+  if (cert.type === "pratt") {
+    // Lucas' theorem: if a^(n-1) = 1 but a^((n-1)/q) != 1 (mod n) for every prime q dividing n-1, a has order n-1 and n is prime
+    const witness = parse(cert.witness)
+    if (factored !== nSub || modPowBigint(witness, nSub, n) !== ONE) return false
+    return [...primes].every(q => modPowBigint(witness, nSub / q, n) !== ONE)
+  }
+
+  // Pocklington's theorem: if a_q^(n-1) = 1 and gcd(a_q^((n-1)/q) - 1, n) = 1 for every prime q dividing F,
+  // then every prime factor of n is 1 (mod F)
+  for (const factor of cert.factors) {
+    const q = parse(factor.prime.n)
+    const witness = parse(factor.witness)
+    if (modPowBigint(witness, nSub, n) !== ONE) return false
+    if (ugcd(modPowBigint(witness, nSub / q, n) + nSub, n) !== ONE) return false // + (n-1) = - 1 (mod n), keeping it positive
+  }
+
+  // Then n is prime if F > sqrt(n), since n would otherwise have a prime factor below sqrt(n)
+  if (cert.type === "pocklington") return factored * factored > n
+
+  // Brillhart-Lehmer-Selfridge: if n^(1/3) <= F < sqrt(n), write n = c2*F^2 + c1*F + 1 with 0 <= c1, c2 < F.
+  // Then n is prime if and only if c1^2 - 4*c2 is not a perfect square.
+  if (factored ** 3n < n || factored * factored >= n) return false
+  const c1 = (nSub / factored) % factored
+  const c2 = nSub / factored / factored
+  if (c2 >= factored) return false
+  const discriminant = c1 * c1 - FOUR * c2
+  if (discriminant < ZERO) return true
+  const root = isqrtBigint(discriminant)
+  return root * root !== discriminant
+}
+
+/**
+ * Creates a memoizing wrapper around primalityTest(), with the same call signature, for programs that test the same
+ * numbers over and over. Inputs are keyed on their normalized value (see normalizeInteger()), so 97, 97n, "97" and
+ * "0x61" share an entry, and the least recently used entry is evicted once `maxEntries` are stored.
+ *
+ * Only reproducible results are cached:
+ *   - below 2^64, where the test is deterministic, and with the "bpsw" method, whatever the options;
+ *   - above 2^64 with the given `bases`, in which case the entry is also keyed on them;
+ *   - above 2^64 with random bases, only when they come from a `seed` (and no `rng`), in which case the entry is also
+ *     keyed on the seed and on the options that determine the bases: `numRounds`, `errorProbability`, `securityBits`
+ *     and `adversarial`. Results of unseeded tests are never cached.
+ *
+ * @param {PrimalityCacheOptions?} options An object specifying the `maxEntries` option
+ * @returns {PrimalityCache} A function testing `n` like primalityTest(), with a `stats()` method returning the hit and miss
+ *   counts and a `clear()` method emptying the cache (and resetting the counts)
+ */
+function createPrimalityCache(options) {
+  const { maxEntries = 10000 } = options || {}
+  if (!Number.isSafeInteger(maxEntries) || maxEntries < 1) {
+    throw new RangeError(`invalid maxEntries option (must be a positive integer): ${maxEntries}`)
+  }
+  const entries = new Map() // Key => result, from the least to the most recently used
+  let hits = 0
+  let misses = 0
+  let evictions = 0
+
+  const cachedPrimalityTest = (n, testOptions) => {
+    n = normalizeInteger(n)
+    const key = getPrimalityCacheKey(n, testOptions)
+    if (key !== null && entries.has(key)) {
+      const result = entries.get(key)
+      // Move the entry to the most recently used end
+      entries.delete(key)
+      entries.set(key, result)
+      hits++
+      return result
+    }
+
+    misses++
+    const result = primalityTest(n, testOptions)
+    if (key !== null) {
+      entries.set(key, result)
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+        evictions++
+      }
+    }
+    return result
+  }
+  cachedPrimalityTest.stats = () => ({ hits, misses, evictions, size: entries.size, maxEntries })
+  cachedPrimalityTest.clear = () => {
+    entries.clear()
+    hits = misses = evictions = 0
+  }
+  return cachedPrimalityTest
+}
+
+/**
+ * Computes the cache key of a primality test, see createPrimalityCache().
+ *
+ * @param {number|bigint} n A normalized input
+ * @param {PrimalityTestOptions?} options The options of the test
+ * @returns {number|bigint|string|null} The value of `n` (as a number if it is safe, so that 97 and 97n match) when the
+ *   result only depends on `n`, a string also holding the options that determine the bases when it depends on a seed,
+ *   or null when the result cannot be cached
+ */
+function getPrimalityCacheKey(n, options) {
+  if (typeof n === 'number') return n
+  if (n <= MAX_SAFE_INTEGER_BIGINT && n >= -MAX_SAFE_INTEGER_BIGINT) return Number(n)
+  const { method = defaultMethod, seed, rng, numRounds, bases, errorProbability, securityBits, adversarial } = options || {}
+  if (n < LIMIT_DETERMINISM || method === "bpsw") return n
+  // Given bases determine the result as well as a seed does
+  if (Array.isArray(bases)) return [n, method, "bases", ...bases].map(String).join("|")
+  if (seed == null || rng != null) return null
+  return [n, method, typeof seed, seed, numRounds, errorProbability, securityBits, adversarial].map(String).join("|")
+}
+
+/**
+ * Creates an index of the prime distances, for the engine of a piece moving prime distances like the Huygen, which
+ * otherwise tests every square along a ray with primalityTest(). Distances below `sieveLimit` are read from a sieve of
+ * Eratosthenes that grows with the queries, doubling in size each time, and larger ones are tested with primalityTest(),
+ * which is deterministic below 2^64 and otherwise uses the Miller-Rabin method with bases drawn from `seed`.
+ * Every answer thus only depends on the distance and the seed: clients sharing a seed never disagree on a move, whatever
+ * their sieve limit, their order of queries or their default method (see setDefaultMethod()).
+ *
+ * Distances above `maxDistance` are never reported, so that the index covers a board or an open-ended ray (the default),
+ * and `extend()` raises the bound as the board grows.
+ *
+ * @param {PrimeDistanceIndexOptions?} options An object specifying the `maxDistance`, `sieveLimit` and `seed` options
+ * @returns {PrimeDistanceIndex} The index. Its methods return numbers for number arguments and bigints otherwise.
+ */
+function createPrimeDistanceIndex(options) {
+  const { maxDistance = Infinity, sieveLimit = DEFAULT_DISTANCE_SIEVE_LIMIT, seed = DEFAULT_DISTANCE_SEED } = options || {}
+  if (!Number.isSafeInteger(sieveLimit) || sieveLimit < 2 || sieveLimit > MAX_DISTANCE_SIEVE_LIMIT) {
+    throw new RangeError(`invalid sieveLimit option (must be an integer between 2 and ${MAX_DISTANCE_SIEVE_LIMIT}): ${sieveLimit}`)
+  }
+  if (seed == null) throw new TypeError(`invalid seed option (must not be null)`)
+  const testOptions = { method: "miller-rabin", seed }
+  let bound = parseMaxDistance(maxDistance) // The largest distance reported, or null for none
+  let composite = new Uint8Array(0) // composite[d] is 1 if d < 2 or d is composite, for the distances sieved so far
+
+  /** Sieves the distances up to d at least, d being below sieveLimit */
+  const sieveUpTo = d => {
+    if (d < composite.length) return
+    composite = sieveComposites(Math.min(sieveLimit, Math.max(d + 1, 2 * composite.length, DISTANCE_SIEVE_MIN_SIZE)))
+  }
+
+  /** Tests whether d is prime, from the sieve when it is below sieveLimit */
+  const isPrimeBigint = d => {
+    if (d >= BigInt(sieveLimit)) return primalityTest(d, testOptions)
+    sieveUpTo(Number(d))
+    return d >= ZERO && !composite[Number(d)]
+  }
+
+  /** Finds the smallest prime distance at least d, or null if it is beyond the bound */
+  const nextPrimeBigint = d => {
+    if (d < TWO) d = TWO
+    if (bound !== null && d > bound) return null
+    let p = null
+    if (d < BigInt(sieveLimit)) {
+      for (let i = Number(d); i < sieveLimit; i++) {
+        sieveUpTo(i)
+        if (!composite[i]) {
+          p = BigInt(i)
+          break
+        }
+      }
+    }
+    // Past the sieve, nextPrime() tests the candidates with the same options
+    if (p === null) p = BigInt(nextPrime((d > BigInt(sieveLimit) ? d : BigInt(sieveLimit)) - ONE, testOptions))
+    return bound !== null && p > bound ? null : p
+  }
+
+  return {
+    isPrimeDistance(d) {
+      d = normalizeInteger(d, "d")
+      // The sieve answers numbers without a detour through bigints, as move generation calls this for every square
+      if (typeof d === 'number' && d >= 0 && d < sieveLimit) {
+        sieveUpTo(d)
+        return !composite[d]
+      }
+      return isPrimeBigint(BigInt(d))
+    },
+
+    primeDistances(a, b) {
+      const asNumber = typeof a === 'number' && typeof b === 'number'
+      let low = BigInt(normalizeInteger(a, "a"))
+      let high = BigInt(normalizeInteger(b, "b"))
+      if (bound !== null && high > bound) high = bound
+      if (low < TWO) low = TWO
+      const distances = []
+      if (high < low) return distances
+
+      const sieveHigh = high < BigInt(sieveLimit) ? Number(high) : sieveLimit - 1
+      if (low <= BigInt(sieveHigh)) {
+        sieveUpTo(sieveHigh)
+        for (let d = Number(low); d <= sieveHigh; d++) {
+          if (!composite[d]) distances.push(asNumber ? d : BigInt(d))
+        }
+        low = BigInt(sieveHigh) + ONE
+      }
+      if (low <= high) {
+        for (const p of primesInRange(low, high, testOptions)) distances.push(toIntegerOutput(p, asNumber))
+      }
+      return distances
+    },
+
+    nextPrimeDistance(d) {
+      const p = nextPrimeBigint(BigInt(normalizeInteger(d, "d")))
+      return p === null ? null : toIntegerOutput(p, typeof d === 'number')
+    },
+
+    *primeDistancesFrom(d) {
+      const asNumber = typeof d === 'number'
+      for (let p = nextPrimeBigint(BigInt(normalizeInteger(d, "d"))); p !== null; p = nextPrimeBigint(p + ONE)) {
+        yield toIntegerOutput(p, asNumber)
+      }
+    },
+
+    extend(maxDistance) {
+      const newBound = parseMaxDistance(maxDistance)
+      if (newBound !== null && (bound === null || newBound < bound)) {
+        throw new RangeError(`invalid maxDistance (must not be lower than the current one, ${bound === null ? "Infinity" : bound}): ${newBound}`)
+      }
+      bound = newBound
+      return this
+    },
+  }
+}
+
+/**
+ * Reads the `maxDistance` option of createPrimeDistanceIndex().
+ *
+ * @param {BigIntResolvable} maxDistance A non-negative integer, or Infinity
+ * @returns {bigint | null} The largest distance to report, or null for all of them
+ */
+function parseMaxDistance(maxDistance) {
+  if (maxDistance === Infinity) return null
+  const bound = BigInt(normalizeInteger(maxDistance, "maxDistance"))
+  if (bound < ZERO) throw new RangeError(`invalid maxDistance option (must be a non-negative integer or Infinity): ${bound}`)
+  return bound
+}
+
+/**
+ * Sieves the numbers below `size` with a sieve of Eratosthenes.
+ *
+ * @param {number} size The number of flags
+ * @returns {Uint8Array} An array where index d holds 1 if d < 2 or d is composite
+ */
+function sieveComposites(size) {
+  const composite = new Uint8Array(size)
+  composite.fill(1, 0, Math.min(size, 2))
+  for (let i = 2; i * i < size; i++) {
+    if (composite[i]) continue
+    for (let j = i * i; j < size; j += i) composite[j] = 1
+  }
+  return composite
+}
+
+/**
+ * Normalizes the integer arguments of the arithmetic functions (see normalizeInteger()) to a common type:
+ * numbers when they are all safe integers, so that the fast number path can be taken, and bigints otherwise.
+ *
+ * @param {Object<string, unknown>} values The arguments, keyed by their names for error messages
+ * @returns {number[]|bigint[]} The integers the arguments stand for, in the same order
+ */
+function normalizeIntegers(values) {
+  const integers = Object.entries(values).map(([name, value]) => normalizeInteger(value, name))
+  const isSafe = x => typeof x === 'number' || (x <= MAX_SAFE_INTEGER_BIGINT && x >= -MAX_SAFE_INTEGER_BIGINT)
+  return integers.every(isSafe) ? integers.map(Number) : integers.map(x => BigInt(x))
+}
+
+/**
+ * Ensures that `m` is a valid modulus for modPow() and modInverse(), i.e. a positive integer.
+ *
+ * @param {number|bigint} m A normalized modulus
+ */
+function validateModulus(m) {
+  if (m < 1) throw new RangeError(`invalid modulus (must be a positive integer): ${m}`)
+}
+
+/**
+ * Reduces `a` modulo `m` into [0, m) for numbers. Unlike ((a % m) + m) % m, this never exceeds Number.MAX_SAFE_INTEGER.
+ *
+ * @param {number} a Any safe integer
+ * @param {number} m A positive safe integer
+ * @returns {number} a mod m
+ */
+function reduceNumber(a, m) {
+  const r = a % m
+  return r < 0 ? r + m : r
+}
+
+/**
+ * Computes (base ^ exponent) mod modulus. A negative exponent raises the modular inverse of `base` instead,
+ * which must then exist (see modInverse()).
+ * @param {number|string|bigint} base - Any integer
+ * @param {number|string|bigint} exponent - Any integer
+ * @param {number|string|bigint} modulus - A positive integer
+ * @returns {number|bigint} The result in [0, modulus), as a number if all the inputs are numbers and as a bigint otherwise
+ */
+function modPow(base, exponent, modulus) {
+  const asNumber = typeof base === 'number' && typeof exponent === 'number' && typeof modulus === 'number'
+  let [b, e, m] = normalizeIntegers({ base, exponent, modulus })
+  validateModulus(m)
+  if (e < 0) {
+    b = modInverse(b, m)
+    e = -e
+  }
+
+  if (typeof m === 'number') {
+    if (m === 1) return toIntegerOutput(0, asNumber)
+    return toIntegerOutput(modPowNumber(reduceNumber(b, m), e, m), asNumber)
+  }
+  return toIntegerOutput(modPowBigint(((b % m) + m) % m, e, m), asNumber)
+}
+
+/**
+ * Computes the inverse of `a` modulo `m` with the extended Euclidean algorithm.
+ * Throws a RangeError if `a` and `m` are not coprime, in which case there is no inverse.
+ * @param {number|string|bigint} a - Any integer
+ * @param {number|string|bigint} m - A positive integer
+ * @returns {number|bigint} The number x in [0, m) with a*x = 1 (mod m), as a number if both inputs are numbers and as a
+ *   bigint otherwise
+ */
+function modInverse(a, m) {
+  const asNumber = typeof a === 'number' && typeof m === 'number'
+  const [x, modulus] = normalizeIntegers({ a, m })
+  validateModulus(modulus)
+  if (typeof modulus === 'number') return toIntegerOutput(modInverseNumber(x, modulus), asNumber)
+  return toIntegerOutput(modInverseBigint(x, modulus), asNumber)
+}
+
+/**
+ * Calculates the inverse of `a` modulo `m` for numbers, see modInverseBigint().
+ * The coefficients never exceed `m` in absolute value, so the arithmetic stays exact.
+ *
+ * @param {number} a A number coprime to `m`
+ * @param {number} m A positive modulus
+ * @returns {number} The number x in [0, m) with a*x = 1 (mod m)
+ */
+function modInverseNumber(a, m) {
+  if (m === 1) return 0
+  let [oldR, r] = [reduceNumber(a, m), m]
+  let [oldS, s] = [1, 0]
+  while (r !== 0) {
+    // Math.floor(oldR / r) could round up, since the division is inexact for large numbers
+    const quotient = (oldR - (oldR % r)) / r
+    ;[oldR, r] = [r, oldR - quotient * r]
+    ;[oldS, s] = [s, oldS - quotient * s]
+  }
+  if (oldR !== 1) throw new RangeError(`${a} is not invertible modulo ${m}`)
+  return reduceNumber(oldS, m)
+}
+
+/**
+ * Calculates the greatest common divisor of `a` and `b`, which is never negative. gcd(0, 0) is 0.
+ * @param {number|string|bigint} a - Any integer
+ * @param {number|string|bigint} b - Any integer
+ * @returns {number|bigint} gcd(a, b), as a number if both inputs are numbers and as a bigint otherwise
+ */
+function gcd(a, b) {
+  const asNumber = typeof a === 'number' && typeof b === 'number'
+  let [x, y] = normalizeIntegers({ a, b }).map(v => (v < 0 ? -v : v))
+  if (typeof x === 'bigint') return toIntegerOutput(ugcd(x, y), asNumber)
+  while (y !== 0) [x, y] = [y, x % y]
+  return toIntegerOutput(x, asNumber)
+}
+
+/**
+ * Calculates the least common multiple of `a` and `b`, which is never negative. lcm(a, 0) is 0.
+ * Throws a RangeError if both inputs are numbers and the result exceeds Number.MAX_SAFE_INTEGER.
+ * @param {number|string|bigint} a - Any integer
+ * @param {number|string|bigint} b - Any integer
+ * @returns {number|bigint} lcm(a, b), as a number if both inputs are numbers and as a bigint otherwise
+ */
+function lcm(a, b) {
+  const asNumber = typeof a === 'number' && typeof b === 'number'
+  const [x, y] = normalizeIntegers({ a, b }).map(v => BigInt(v < 0 ? -v : v))
+  if (x === ZERO || y === ZERO) return toIntegerOutput(ZERO, asNumber)
+  return toIntegerOutput((x / ugcd(x, y)) * y, asNumber)
+}
+
+/**
+ * Calculates the Jacobi symbol (a/n), which is the Legendre symbol when `n` is prime: 1 if `a` is a nonzero quadratic
+ * residue modulo `n`, -1 if it is a non-residue, and 0 if `a` is divisible by `n`.
+ * @param {number|string|bigint} a - Any integer
+ * @param {number|string|bigint} n - A positive odd integer
+ * @returns {number} The Jacobi symbol (a/n), which is -1, 0 or 1
+ */
+function jacobi(a, n) {
+  const [x, modulus] = normalizeIntegers({ a, n })
+  const isOdd = typeof modulus === 'number' ? modulus % 2 === 1 : (modulus & ONE) === ONE
+  if (!isOdd || modulus < 1) {
+    throw new RangeError(`invalid n (must be a positive odd integer): ${modulus}`)
+  }
+  if (typeof modulus === 'number') return jacobiNumber(x, modulus)
+  return jacobiSymbol(x, modulus)
+}
+
+/**
+ * Calculates the Jacobi symbol (a/n) for numbers, see jacobiSymbol(). Bitwise operators would truncate numbers to
+ * 32 bits, so the residues are taken with `%` instead.
+ *
+ * @param {number} a Any number
+ * @param {number} n A positive odd number
+ * @returns {number} The Jacobi symbol (a/n), which is -1, 0 or 1
+ */
+function jacobiNumber(a, n) {
+  a %= n
+  if (a < 0) a += n
+
+  let result = 1
+  while (a !== 0) {
+    while (a % 2 === 0) {
+      a /= 2
+      const nMod8 = n % 8
+      if (nMod8 === 3 || nMod8 === 5) result = -result
+    }
+    ;[a, n] = [n, a]
+    if (a % 4 === 3 && n % 4 === 3) result = -result
+    a %= n
+  }
+
+  return n === 1 ? result : 0
+}
+
+/**
+ * Calculates the integer square root of `n`, i.e. the largest integer whose square is at most `n`.
+ * @param {number|string|bigint} n - A non-negative integer
+ * @returns {number|bigint} floor(sqrt(n)), as a number if `n` is a number and as a bigint otherwise
+ */
+function sqrt(n) {
+  const asNumber = typeof n === 'number'
+  const [x] = normalizeIntegers({ n })
+  if (x < 0) throw new RangeError(`cannot take the square root of ${x} (must be non-negative)`)
+  if (typeof x === 'bigint') return toIntegerOutput(isqrtBigint(x), asNumber)
+  return toIntegerOutput(integerRootNumber(x, 2), asNumber)
+}
+
+/**
+ * Calculates the integer `k`-th root of `n`, i.e. the largest integer whose `k`-th power is at most `n`.
+ * @param {number|string|bigint} n - A non-negative integer
+ * @param {number|string|bigint} k - The degree of the root, a positive integer
+ * @returns {number|bigint} floor(n^(1/k)), as a number if `n` is a number and as a bigint otherwise
+ */
+function nthRoot(n, k) {
+  const asNumber = typeof n === 'number'
+  const x = normalizeInteger(n)
+  let degree = normalizeInteger(k, "k")
+  if (x < 0) throw new RangeError(`cannot take the root of ${x} (must be non-negative)`)
+  if (degree < 1) throw new RangeError(`invalid k (must be a positive integer): ${degree}`)
+
+  // Beyond the bit length of n, the root can only be 0 or 1
+  const maxDegree = bitLength(BigInt(x))
+  degree = degree > maxDegree ? maxDegree : Number(degree)
+  if (typeof x === 'bigint') return toIntegerOutput(integerRootBigint(x, degree), asNumber)
+  return toIntegerOutput(integerRootNumber(x, degree), asNumber)
+}
+
+/**
+ * Calculates the integer `k`-th root of `n` for numbers: an estimate in floating point, corrected to be exact.
+ *
+ * @param {number} n Any non-negative safe integer
+ * @param {number} k The degree of the root, at least 1
+ * @returns {number} floor(n^(1/k))
+ */
+function integerRootNumber(n, k) {
+  if (n < 2 || k === 1) return n
+
+  let root = Math.floor(k === 2 ? Math.sqrt(n) : n ** (1 / k))
+  while (boundedPowerNumber(root, k, n) > n) root--
+  while (boundedPowerNumber(root + 1, k, n) <= n) root++
+  return root
+}
+
+/**
+ * Computes base ^ exponent for numbers, as long as it does not exceed `limit`. Since `limit` is a safe integer, the
+ * partial products up to it are exact, and the first one beyond it is still larger than it after rounding.
+ *
+ * @param {number} base A non-negative number
+ * @param {number} exponent A non-negative number
+ * @param {number} limit A non-negative safe integer
+ * @returns {number} base ** exponent, or Infinity if it exceeds `limit`
+ */
+function boundedPowerNumber(base, exponent, limit) {
+  let power = 1
+  for (let i = 0; i < exponent; i++) {
+    power *= base
+    if (power > limit) return Infinity
+  }
+  return power
+}
+
+/**
+ * Checks whether `n` is a perfect power, i.e. m^k for some integers m and k of at least 2. 0 and 1 are perfect powers,
+ * and a negative integer is one when it is an odd power, like -8 = (-2)^3.
+ * @param {number|string|bigint} n - Any integer
+ * @returns {boolean} true if `n` is a perfect power, false otherwise
+ */
+function isPerfectPower(n) {
+  const [x] = normalizeIntegers({ n })
+  if (x >= -1 && x <= 1) return true
+  const magnitude = x < 0 ? -x : x
+
+  let exponent = 0 // The largest exponent k such that the magnitude is a k-th power
+  if (typeof magnitude === 'bigint') {
+    const power = perfectPowerBigint(magnitude)
+    if (power !== null) exponent = power.exponent
+  } else {
+    for (let k = 2; ; k++) {
+      const root = integerRootNumber(magnitude, k)
+      if (root < 2) break
+      if (boundedPowerNumber(root, k, magnitude) === magnitude) exponent = k
+    }
+  }
+
+  // -m^k is (-m)^k for odd k, so a negative number must have an odd exponent other than 1, i.e. not a power of 2
+  if (x < 0) while (exponent % 2 === 0 && exponent > 0) exponent /= 2
+  return exponent > 1
+}
+
+/**
+ * Finds a square root of `a` modulo the prime `p` with the Tonelli-Shanks algorithm, i.e. a number r with r^2 = a (mod p).
+ * Throws a RangeError if `p` is not prime (according to primalityTest()).
+ * @param {number|string|bigint} a - Any integer
+ * @param {number|string|bigint} p - A prime
+ * @returns {number|bigint|null} The smaller of the two square roots r and p-r, as a number if both inputs are numbers and
+ *   as a bigint otherwise, or null if `a` is not a quadratic residue modulo `p`
+ */
+function modSqrt(a, p) {
+  const asNumber = typeof a === 'number' && typeof p === 'number'
+  const [x, prime] = normalizeIntegers({ a, p })
+  if (!primalityTest(prime)) throw new RangeError(`invalid p (must be a prime): ${prime}`)
+
+  const root = typeof prime === 'number' ? modSqrtNumber(reduceNumber(x, prime), prime)
+    : modSqrtBigint(((x % prime) + prime) % prime, prime)
+  if (root === null) return null
+  return toIntegerOutput(root, asNumber)
+}
+
+/**
+ * Computes a square root of `a` modulo the prime `p` for numbers, with the Tonelli-Shanks algorithm.
+ *
+ * @param {number} a A number in [0, p)
+ * @param {number} p A prime number
+ * @returns {number|null} The smaller square root of `a`, or null if there is none
+ */
+function modSqrtNumber(a, p) {
+  if (a === 0 || p === 2) return a
+  if (jacobiNumber(a, p) !== 1) return null
+
+  // Write p-1 = q * 2^s with q odd
+  let q = p - 1
+  let s = 0
+  while (q % 2 === 0) {
+    q /= 2
+    s++
+  }
+
+  // Any quadratic non-residue z gives a generator z^q of the 2-Sylow subgroup
+  let z = 2
+  while (jacobiNumber(z, p) !== -1) z++
+
+  let c = modPowNumber(z, q, p)
+  let t = modPowNumber(a, q, p)
+  let r = modPowNumber(a, (q + 1) / 2, p)
+  // Invariant: r^2 = a*t (mod p), where the order of t divides 2^(s-1)
+  while (t !== 1) {
+    // Find the order 2^i of t
+    let i = 0
+    for (let t2 = t; t2 !== 1; i++) t2 = modSquaredNumber(t2, p)
+
+    let b = c
+    for (let j = 0; j < s - i - 1; j++) b = modSquaredNumber(b, p)
+    s = i
+    c = modSquaredNumber(b, p)
+    t = modProductNumber(t, c, p)
+    r = modProductNumber(r, b, p)
+  }
+  return Math.min(r, p - r)
+}
+
+/**
+ * Computes a square root of `a` modulo the prime `p` for BigInts, see modSqrtNumber().
+ *
+ * @param {bigint} a A number in [0, p)
+ * @param {bigint} p A prime number
+ * @returns {bigint|null} The smaller square root of `a`, or null if there is none
+ */
+function modSqrtBigint(a, p) {
+  if (a === ZERO || p === TWO) return a
+  if (jacobiSymbol(a, p) !== 1) return null
+
+  const s = twoMultiplicity(p - ONE)
+  const q = (p - ONE) >> s
+
+  let z = TWO
+  while (jacobiSymbol(z, p) !== -1) z++
+
+  let m = Number(s)
+  let c = modPowBigint(z, q, p)
+  let t = modPowBigint(a, q, p)
+  let r = modPowBigint(a, (q + ONE) >> ONE, p)
+  while (t !== ONE) {
+    let i = 0
+    for (let t2 = t; t2 !== ONE; i++) t2 = (t2 * t2) % p
+
+    let b = c
+    for (let j = 0; j < m - i - 1; j++) b = (b * b) % p
+    m = i
+    c = (b * b) % p
+    t = (t * c) % p
+    r = (r * b) % p
+  }
+  return r < p - r ? r : p - r
+}
+
+// The URL of this file when it is loaded with a <script> tag, so that Web Workers can load it as well
+const SCRIPT_URL = typeof document !== "undefined" && document.currentScript ? document.currentScript.src : null
+
+/**
+ * Runs primalityTest() on every input of `inputs`, spread over a pool of worker threads (`worker_threads` in Node.js,
+ * Web Workers in browsers) so that large batches do not block the main thread.
+ * Inputs are sent to the workers in chunks, as numbers or decimal strings, and the results come back in input order.
+ * When workers are unavailable (or the options hold an `rng` function, which cannot be sent to a worker), the batch
+ * runs on the current thread instead, one chunk at a time, yielding to the event loop in between.
+ *
+ * @param {Iterable<number|string|bigint>} inputs - The numbers to be tested for primality.
+ * @param {BatchOptions?} options - An object specifying the `signal`, `concurrency`, `chunkSize` and/or `workerUrl` options,
+ *   on top of the primality test options passed along to primalityTest().
+ *   - `signal` is an AbortSignal that cancels the batch: the workers are terminated and the promise rejects with the abort reason.
+ *   - `concurrency` is the number of workers, a positive integer. Defaults to the number of logical processors.
+ *   - `chunkSize` is the number of inputs sent to a worker at once. Defaults to spreading the inputs over 4 chunks per worker.
+ *   - `workerUrl` is the URL of a classic script version of this file (isPrime.js or dist/isPrime.browser.js) for Web Workers
+ *     to load. Defaults to the URL this file was loaded from with a <script> tag, if any.
+ * @returns {Promise<boolean[]>} For each input, whether it is a (probable) prime
+ */
+function primalityTestBatch(inputs, options) {
+  const { signal, concurrency, chunkSize, workerUrl, ...testOptions } = options || {}
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(getAbortReason(signal))
+    if (concurrency != null && !(Number.isSafeInteger(concurrency) && concurrency > 0)) {
+      throw new RangeError(`invalid concurrency option (must be a positive safe integer): ${concurrency}`)
+    }
+    if (chunkSize != null && !(Number.isSafeInteger(chunkSize) && chunkSize > 0)) {
+      throw new RangeError(`invalid chunkSize option (must be a positive safe integer): ${chunkSize}`)
+    }
+
+    // Invalid inputs reject the batch up front, rather than inside a worker
+    const values = Array.from(inputs, n => {
+      n = normalizeInteger(n)
+      return typeof n === 'bigint' ? String(n) : n
+    })
+
+    const results = new Array(values.length)
+    const workerCount = Math.min(concurrency == null ? getDefaultConcurrency() : concurrency, values.length)
+    const size = chunkSize || Math.max(1, Math.ceil(values.length / Math.max(workerCount * 4, 1)))
+    const chunks = []
+    for (let start = 0; start < values.length; start += size) chunks.push(start)
+
+    // Functions (like rng) cannot be sent to a worker
+    const serializable = Object.values(testOptions).every(value => typeof value !== 'function')
+    const workers = []
+    for (let i = 0; serializable && i < workerCount; i++) {
+      let worker = null
+      try {
+        worker = createBatchWorker(workerUrl)
+      } catch (error) {
+        // Creating workers can be forbidden, e.g. by a Content Security Policy: fall back to the current thread
+      }
+      if (!worker) break
+      workers.push(worker)
+    }
+    if (workers.length === 0) return runBatchInThread(values, chunks, size, testOptions, signal).then(resolve, reject)
+    const options = serializeBatchOptions(testOptions)
+
+    let nextChunk = 0
+    let pending = chunks.length
+    let settled = false
+    const finish = error => {
+      if (settled) return
+      settled = true
+      workers.forEach(worker => worker.terminate())
+      if (signal) signal.removeEventListener("abort", onAbort)
+      if (error) reject(error)
+      else resolve(results)
+    }
+    const onAbort = () => finish(getAbortReason(signal))
+    if (signal) signal.addEventListener("abort", onAbort)
+
+    // Every worker takes the next chunk as soon as it is done with its previous one
+    const dispatch = worker => {
+      if (nextChunk === chunks.length) return
+      const start = chunks[nextChunk++]
+      worker.postMessage({ start, inputs: values.slice(start, start + size), options })
+    }
+    for (const worker of workers) {
+      worker.onMessage(message => {
+        if (settled) return
+        if (message.error) return finish(deserializeBatchError(message.error))
+        for (let i = 0; i < message.results.length; i++) results[message.start + i] = message.results[i]
+        if (--pending === 0) return finish()
+        dispatch(worker)
+      })
+      worker.onError(error => finish(error))
+      // A worker only exits on its own if it crashed, e.g. with process.exit(), which leaves its chunk unanswered
+      worker.onExit(code => finish(new Error(`a batch worker exited before the end of the batch, with code ${code}`)))
+      dispatch(worker)
+    }
+    if (pending === 0) finish()
+  })
+}
+
+/**
+ * Runs the chunks of a batch on the current thread, yielding to the event loop between chunks so that an abort can be noticed.
+ *
+ * @param {Array<number|string>} values The inputs of the batch
+ * @param {number[]} chunks The start index of each chunk
+ * @param {number} size The size of the chunks
+ * @param {PrimalityTestOptions} options The primality test options
+ * @param {AbortSignal | undefined} signal The signal cancelling the batch
+ * @returns {Promise<boolean[]>} For each input, whether it is a (probable) prime
+ */
+async function runBatchInThread(values, chunks, size, options, signal) {
+  const results = new Array(values.length)
+  for (const start of chunks) {
+    await yieldToEventLoop()
+    if (signal && signal.aborted) throw getAbortReason(signal)
+    for (let i = start; i < Math.min(start + size, values.length); i++) results[i] = primalityTest(values[i], options)
+  }
+  return results
+}
+
+/**
+ * Converts the bigints of the primality test options to strings, so that they survive being sent to a worker
+ * (primalityTest() accepts strings wherever it accepts bigints).
+ *
+ * @param {PrimalityTestOptions} options The primality test options, without functions
+ * @returns {Object} The options, with every bigint converted to a string
+ */
+function serializeBatchOptions(options) {
+  const serialize = value => {
+    if (typeof value === 'bigint') return String(value)
+    if (Array.isArray(value)) return value.map(serialize)
+    return value
+  }
+  const serialized = {}
+  for (const [key, value] of Object.entries(options)) serialized[key] = serialize(value)
+  return serialized
+}
+
+/**
+ * Returns the number of logical processors, as the default number of workers of primalityTestBatch().
+ *
+ * @returns {number}
+ */
+function getDefaultConcurrency() {
+  if (typeof navigator !== "undefined" && navigator.hardwareConcurrency) return navigator.hardwareConcurrency
+  const os = requireNodeModule("os")
+  if (os) return os.availableParallelism ? os.availableParallelism() : os.cpus().length
+  return 1
+}
+
+/**
+ * Loads a Node.js built-in module, or returns null outside of Node.js.
+ * Uses module.require rather than require, so that bundlers do not try to bundle it for browsers.
+ *
+ * @param {string} name The name of the built-in module
+ * @returns {Object | null} The module, or null if it is unavailable
+ */
+function requireNodeModule(name) {
+  if (typeof module === "undefined" || typeof module.require !== "function") return null
+  try {
+    return module.require(name)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Creates a worker running primalityTest() on the chunks it is sent, with a common interface over Node.js worker threads and Web Workers.
+ * Each message is `{ start, inputs, options }` and is answered with `{ start, results }` or `{ start, error: { name, message } }`.
+ *
+ * @param {string | undefined} workerUrl The URL of a classic script version of this file, for Web Workers
+ * @returns {BatchWorker | null} The worker, or null if workers are unavailable
+ */
+function createBatchWorker(workerUrl) {
+  const handler = `(test => message => {
+    try {
+      return { start: message.start, results: message.inputs.map(n => test(n, message.options)) }
+    } catch (error) {
+      return { start: message.start, error: { name: error.name, message: error.message } }
+    }
+  })`
+
+  const workerThreads = typeof __filename !== "undefined" ? requireNodeModule("worker_threads") : null
+  if (workerThreads) {
+    const source = `const { parentPort, workerData } = require("worker_threads")
+const handle = ${handler}(require(workerData.modulePath).primalityTest)
+parentPort.on("message", message => parentPort.postMessage(handle(message)))`
+    const worker = new workerThreads.Worker(source, { eval: true, workerData: { modulePath: __filename } })
+    return {
+      postMessage: message => worker.postMessage(message),
+      onMessage: listener => worker.on("message", listener),
+      onError: listener => worker.on("error", listener),
+      onExit: listener => worker.on("exit", listener),
+      terminate: () => worker.terminate(),
+    }
+  }
+
+  const url = workerUrl || SCRIPT_URL
+  if (typeof Worker === "undefined" || typeof Blob === "undefined" || !url) return null
+  // The script defines primalityTest() as a global, or inside the PrimalityTest namespace for dist/isPrime.browser.js
+  const source = `importScripts(${JSON.stringify(String(url))})
+const handle = ${handler}(typeof primalityTest === "function" ? primalityTest : PrimalityTest.primalityTest)
+onmessage = event => postMessage(handle(event.data))`
+  const blobUrl = URL.createObjectURL(new Blob([source], { type: "text/javascript" }))
+  const worker = new Worker(blobUrl)
+  return {
+    postMessage: message => worker.postMessage(message),
+    onMessage: listener => worker.addEventListener("message", event => listener(event.data)),
+    onError: listener => worker.addEventListener("error", event => listener(event.error || new Error(event.message))),
+    // Web Workers do not report their exit, only their errors
+    onExit: () => {},
+    terminate: () => {
+      worker.terminate()
+      URL.revokeObjectURL(blobUrl)
+    },
+  }
+}
+
+/**
+ * Rebuilds an error that a batch worker reported as `{ name, message }`, with its class when it is one that
+ * primalityTest() throws, so that a batch rejects with the same error on a worker as on the current thread.
+ *
+ * @param {{ name: string, message: string }} error The error reported by the worker
+ * @returns {Error} The error to reject the batch with
+ */
+function deserializeBatchError({ name, message }) {
+  const ErrorClass = [RangeError, TypeError, PrimalityInputError].find(errorClass => errorClass.name === name)
+  return ErrorClass ? new ErrorClass(message) : Object.assign(new Error(message), { name })
+}
+
+/**
+ * Returns the reason an AbortSignal was aborted with, or an AbortError on engines without `signal.reason`.
+ *
+ * @param {AbortSignal} signal An aborted signal
+ * @returns {*} The abort reason
+ */
+function getAbortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason
+  const error = new Error("The operation was aborted")
+  error.name = "AbortError"
+  return error
+}
+
+/**
+ * Tests `n` for primality like primalityTest(), but without blocking the event loop for more than `yieldEvery`
+ * milliseconds at a time, so that very large inputs leave a UI responsive and can be cancelled.
+ * The test yields to the event loop between rounds and between the multiplications of each round's modular exponentiation,
+ * calls `onProgress` after every round that `n` passes, and rejects with the abort reason as soon as `signal` is aborted.
+ * Inputs below 2^64 are settled synchronously, since their deterministic test only takes microseconds.
+ * With the "bpsw" method, the strong Lucas test following the base-2 round runs in a single block, and so do the tests
+ * of numbers of a special form with the `specialForm` option (see primalityTestSpecialForm()).
+ * @param {number|string|bigint} n - A number or bigint integer to be tested for primality.
+ * @param {PrimalityTestAsyncOptions?} options - The `signal`, `onProgress` and `yieldEvery` options, on top of the optional
+ *   arguments passed along to primalityTest()
+ * @returns {Promise<boolean>} true if all the primality tests passed, false otherwise
+ */
+async function primalityTestAsync(n, options) {
+  const { signal, onProgress, yieldEvery = DEFAULT_YIELD_INTERVAL, ...testOptions } = options || {}
+  if (typeof yieldEvery !== 'number' || !(yieldEvery >= 0)) {
+    throw new RangeError(`invalid yieldEvery option (must be a non-negative number): ${yieldEvery}`)
+  }
+  if (signal && signal.aborted) throw getAbortReason(signal)
+
+  n = normalizeInteger(n)
+  if (n < LIMIT_DETERMINISM) return primalityTest(n, testOptions)
+
+  // Cheaply rule out n with small factors, like runBigintTest()
+  if (n & ONE) {
+    const factor = trialDivideBigint(n, getTrialDivisionTable(testOptions.trialDivision))
+    if (factor !== ZERO) return factor === ONE
+  }
+
+  const form = testOptions.specialForm ? getSpecialForm(n) : null
+  if (form) return runSpecialFormTest(form)
+
+  const method = testOptions.method || defaultMethod
+  if (method !== "miller-rabin" && method !== "bpsw") {
+    throw new RangeError(`invalid method option (must be "miller-rabin" or "bpsw"): ${method}`)
+  }
+  const checkpoint = createCheckpoint(signal, yieldEvery)
+  const report = (round, numRounds) => onProgress && onProgress({ round, numRounds })
+
+  if (method === "bpsw") {
+    const trivial = trivialResult(n)
+    if (trivial) return trivial.probablePrime
+    const mr = getMillerRabinContext(n, testOptions.useMontgomery)
+    if (await millerRabinRoundAsync(TWO, mr, checkpoint)) return false
+    report(1, 2)
+    await checkpoint.pause()
+    if (strongLucasRound(n, mr.reductionContext)) return false
+    report(2, 2)
+    return true
+  }
+
+  const plan = getMillerRabinPlan(n, testOptions)
+  if (plan instanceof PrimalityResult) return plan.probablePrime
+  for (let round = 0; round < plan.numRounds; round++) {
+    const base = plan.bases != null ? plan.bases[round] : getRandomBase(plan.nBits, plan.mr.nSub, plan.random)
+    if (await millerRabinRoundAsync(base, plan.mr, checkpoint)) return false
+    report(round + 1, plan.numRounds)
+    if (round + 1 < plan.numRounds) await checkpoint.pause()
+  }
+  return true
+}
+
+/**
+ * Creates the checkpoints at which primalityTestAsync() interrupts its computation.
+ * `due()` tells whether `yieldEvery` milliseconds have passed since the last yield, and `pause()` yields to the event loop,
+ * then throws the abort reason if `signal` was aborted in the meantime.
+ *
+ * @param {AbortSignal | undefined} signal The signal cancelling the test
+ * @param {number} yieldEvery The longest time to compute without yielding, in milliseconds
+ * @returns {{ due: () => boolean, pause: () => Promise<void> }}
+ */
+function createCheckpoint(signal, yieldEvery) {
+  let deadline = Date.now() + yieldEvery
+  return {
+    due: () => Date.now() >= deadline,
+    pause: async () => {
+      await yieldToEventLoop()
+      if (signal && signal.aborted) throw getAbortReason(signal)
+      deadline = Date.now() + yieldEvery
+    },
+  }
+}
+
+/**
+ * Runs a single Miller-Rabin round on `n` like millerRabinRound(), without looking for a divisor, and pausing at the
+ * given checkpoint whenever it is due.
+ *
+ * @param {bigint} base The base to test against, in [1, n-1]
+ * @param {MillerRabinContext} mr The context of `n`, from getMillerRabinContext()
+ * @param {{ due: () => boolean, pause: () => Promise<void> }} checkpoint See createCheckpoint()
+ * @returns {Promise<boolean>} true if `base` is a witness to the compositeness of `n`, false if `n` is a strong probable prime to it
+ */
+async function millerRabinRoundAsync(base, mr, checkpoint) {
+  const { n, r, d, reductionContext, oneReduced, nSubReduced } = mr
+  const mul = reductionContext ? (a, b) => montgomeryMul(a, b, reductionContext) : (a, b) => (a * b) % n
+  const sqr = reductionContext ? a => montgomerySqr(a, reductionContext) : a => (a * a) % n
+
+  const reducedBase = reductionContext ? montgomeryReduce(base, reductionContext) : base % n
+  let x = await slidingWindowPowAsync(reducedBase, d, oneReduced, mul, sqr, checkpoint)
+  if (x === oneReduced || x === nSubReduced) return false
+
+  // Square up to base^(d*2^(r-1)), looking for -1
+  for (let i = ONE; i < r; i++) {
+    x = sqr(x)
+    if (x === nSubReduced) return false
+    else if (x === oneReduced) return true
+    if (checkpoint.due()) await checkpoint.pause()
+  }
+  return true
+}
+
+/**
+ * Computes `base` to the power of `exp` like slidingWindowPow(), pausing at the given checkpoint whenever it is due.
+ *
+ * @param {bigint} base The base, already reduced (and converted into Montgomery form if need be)
+ * @param {bigint} exp A nonnegative exponent
+ * @param {bigint} one The number 1 in the representation of `base`, returned when `exp` is 0
+ * @param {(a: bigint, b: bigint) => bigint} mul The modular multiplication
+ * @param {(a: bigint) => bigint} sqr The modular squaring
+ * @param {{ due: () => boolean, pause: () => Promise<void> }} checkpoint See createCheckpoint()
+ * @returns {Promise<bigint>} base^exp in the representation of `base`
+ */
+async function slidingWindowPowAsync(base, exp, one, mul, sqr, checkpoint) {
+  const steps = slidingWindowSteps(base, exp, one, mul, sqr)
+  let step = steps.next()
+  while (!step.done) {
+    if (checkpoint.due()) await checkpoint.pause()
+    step = steps.next()
+  }
+  return step.value
+}
+
+/**
+ * Yields to the event loop, letting timers, I/O and (in browsers) rendering run.
+ *
+ * @returns {Promise<void>} A promise resolving on the next turn of the event loop
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+// Export the public API when loaded as a CommonJS module (as a plain <script>, the functions above are globals instead).
+// scripts/build.js replaces this block to produce the ESM and browser builds in dist/.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    primalityTest,
+    primalityTestNumber,
+    primalityTestBigint,
+    primalityTestDetailed,
+    PrimalityResult,
+    createSeededRng,
+    bitLength,
+    getAdaptiveNumRounds,
+    getRequiredNumRounds,
+    getErrorBound,
+    setDefaultMethod,
+    calibrate,
+    nextPrime,
+    prevPrime,
+    primesInRange,
+    randomPrime,
+    factorize,
+    FactorizationBudgetError,
+    PrimalityInputError,
+    primalityTestBatch,
+    provePrime,
+    verifyCertificate,
+    createPrimalityCache,
+    primalityTestAsync,
+    primalityTestSpecialForm,
+    isBackendAvailable,
+    modPow,
+    modInverse,
+    gcd,
+    lcm,
+    jacobi,
+    sqrt,
+    nthRoot,
+    isPerfectPower,
+    modSqrt,
+    primeCount,
+    nthPrime,
+    createPrimeDistanceIndex,
+  }
+}
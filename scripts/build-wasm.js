@@ -0,0 +1,20 @@
+"use strict";
+
+// Assembles wasm/montgomery.wat with scripts/wat2wasm.js, and embeds the module in isPrime.js as the base64 string
+// MONTGOMERY_WASM, so that the library stays a single file. Run it after editing the WAT source.
+
+const fs = require("fs")
+const path = require("path")
+const { assemble } = require("./wat2wasm.js")
+
+const ROOT = path.join(__dirname, "..")
+const SOURCE = path.join(ROOT, "isPrime.js")
+const EMBEDDED = /^const MONTGOMERY_WASM = ".*"$/m
+
+const bytes = assemble(fs.readFileSync(path.join(ROOT, "wasm", "montgomery.wat"), "utf8"))
+new WebAssembly.Module(bytes) // Validates the module
+
+const source = fs.readFileSync(SOURCE, "utf8")
+if (!EMBEDDED.test(source)) throw new Error(`could not find the MONTGOMERY_WASM constant in isPrime.js`)
+fs.writeFileSync(SOURCE, source.replace(EMBEDDED, `const MONTGOMERY_WASM = "${Buffer.from(bytes).toString("base64")}"`))
+console.log(`Embedded wasm/montgomery.wat into isPrime.js (${bytes.length} bytes)`)
@@ -0,0 +1,29 @@
+"use strict";
+
+// Generates the browser-friendly builds of isPrime.js into dist/:
+//   - dist/isPrime.mjs: an ES module with named exports
+//   - dist/isPrime.browser.js: a classic script that only defines the global `PrimalityTest` namespace
+// Both are the unmodified source, with LF line endings and the CommonJS export block replaced.
+
+const fs = require("fs")
+const path = require("path")
+
+const ROOT = path.join(__dirname, "..")
+const DIST = path.join(ROOT, "dist")
+const EXPORT_BLOCK = /^if \(typeof module !== "undefined" && module\.exports\) \{\n[\s\S]*?^\}\n/m
+
+// isPrime.js has CRLF line endings
+const source = fs.readFileSync(path.join(ROOT, "isPrime.js"), "utf8").replace(/\r\n/g, "\n")
+if (!EXPORT_BLOCK.test(source)) throw new Error(`could not find the CommonJS export block in isPrime.js`)
+const names = Object.keys(require(path.join(ROOT, "isPrime.js")))
+
+const esm = source.replace(EXPORT_BLOCK, `export {\n${names.map(name => `  ${name},\n`).join("")}}\n`)
+const browser = `(function (global) {\n${source.replace(
+  EXPORT_BLOCK,
+  `global.PrimalityTest = {\n${names.map(name => `  ${name},\n`).join("")}}\n`
+)}})(typeof globalThis !== "undefined" ? globalThis : this);\n`
+
+fs.mkdirSync(DIST, { recursive: true })
+fs.writeFileSync(path.join(DIST, "isPrime.mjs"), esm)
+fs.writeFileSync(path.join(DIST, "isPrime.browser.js"), browser)
+console.log(`Built dist/isPrime.mjs and dist/isPrime.browser.js (${names.length} exports)`)
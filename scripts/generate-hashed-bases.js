@@ -0,0 +1,229 @@
+"use strict";
+
+// Generates HASHED_BASES, the table of Miller-Rabin bases with which primalityTestNumber() decides every n in
+// [HASHED_BASE_MIN, 2^32) with two rounds, in the manner of Forisek and Jancina ("Fast Primality Testing for Integers That
+// Fit into a Machine Word", 2015): n is tested to base 2, then hashed into one of 256 buckets and tested to the base of
+// its bucket. Only the strong pseudoprimes to base 2 get to the second round, so each bucket needs a base to which none
+// of its own are strong probable primes.
+//
+// The search is exhaustive: the odd composites are sieved and tested to base 2, which lists every strong pseudoprime to
+// base 2 in the range, and each bucket then gets the smallest base above 2 that rules out all of those in the bucket.
+// It takes about 40 minutes. The result only depends on the hash, so the table is reproducible; it is written
+// into isPrime.js.
+//
+// With --psp, it generates HASHED_BASES_53 instead, the table of 4096 bases for [2^32, 2^53). Sieving that range is out
+// of reach, so the strong pseudoprimes to base 2 are read from the Feitsma-Galway list (one number per line, as in
+// psps-below-2-to-64.txt from http://www.cecm.sfu.ca/Pseudoprimes/), which has to be downloaded first.
+//
+// Usage: node scripts/generate-hashed-bases.js [--psp <file>] [--verify]
+//   --psp <file> reads the strong pseudoprimes to base 2 from the file and generates HASHED_BASES_53
+//   --verify checks the table of isPrime.js instead, and exits with 1 if any composite passes both of its bases
+
+const fs = require("fs")
+const path = require("path")
+const readline = require("readline")
+const vm = require("vm")
+
+const SOURCE = path.join(__dirname, "..", "isPrime.js")
+const TABLE = /^const HASHED_BASES = \[[\s\S]*?\]$/m
+const TABLE_53 = /^const HASHED_BASES_53 = \[[\s\S]*?\]$/m
+
+// isPrime.js is also a classic script, whose internals are visible when it is run as one
+const { hashedBaseIndex, HASHED_BASES, hashedBaseIndex53, HASHED_BASES_53, HASHED_BASES_53_SIZE } = vm.runInNewContext(
+  `${fs.readFileSync(SOURCE, "utf8")}\n;({ hashedBaseIndex, HASHED_BASES, hashedBaseIndex53, HASHED_BASES_53, HASHED_BASES_53_SIZE })`,
+  {}
+)
+const MIN = 2 ** 16 // HASHED_BASE_MIN: the bases are below it, so smaller than n
+const MAX = 2 ** 32
+const BUCKETS = 256
+const SEGMENT = 2 ** 21 // Odd numbers per segment
+
+/**
+ * Computes (a * b) mod n exactly for a, b < n < 2^32, given inverse = 1 / n. The quotient estimated in floating point is
+ * off by at most one, and the remainder a * b - q * n is then computed exactly by splitting a and q into 16-bit halves.
+ */
+function mulMod(a, b, n, inverse) {
+  const q = Math.floor(a * b * inverse)
+  let r = ((a >>> 16) * b - (q >>> 16) * n) * 65536 + ((a & 0xffff) * b - (q & 0xffff) * n)
+  while (r < 0) r += n
+  while (r >= n) r -= n
+  return r
+}
+
+/** Checks whether the odd n is a strong probable prime to the base, which is below 2^16 */
+function isStrongProbablePrime(n, base) {
+  let d = n - 1
+  let s = 0
+  while (d % 2 === 0) {
+    d /= 2
+    s++
+  }
+  // Left to right, so that the multiplications are by the base, whose products with x < 2^32 are exact
+  const inverse = 1 / n
+  let x = base % n
+  for (let k = 30 - Math.clz32(d); k >= 0; k--) {
+    x = mulMod(x, x, n, inverse)
+    if ((d >>> k) & 1) {
+      x *= base
+      x -= Math.floor(x * inverse) * n
+      if (x < 0) x += n
+      else if (x >= n) x -= n
+    }
+  }
+  if (x === 1 || x === n - 1) return true
+  for (let i = 1; i < s; i++) {
+    x = mulMod(x, x, n, inverse)
+    if (x === n - 1) return true
+  }
+  return false
+}
+
+/** Checks whether the odd n below 2^53 is a strong probable prime to the base, in BigInt arithmetic */
+function isStrongProbablePrimeBigint(n, base) {
+  const big = BigInt(n)
+  const nSub = big - 1n
+  let d = nSub
+  let s = 0
+  while ((d & 1n) === 0n) {
+    d >>= 1n
+    s++
+  }
+  let x = 1n
+  for (let b = BigInt(base) % big; d > 0n; d >>= 1n, b = b * b % big) {
+    if (d & 1n) x = x * b % big
+  }
+  if (x === 1n || x === nSub) return true
+  for (let i = 1; i < s; i++) {
+    x = x * x % big
+    if (x === nSub) return true
+  }
+  return false
+}
+
+/**
+ * Calls `visit` on each strong pseudoprime to base 2 in [MAX, 2^53) listed in the file. The list goes on up to 2^64, so
+ * the longer lines are skipped before parsing, and so are the numbers that are not strong pseudoprimes to base 2, in case
+ * the file lists other pseudoprimes as well.
+ */
+async function forEachListedPseudoprime(file, visit) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })
+  for await (const line of lines) {
+    const [token] = line.trim().split(/\s+/)
+    if (!/^\d{1,16}$/.test(token)) continue
+    const n = Number(token)
+    if (n >= MAX && n < 2 ** 53 && isStrongProbablePrimeBigint(n, 2)) visit(n)
+  }
+}
+
+/** Calls `visit` on each odd composite in [MIN, MAX), in increasing order */
+function forEachComposite(visit) {
+  const limit = Math.sqrt(MAX)
+  const small = new Uint8Array(limit + 1)
+  const primes = []
+  for (let i = 2; i <= limit; i++) {
+    if (small[i]) continue
+    if (i > 2) primes.push(i)
+    for (let j = i * i; j <= limit; j += i) small[j] = 1
+  }
+
+  const composite = new Uint8Array(SEGMENT) // composite[i] is 1 if start + 2i is composite
+  for (let start = MIN + 1; start < MAX; start += 2 * SEGMENT) {
+    const count = Math.min(SEGMENT, Math.ceil((MAX - start) / 2))
+    composite.fill(0)
+    for (const p of primes) {
+      let first = Math.max(p * p, Math.ceil(start / p) * p)
+      if (first % 2 === 0) first += p
+      for (let j = (first - start) / 2; j < count; j += p) composite[j] = 1
+    }
+    for (let i = 0; i < count; i++) {
+      if (composite[i]) visit(start + 2 * i)
+    }
+  }
+}
+
+/** Finds the smallest base above 2 that none of the given composites pass */
+function findBase(liars, isProbablePrime = isStrongProbablePrime) {
+  for (let base = 3; base < MIN; base++) {
+    if (!liars.some(n => isProbablePrime(n, base))) return base
+  }
+  throw new Error("no base below 2^16 left for a bucket, the hash needs more buckets")
+}
+
+/** Writes the table into isPrime.js, 16 bases per row */
+function writeTable(name, pattern, bases) {
+  const rows = []
+  for (let i = 0; i < bases.length; i += 16) rows.push(`  ${bases.slice(i, i + 16).join(", ")},`)
+  const source = fs.readFileSync(SOURCE, "utf8")
+  if (!pattern.test(source)) throw new Error(`could not find the ${name} table in isPrime.js`)
+  // isPrime.js has CRLF line endings
+  fs.writeFileSync(SOURCE, source.replace(pattern, [`const ${name} = [`, ...rows, "]"].join("\r\n")))
+  console.log(`Wrote ${name} into isPrime.js (largest base: ${Math.max(...bases)})`)
+}
+
+/** Generates or verifies HASHED_BASES_53 from the list of strong pseudoprimes to base 2 in the file */
+async function generateFromList(file, verify) {
+  if (verify) {
+    if (HASHED_BASES_53.length !== HASHED_BASES_53_SIZE) {
+      console.error(`HASHED_BASES_53 has ${HASHED_BASES_53.length} bases instead of ${HASHED_BASES_53_SIZE}`)
+      process.exit(1)
+    }
+    let count = 0
+    let failures = 0
+    await forEachListedPseudoprime(file, n => {
+      const base = HASHED_BASES_53[hashedBaseIndex53(n)]
+      count++
+      if (isStrongProbablePrimeBigint(n, base)) {
+        console.error(`${n} is a strong probable prime to bases 2 and ${base}`)
+        failures++
+      }
+    })
+    console.log(
+      failures ? `${failures} of ${count} listed pseudoprimes pass both of their bases` : `Each of ${count} listed pseudoprimes fails its second base`
+    )
+    process.exit(failures ? 1 : 0)
+  }
+
+  const liars = Array.from({ length: HASHED_BASES_53_SIZE }, () => [])
+  let count = 0
+  await forEachListedPseudoprime(file, n => {
+    liars[hashedBaseIndex53(n)].push(n)
+    count++
+  })
+  if (count === 0) throw new Error(`${file} lists no strong pseudoprime to base 2 between 2^32 and 2^53`)
+  console.log(`Read ${count} strong pseudoprimes to base 2 from ${file}`)
+  writeTable("HASHED_BASES_53", TABLE_53, liars.map(bucket => findBase(bucket, isStrongProbablePrimeBigint)))
+}
+
+const pspIndex = process.argv.indexOf("--psp")
+if (pspIndex !== -1) {
+  const file = process.argv[pspIndex + 1]
+  if (!file || file.startsWith("--")) {
+    console.error("Usage: node scripts/generate-hashed-bases.js --psp <file> [--verify]")
+    process.exit(1)
+  }
+  generateFromList(file, process.argv.includes("--verify")).catch(err => {
+    console.error(err.message)
+    process.exit(1)
+  })
+} else if (process.argv.includes("--verify")) {
+  let failures = 0
+  forEachComposite(n => {
+    const base = HASHED_BASES[hashedBaseIndex(n)]
+    if (isStrongProbablePrime(n, 2) && isStrongProbablePrime(n, base)) {
+      console.error(`${n} is a strong probable prime to bases 2 and ${base}`)
+      failures++
+    }
+  })
+  console.log(failures ? `${failures} composites pass both of their bases` : "Every composite fails one of its bases")
+  process.exit(failures ? 1 : 0)
+} else {
+  const liars = Array.from({ length: BUCKETS }, () => [])
+  let count = 0
+  forEachComposite(n => {
+    if (!isStrongProbablePrime(n, 2)) return
+    liars[hashedBaseIndex(n)].push(n)
+    count++
+  })
+  console.log(`Found ${count} strong pseudoprimes to base 2`)
+  writeTable("HASHED_BASES", TABLE, liars.map(bucket => findBase(bucket)))
+}
@@ -0,0 +1,314 @@
+"use strict";
+
+// A minimal assembler from the WebAssembly text format to the binary format, for wasm/montgomery.wat.
+// It supports what that file uses, so that building needs no toolchain or network:
+//   - a module of memories and functions, with inline (export "name") declarations
+//   - i32/i64 parameters, locals and results, referenced by $name or index
+//   - folded and flat instructions, block/loop/if with $labels and (result ...) types, and the instructions in OPCODES
+// Anything else throws. Usage: node scripts/wat2wasm.js input.wat output.wasm
+
+const fs = require("fs")
+
+const VALUE_TYPES = { i32: 0x7f, i64: 0x7e }
+
+const OPCODES = {
+  unreachable: 0x00, nop: 0x01, block: 0x02, loop: 0x03, if: 0x04, else: 0x05, end: 0x0b,
+  br: 0x0c, br_if: 0x0d, return: 0x0f, call: 0x10, drop: 0x1a, select: 0x1b,
+  "local.get": 0x20, "local.set": 0x21, "local.tee": 0x22,
+  "i32.load": 0x28, "i64.load": 0x29, "i64.load32_u": 0x35, "i32.store": 0x36, "i64.store": 0x37, "i64.store32": 0x3e,
+  "memory.size": 0x3f, "memory.grow": 0x40, "i32.const": 0x41, "i64.const": 0x42,
+  "i32.eqz": 0x45, "i32.eq": 0x46, "i32.ne": 0x47, "i32.lt_s": 0x48, "i32.lt_u": 0x49, "i32.gt_s": 0x4a, "i32.gt_u": 0x4b,
+  "i32.le_s": 0x4c, "i32.le_u": 0x4d, "i32.ge_s": 0x4e, "i32.ge_u": 0x4f,
+  "i64.eqz": 0x50, "i64.eq": 0x51, "i64.ne": 0x52, "i64.lt_u": 0x54, "i64.gt_u": 0x56, "i64.le_u": 0x58, "i64.ge_u": 0x5a,
+  "i32.add": 0x6a, "i32.sub": 0x6b, "i32.mul": 0x6c, "i32.and": 0x71, "i32.or": 0x72, "i32.xor": 0x73,
+  "i32.shl": 0x74, "i32.shr_s": 0x75, "i32.shr_u": 0x76,
+  "i64.add": 0x7c, "i64.sub": 0x7d, "i64.mul": 0x7e, "i64.and": 0x83, "i64.or": 0x84, "i64.xor": 0x85,
+  "i64.shl": 0x86, "i64.shr_u": 0x88,
+  "i32.wrap_i64": 0xa7, "i64.extend_i32_u": 0xad,
+}
+
+// The natural alignment (log2 of the access size) of the memory instructions
+const ALIGNMENTS = {
+  "i32.load": 2, "i64.load": 3, "i64.load32_u": 2, "i32.store": 2, "i64.store": 3, "i64.store32": 2,
+}
+
+/**
+ * Splits WAT source into parentheses, strings and atoms, dropping comments.
+ * @param {string} source
+ * @returns {string[]}
+ */
+function tokenize(source) {
+  const tokens = []
+  const pattern = /\s+|;;[^\n]*|\(;[\s\S]*?;\)|(\(|\)|"(?:[^"\\]|\\.)*"|[^\s()";]+)/y
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex
+    const match = pattern.exec(source)
+    if (!match) throw new SyntaxError(`unexpected character at offset ${start}: ${source.slice(start, start + 20)}`)
+    if (match[1]) tokens.push(match[1])
+  }
+  return tokens
+}
+
+/**
+ * Parses tokens into nested arrays, one per parenthesized list.
+ * @param {string[]} tokens
+ * @returns {Array} The first expression
+ */
+function parse(tokens) {
+  let position = 0
+  const read = () => {
+    const token = tokens[position++]
+    if (token === undefined) throw new SyntaxError("unexpected end of input")
+    if (token === ")") throw new SyntaxError("unexpected )")
+    if (token !== "(") return token
+    const list = []
+    while (tokens[position] !== ")") list.push(read())
+    position++
+    return list
+  }
+  const expression = read()
+  if (position !== tokens.length) throw new SyntaxError("unexpected input after the module")
+  return expression
+}
+
+/** Encodes an unsigned integer as LEB128. */
+function unsigned(value) {
+  const bytes = []
+  let n = BigInt(value)
+  do {
+    let byte = Number(n & 0x7fn)
+    n >>= 7n
+    if (n !== 0n) byte |= 0x80
+    bytes.push(byte)
+  } while (n !== 0n)
+  return bytes
+}
+
+/** Encodes a signed integer as LEB128. */
+function signed(value) {
+  const bytes = []
+  let n = BigInt(value)
+  while (true) {
+    const byte = Number(n & 0x7fn)
+    n >>= 7n
+    if ((n === 0n && !(byte & 0x40)) || (n === -1n && byte & 0x40)) return [...bytes, byte]
+    bytes.push(byte | 0x80)
+  }
+}
+
+/** Encodes a string as a length-prefixed name. */
+function name(string) {
+  const bytes = [...Buffer.from(string, "utf8")]
+  return [...unsigned(bytes.length), ...bytes]
+}
+
+/** Encodes a vector of already encoded items. */
+function vector(items) {
+  return [...unsigned(items.length), ...items.flat()]
+}
+
+/** Reads an integer literal of the text format, with an optional sign, 0x prefix and underscores. */
+function integer(token, bits) {
+  const match = /^([+-]?)(0x[\da-f_]+|[\d_]+)$/i.exec(token)
+  if (!match) throw new SyntaxError(`invalid integer: ${token}`)
+  let value = BigInt(match[2].replace(/_/g, ""))
+  if (match[1] === "-") value = -value
+  // Unsigned literals up to 2^bits are allowed, and mean their two's complement
+  if (value >= 1n << BigInt(bits - 1)) value -= 1n << BigInt(bits)
+  return value
+}
+
+/**
+ * Assembles a WAT module into its binary encoding.
+ * @param {string} source The text of the module
+ * @returns {Uint8Array} The bytes of the module
+ */
+function assemble(source) {
+  const module = parse(tokenize(source))
+  if (module[0] !== "module") throw new SyntaxError("expected (module ...)")
+
+  const types = [] // Encoded function types, deduplicated by their string form
+  const functions = [] // { name, typeIndex, params, locals, body }
+  const memories = []
+  const exports = []
+
+  for (const field of module.slice(1)) {
+    if (!Array.isArray(field)) throw new SyntaxError(`unexpected ${field} in module`)
+    let rest = field.slice(1)
+    const id = typeof rest[0] === "string" && rest[0].startsWith("$") ? rest.shift() : null
+    while (Array.isArray(rest[0]) && rest[0][0] === "export") {
+      exports.push({ name: JSON.parse(rest[0][1]), kind: field[0], index: field[0] === "func" ? functions.length : memories.length })
+      rest = rest.slice(1)
+    }
+
+    if (field[0] === "memory") {
+      memories.push(rest.map(limit => Number(integer(limit, 33))))
+    } else if (field[0] === "func") {
+      const params = []
+      const locals = []
+      const results = []
+      while (Array.isArray(rest[0]) && ["param", "result", "local"].includes(rest[0][0])) {
+        const [kind, ...declaration] = rest.shift()
+        const list = kind === "param" ? params : kind === "local" ? locals : results
+        if (kind !== "result" && declaration[0].startsWith("$")) list.push({ id: declaration[0], type: declaration[1] })
+        else for (const type of declaration) list.push({ id: null, type })
+      }
+      for (const { type } of [...params, ...locals, ...results]) {
+        if (!(type in VALUE_TYPES)) throw new SyntaxError(`unsupported value type: ${type}`)
+      }
+      const signature = [0x60, ...vector(params.map(p => [VALUE_TYPES[p.type]])), ...vector(results.map(r => [VALUE_TYPES[r.type]]))]
+      let typeIndex = types.findIndex(type => String(type) === String(signature))
+      if (typeIndex < 0) typeIndex = types.push(signature) - 1
+      functions.push({ id, typeIndex, params, locals, body: rest })
+    } else {
+      throw new SyntaxError(`unsupported module field: ${field[0]}`)
+    }
+  }
+
+  const functionIds = functions.map(f => f.id)
+  const code = functions.map(f => encodeFunction(f, functionIds))
+
+  const section = (id, contents) => [id, ...unsigned(contents.length), ...contents]
+  const bytes = [
+    0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, // Magic number and version
+    ...section(1, vector(types)),
+    ...section(3, vector(functions.map(f => unsigned(f.typeIndex)))),
+    ...(memories.length ? section(5, vector(memories.map(limits => (
+      limits.length === 1 ? [0x00, ...unsigned(limits[0])] : [0x01, ...unsigned(limits[0]), ...unsigned(limits[1])]
+    )))) : []),
+    ...section(7, vector(exports.map(e => [...name(e.name), e.kind === "func" ? 0x00 : 0x02, ...unsigned(e.index)]))),
+    ...section(10, vector(code.map(body => [...unsigned(body.length), ...body]))),
+  ]
+  return Uint8Array.from(bytes)
+}
+
+/**
+ * Encodes the body of a function, with its local declarations.
+ * @param {{ params: Array, locals: Array, body: Array }} func
+ * @param {Array<string|null>} functionIds The $names of all the functions, by index
+ * @returns {number[]}
+ */
+function encodeFunction({ params, locals, body }, functionIds) {
+  const variables = [...params, ...locals]
+  const labels = [] // The enclosing block labels, innermost last
+  const out = []
+
+  const index = (token, ids, what) => {
+    if (!token.startsWith("$")) return Number(token)
+    const i = ids.indexOf(token)
+    if (i < 0) throw new SyntaxError(`unknown ${what}: ${token}`)
+    return i
+  }
+  const depth = token => {
+    if (!token.startsWith("$")) return Number(token)
+    const i = labels.lastIndexOf(token)
+    if (i < 0) throw new SyntaxError(`unknown label: ${token}`)
+    return labels.length - 1 - i
+  }
+  const blockType = items => {
+    if (Array.isArray(items[0]) && items[0][0] === "result") return [VALUE_TYPES[items.shift()[1]]]
+    return [0x40]
+  }
+
+  // Emits the instruction `op` with its immediates taken from the front of `items`
+  const emit = (op, items) => {
+    if (!(op in OPCODES)) throw new SyntaxError(`unsupported instruction: ${op}`)
+    out.push(OPCODES[op])
+    if (op === "local.get" || op === "local.set" || op === "local.tee") {
+      out.push(...unsigned(index(items.shift(), variables.map(v => v.id), "local")))
+    } else if (op === "br" || op === "br_if") {
+      out.push(...unsigned(depth(items.shift())))
+    } else if (op === "call") {
+      out.push(...unsigned(index(items.shift(), functionIds, "function")))
+    } else if (op === "i32.const" || op === "i64.const") {
+      out.push(...signed(integer(items.shift(), op === "i32.const" ? 32 : 64)))
+    } else if (op === "memory.size" || op === "memory.grow") {
+      out.push(0x00)
+    } else if (op in ALIGNMENTS) {
+      let offset = 0
+      let align = ALIGNMENTS[op]
+      while (typeof items[0] === "string" && /^(offset|align)=/.test(items[0])) {
+        const [key, value] = items.shift().split("=")
+        if (key === "offset") offset = Number(value)
+        else align = Math.log2(Number(value))
+      }
+      out.push(...unsigned(align), ...unsigned(offset))
+    }
+  }
+
+  // Emits a sequence of flat and folded instructions
+  const emitAll = items => {
+    items = [...items]
+    while (items.length) {
+      const item = items.shift()
+      if (Array.isArray(item)) emitFolded(item)
+      else if (item === "block" || item === "loop" || item === "if") {
+        labels.push(typeof items[0] === "string" && items[0].startsWith("$") ? items.shift() : null)
+        out.push(OPCODES[item], ...blockType(items))
+      } else if (item === "else") {
+        if (typeof items[0] === "string" && items[0].startsWith("$")) items.shift()
+        out.push(OPCODES.else)
+      } else if (item === "end") {
+        if (typeof items[0] === "string" && items[0].startsWith("$")) items.shift()
+        labels.pop()
+        out.push(OPCODES.end)
+      } else emit(item, items)
+    }
+  }
+
+  const emitFolded = ([op, ...items]) => {
+    if (op === "block" || op === "loop") {
+      labels.push(typeof items[0] === "string" && items[0].startsWith("$") ? items.shift() : null)
+      out.push(OPCODES[op], ...blockType(items))
+      emitAll(items)
+      labels.pop()
+      out.push(OPCODES.end)
+    } else if (op === "if") {
+      const label = typeof items[0] === "string" && items[0].startsWith("$") ? items.shift() : null
+      const type = blockType(items)
+      const then = items.findIndex(item => Array.isArray(item) && item[0] === "then")
+      if (then < 0) throw new SyntaxError("expected (then ...) in folded if")
+      emitAll(items.slice(0, then)) // The condition
+      labels.push(label)
+      out.push(OPCODES.if, ...type)
+      emitAll(items[then].slice(1))
+      const otherwise = items[then + 1]
+      if (otherwise) {
+        if (!Array.isArray(otherwise) || otherwise[0] !== "else") throw new SyntaxError("expected (else ...) after (then ...)")
+        out.push(OPCODES.else)
+        emitAll(otherwise.slice(1))
+      }
+      labels.pop()
+      out.push(OPCODES.end)
+    } else {
+      // The immediates come first, then the folded operands, which are evaluated before the instruction itself
+      const start = out.length
+      emit(op, items)
+      const instruction = out.splice(start)
+      emitAll(items)
+      out.push(...instruction)
+    }
+  }
+
+  emitAll(body)
+  out.push(OPCODES.end)
+
+  // Locals are declared in runs of the same type
+  const runs = []
+  for (const { type } of locals) {
+    if (runs.length && runs[runs.length - 1][1] === VALUE_TYPES[type]) runs[runs.length - 1][0]++
+    else runs.push([1, VALUE_TYPES[type]])
+  }
+  return [...vector(runs.map(([count, type]) => [...unsigned(count), type])), ...out]
+}
+
+module.exports = { assemble }
+
+if (require.main === module) {
+  const [input, output] = process.argv.slice(2)
+  if (!input || !output) {
+    console.error("Usage: node scripts/wat2wasm.js input.wat output.wasm")
+    process.exit(2)
+  }
+  fs.writeFileSync(output, assemble(fs.readFileSync(input, "utf8")))
+}
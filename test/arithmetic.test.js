@@ -0,0 +1,145 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { modPow, modInverse, gcd, lcm, jacobi, sqrt, nthRoot, isPerfectPower, modSqrt, PrimalityInputError } = require("../isPrime.js")
+const { sieve } = require("./helpers.js")
+
+const M127 = 2n ** 127n - 1n
+
+/** Square-and-multiply on BigInts, as a reference for modPow() */
+function modPowSlow(base, exponent, modulus) {
+  let result = 1n
+  for (; exponent > 0n; exponent >>= 1n, base = (base * base) % modulus) {
+    if (exponent & 1n) result = (result * base) % modulus
+  }
+  return result
+}
+
+test("modPow() agrees with square-and-multiply", () => {
+  assert.equal(modPow(2, 10, 1000), 24)
+  assert.equal(modPow(-2, 3, 5), 2)
+  assert.equal(modPow(5, 0, 7), 1)
+  assert.equal(modPow(5, 0, 1), 0)
+  assert.equal(modPow(3, 2 ** 52, 2 ** 53 - 111), Number(modPowSlow(3n, 2n ** 52n, 2n ** 53n - 111n)))
+  assert.equal(modPow(3n, 10n ** 40n, M127), modPowSlow(3n, 10n ** 40n, M127))
+  assert.equal(modPow(3n, M127 - 1n, M127), 1n)
+  assert.equal(modPow("0x10", 2, 1000), 256n)
+  assert.equal(modPow(3, -1, 7), 5)
+  assert.equal(modPow(3n, -5n, M127), modPow(modInverse(3n, M127), 5n, M127))
+  assert.throws(() => modPow(2, 3, 0), RangeError)
+  assert.throws(() => modPow(2, -1, 4), RangeError)
+})
+
+test("modInverse() inverts exactly the residues coprime to the modulus", () => {
+  for (let m = 1; m < 200; m++) {
+    for (let a = -20; a < 20; a++) {
+      if (gcd(a, m) !== 1) {
+        assert.throws(() => modInverse(a, m), RangeError)
+        continue
+      }
+      const inverse = modInverse(a, m)
+      assert.equal((((a * inverse) % m) + m) % m, m === 1 ? 0 : 1)
+      assert.equal(modInverse(BigInt(a), BigInt(m)), BigInt(inverse))
+    }
+  }
+  assert.equal((BigInt(modInverse(2 ** 52, 2 ** 53 - 111)) * 2n ** 52n) % (2n ** 53n - 111n), 1n)
+  assert.equal((modInverse(3n, M127) * 3n) % M127, 1n)
+  assert.throws(() => modInverse(6n, 2n ** 70n), RangeError)
+})
+
+test("gcd() and lcm() are non-negative and keep the type of their inputs", () => {
+  assert.equal(gcd(0, 0), 0)
+  assert.equal(gcd(-12, 18), 6)
+  assert.equal(gcd(0, -7), 7)
+  assert.equal(gcd(2n ** 64n, 3n * 2n ** 70n), 2n ** 64n)
+  assert.equal(gcd("24", 36), 12n)
+  assert.equal(lcm(4, -6), 12)
+  assert.equal(lcm(0, 5), 0)
+  assert.equal(lcm(2 ** 52, BigInt(2 ** 52 - 1)), 2n ** 104n - 2n ** 52n)
+  assert.throws(() => lcm(2 ** 52, 2 ** 52 - 1), RangeError)
+  for (let a = 1; a < 60; a++) {
+    for (let b = 1; b < 60; b++) assert.equal(gcd(a, b) * lcm(a, b), a * b)
+  }
+})
+
+test("jacobi() is Euler's criterion modulo primes, and multiplicative in n", () => {
+  const isPrime = sieve(300)
+  for (let p = 3; p < 300; p += 2) {
+    if (!isPrime[p]) continue
+    for (let a = -5; a < p; a++) {
+      const euler = Number(modPowSlow(BigInt(((a % p) + p) % p), BigInt((p - 1) / 2), BigInt(p)))
+      assert.equal(jacobi(a, p), euler === p - 1 ? -1 : euler)
+    }
+  }
+  for (let a = 0; a < 50; a++) assert.ok(jacobi(a, 15) === jacobi(a, 3) * jacobi(a, 5))
+  assert.equal(jacobi(2n, M127), 1)
+  assert.equal(jacobi(-1n, M127), -1)
+  assert.throws(() => jacobi(2, 4), RangeError)
+  assert.throws(() => jacobi(2, -3), RangeError)
+})
+
+test("sqrt() and nthRoot() round down", () => {
+  for (let n = 0; n < 3000; n++) {
+    for (let k = 1; k < 14; k++) {
+      let root = 0
+      while ((root + 1) ** k <= n) root++
+      assert.equal(nthRoot(n, k), root)
+      assert.equal(nthRoot(BigInt(n), k), BigInt(root))
+    }
+    assert.equal(sqrt(n), nthRoot(n, 2))
+  }
+  assert.equal(sqrt(2 ** 53 - 1), 94906265)
+  assert.equal(sqrt(10n ** 40n + 1n), 10n ** 20n)
+  assert.equal(sqrt(10n ** 40n - 1n), 10n ** 20n - 1n)
+  assert.equal(nthRoot(2 ** 53 - 1, 3), 208063)
+  assert.equal(nthRoot(3n ** 100n, "25"), 81n)
+  assert.equal(nthRoot(10 ** 15, 10n ** 30n), 1)
+  assert.throws(() => sqrt(-1), RangeError)
+  assert.throws(() => nthRoot(8, 0), RangeError)
+  assert.throws(() => nthRoot(8, 1.5), PrimalityInputError)
+})
+
+test("isPerfectPower() recognizes the powers with an exponent of at least 2", () => {
+  const powers = new Set([0, 1])
+  for (let m = 2; m * m < 10000; m++) for (let power = m * m; power < 10000; power *= m) powers.add(power)
+  for (let n = 0; n < 10000; n++) assert.equal(isPerfectPower(n), powers.has(n), `${n}`)
+
+  assert.equal(isPerfectPower(-1), true)
+  assert.equal(isPerfectPower(-8), true)
+  assert.equal(isPerfectPower(-4), false)
+  assert.equal(isPerfectPower(-64), true) // (-4)^3
+  assert.equal(isPerfectPower(3 ** 33), true)
+  assert.equal(isPerfectPower(2 ** 52 + 1), false)
+  assert.equal(isPerfectPower(3n ** 101n), true)
+  assert.equal(isPerfectPower(3n ** 101n + 1n), false)
+  assert.equal(isPerfectPower(-(3n ** 64n)), false)
+  assert.equal(isPerfectPower(-(3n ** 96n)), true)
+})
+
+test("modSqrt() finds the smaller square root modulo primes", () => {
+  const isPrime = sieve(1000)
+  for (let p = 2; p < 1000; p++) {
+    if (!isPrime[p]) continue
+    const roots = new Map()
+    for (let r = p - 1; r >= 0; r--) roots.set((r * r) % p, r)
+    for (let a = 0; a < p; a++) {
+      const expected = roots.has(a) ? roots.get(a) : null
+      assert.equal(modSqrt(a, p), expected)
+      assert.equal(modSqrt(BigInt(a + p), BigInt(p)), expected === null ? null : BigInt(expected))
+    }
+  }
+
+  // Mersenne primes are 3 mod 4, where a single exponentiation gives the root
+  assert.equal(modSqrt(2, 2 ** 31 - 1), 65536)
+  const p = 2n ** 521n - 1n
+  for (let x = 2n; x < 50n; x++) {
+    const root = modSqrt(x ** 9n, p)
+    assert.equal(root === null, jacobi(x ** 9n, p) === -1)
+    if (root !== null) assert.equal((root * root) % p, x ** 9n)
+  }
+  const q = 3n * 2n ** 30n + 1n // With s = 30, Tonelli-Shanks needs many iterations
+  assert.equal(modSqrt(q - 1n, q) ** 2n % q, q - 1n)
+  assert.throws(() => modSqrt(2, 15), RangeError)
+  assert.throws(() => modSqrt(2, -7), RangeError)
+})
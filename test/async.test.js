@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { primalityTestAsync, primalityTest, randomPrime, PrimalityInputError } = require("../isPrime.js")
+
+const p = randomPrime(1024, { seed: 1 })
+const q = randomPrime(512, { seed: 2 })
+
+test("primalityTestAsync() agrees with primalityTest()", async () => {
+  for (const n of [0, 1, 2, 97, 561, 2 ** 53 - 111, "0x61", 2n ** 64n - 59n, 2n ** 127n - 1n, 2n ** 128n + 1n, p, p * q, 3n * p]) {
+    assert.equal(await primalityTestAsync(n), primalityTest(n), `${n}`)
+  }
+  for (let i = 0n; i < 100n; i++) {
+    const n = 2n ** 80n + 2n * i + 1n
+    assert.equal(await primalityTestAsync(n, { seed: 7 }), primalityTest(n, { seed: 7 }), `${n}`)
+  }
+  assert.equal(await primalityTestAsync(p, { useMontgomery: true }), true)
+  assert.equal(await primalityTestAsync(p, { useMontgomery: false, bases: [2, 3] }), true)
+  assert.equal(await primalityTestAsync(p, { method: "bpsw" }), true)
+  assert.equal(await primalityTestAsync(p * q, { method: "bpsw" }), false)
+})
+
+test("primalityTestAsync() reports the rounds passed", async () => {
+  const progress = []
+  assert.equal(await primalityTestAsync(p, { numRounds: 3, onProgress: x => progress.push(x) }), true)
+  assert.deepEqual(progress, [{ round: 1, numRounds: 3 }, { round: 2, numRounds: 3 }, { round: 3, numRounds: 3 }])
+
+  progress.length = 0
+  await primalityTestAsync(p, { method: "bpsw", onProgress: x => progress.push(x) })
+  assert.deepEqual(progress, [{ round: 1, numRounds: 2 }, { round: 2, numRounds: 2 }])
+
+  progress.length = 0
+  assert.equal(await primalityTestAsync(p * q, { onProgress: x => progress.push(x) }), false)
+  assert.deepEqual(progress, [])
+})
+
+test("primalityTestAsync() yields to the event loop within a round", async () => {
+  let ticks = 0
+  const interval = setInterval(() => ticks++, 0)
+  try {
+    assert.equal(await primalityTestAsync(p, { numRounds: 1, yieldEvery: 0 }), true)
+  } finally {
+    clearInterval(interval)
+  }
+  assert.ok(ticks > 1, `${ticks}`)
+})
+
+test("primalityTestAsync() rejects when its signal is aborted", async () => {
+  const aborted = new AbortController()
+  aborted.abort(new Error("stop"))
+  await assert.rejects(primalityTestAsync(p, { signal: aborted.signal }), { message: "stop" })
+
+  const controller = new AbortController()
+  setTimeout(() => controller.abort(), 5)
+  await assert.rejects(primalityTestAsync(p, { signal: controller.signal, numRounds: 10 ** 6, yieldEvery: 1 }), { name: "AbortError" })
+})
+
+test("primalityTestAsync() rejects invalid inputs and options", async () => {
+  await assert.rejects(primalityTestAsync(7.5), PrimalityInputError)
+  await assert.rejects(primalityTestAsync(p, { yieldEvery: -1 }), RangeError)
+  await assert.rejects(primalityTestAsync(p, { method: "fermat" }), RangeError)
+  await assert.rejects(primalityTestAsync(p, { errorProbability: 1e-9, securityBits: 30 }), TypeError)
+})
@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { primalityTestBatch, primalityTest, PrimalityInputError } = require("../isPrime.js")
+
+const INPUTS = Array.from({ length: 200 }, (_, i) => 2n ** 64n + BigInt(i))
+
+test("primalityTestBatch() matches primalityTest() in input order", async () => {
+  const expected = INPUTS.map(n => primalityTest(n, { seed: 1 }))
+  assert.deepEqual(await primalityTestBatch(INPUTS, { seed: 1, concurrency: 2, chunkSize: 16 }), expected)
+  // An rng function cannot be sent to a worker, so this batch runs on the current thread
+  assert.deepEqual(await primalityTestBatch(INPUTS, { rng: Math.random, chunkSize: 16 }), expected)
+  assert.deepEqual(await primalityTestBatch([]), [])
+})
+
+test("primalityTestBatch() rejects when aborted", async () => {
+  const controller = new AbortController()
+  const pending = primalityTestBatch(INPUTS, { concurrency: 2, signal: controller.signal })
+  controller.abort(new Error("stop"))
+  await assert.rejects(pending, { message: "stop" })
+  await assert.rejects(primalityTestBatch(INPUTS, { signal: AbortSignal.abort() }), { name: "AbortError" })
+})
+
+test("primalityTestBatch() rejects a chunkSize or concurrency that is not a positive integer", async () => {
+  await assert.rejects(primalityTestBatch(INPUTS, { chunkSize: -1 }), RangeError)
+  await assert.rejects(primalityTestBatch(INPUTS, { chunkSize: 1.5 }), RangeError)
+  await assert.rejects(primalityTestBatch(INPUTS, { concurrency: 0 }), RangeError)
+  await assert.rejects(primalityTestBatch(INPUTS, { concurrency: -2 }), RangeError)
+})
+
+test("primalityTestBatch() rejects with the same error class on a worker and on the current thread", async () => {
+  for (const options of [{ concurrency: 1 }, { rng: Math.random }]) {
+    await assert.rejects(primalityTestBatch(INPUTS, { ...options, method: "bogus" }), RangeError)
+    await assert.rejects(primalityTestBatch(INPUTS, { ...options, trialDivision: -1 }), RangeError)
+    await assert.rejects(primalityTestBatch(INPUTS, { ...options, bases: ["two"] }), PrimalityInputError)
+  }
+})
+
+test("primalityTestBatch() rejects when a worker exits before the end of the batch", async () => {
+  const workerThreads = require("worker_threads")
+  const { Worker } = workerThreads
+  workerThreads.Worker = class extends Worker {
+    constructor() {
+      super("process.exit(3)", { eval: true })
+    }
+  }
+  try {
+    await assert.rejects(primalityTestBatch(INPUTS, { concurrency: 2 }), /exited before the end of the batch, with code 3/)
+  } finally {
+    workerThreads.Worker = Worker
+  }
+})
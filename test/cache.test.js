@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createPrimalityCache, primalityTest, PrimalityInputError } = require("../isPrime.js")
+
+test("answers like primalityTest() and counts hits and misses", () => {
+  const cachedPrimalityTest = createPrimalityCache()
+  for (let n = 0; n < 1000; n++) assert.equal(cachedPrimalityTest(n), primalityTest(n))
+  for (let n = 0; n < 1000; n++) assert.equal(cachedPrimalityTest(n), primalityTest(n))
+  assert.deepEqual(cachedPrimalityTest.stats(), { hits: 1000, misses: 1000, evictions: 0, size: 1000, maxEntries: 10000 })
+})
+
+test("keys on the normalized value", () => {
+  const cachedPrimalityTest = createPrimalityCache()
+  assert.equal(cachedPrimalityTest(97), true)
+  for (const n of [97n, "97", "0x61", "0b110_0001", "+97"]) assert.equal(cachedPrimalityTest(n), true)
+  assert.equal(cachedPrimalityTest("18446744073709551557"), true)
+  assert.equal(cachedPrimalityTest(2n ** 64n - 59n), true)
+  assert.deepEqual(cachedPrimalityTest.stats(), { hits: 6, misses: 2, evictions: 0, size: 2, maxEntries: 10000 })
+})
+
+test("evicts the least recently used entry", () => {
+  const cachedPrimalityTest = createPrimalityCache({ maxEntries: 3 })
+  cachedPrimalityTest(2)
+  cachedPrimalityTest(3)
+  cachedPrimalityTest(4)
+  cachedPrimalityTest(2) // 3 is now the least recently used
+  cachedPrimalityTest(5)
+  assert.equal(cachedPrimalityTest.stats().evictions, 1)
+  cachedPrimalityTest(2)
+  cachedPrimalityTest(4)
+  cachedPrimalityTest(5)
+  assert.equal(cachedPrimalityTest.stats().hits, 4)
+  cachedPrimalityTest(3)
+  assert.deepEqual(cachedPrimalityTest.stats(), { hits: 4, misses: 5, evictions: 2, size: 3, maxEntries: 3 })
+})
+
+test("only caches probabilistic results tied to a seed or to bases", () => {
+  const cachedPrimalityTest = createPrimalityCache()
+  const n = 2n ** 89n - 1n
+  cachedPrimalityTest(n)
+  cachedPrimalityTest(n)
+  cachedPrimalityTest(n, { rng: Math.random, seed: 1 })
+  assert.deepEqual(cachedPrimalityTest.stats(), { hits: 0, misses: 3, evictions: 0, size: 0, maxEntries: 10000 })
+
+  cachedPrimalityTest(n, { seed: 1 })
+  cachedPrimalityTest(n, { seed: 1, useMontgomery: true })
+  cachedPrimalityTest(n, { seed: 2 })
+  cachedPrimalityTest(n, { seed: 1, numRounds: 3 })
+  cachedPrimalityTest(n, { bases: [2, 3] })
+  cachedPrimalityTest(n, { bases: [2, 3], seed: 5 })
+  cachedPrimalityTest(n, { method: "bpsw" })
+  cachedPrimalityTest(n, { method: "bpsw", seed: 9 })
+  assert.deepEqual(cachedPrimalityTest.stats(), { hits: 3, misses: 8, evictions: 0, size: 5, maxEntries: 10000 })
+})
+
+test("does not cache errors", () => {
+  const cachedPrimalityTest = createPrimalityCache()
+  assert.throws(() => cachedPrimalityTest(7.5), PrimalityInputError)
+  assert.throws(() => cachedPrimalityTest(2n ** 89n - 1n, { bases: [1] }), RangeError)
+  assert.equal(cachedPrimalityTest.stats().size, 0)
+})
+
+test("clear() empties the cache and resets the counts", () => {
+  const cachedPrimalityTest = createPrimalityCache({ maxEntries: 10 })
+  cachedPrimalityTest(97)
+  cachedPrimalityTest(97)
+  cachedPrimalityTest.clear()
+  assert.deepEqual(cachedPrimalityTest.stats(), { hits: 0, misses: 0, evictions: 0, size: 0, maxEntries: 10 })
+  assert.throws(() => createPrimalityCache({ maxEntries: 0 }), RangeError)
+  assert.throws(() => createPrimalityCache({ maxEntries: 1.5 }), RangeError)
+})
@@ -0,0 +1,48 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { calibrate, primalityTestBigint, primalityTestDetailed, provePrime, verifyCertificate } = require("../isPrime.js")
+
+// Mersenne primes and nearby composites, whose exponents of 19 to 1279 bits cover every window size
+const MERSENNE_EXPONENTS = [19, 31, 61, 89, 107, 127, 521, 607, 1279]
+
+test("windowed exponentiation agrees on both paths, for every window size", () => {
+  for (const p of MERSENNE_EXPONENTS) {
+    const prime = 2n ** BigInt(p) - 1n
+    for (const useMontgomery of [false, true]) {
+      const options = { useMontgomery, seed: 1, trialDivision: false }
+      assert.equal(primalityTestBigint(prime, options), true, `2^${p} - 1`)
+      assert.equal(primalityTestBigint(prime + 2n, options), false, `2^${p} + 1`)
+      assert.equal(primalityTestBigint(prime * (2n ** 31n - 1n), options), false, `(2^${p} - 1)(2^31 - 1)`)
+    }
+  }
+})
+
+test("witnesses do not depend on the path", () => {
+  const n = (2n ** 89n - 1n) * (2n ** 107n - 1n)
+  const plain = primalityTestDetailed(n, { useMontgomery: false, seed: 3 })
+  const montgomery = primalityTestDetailed(n, { useMontgomery: true, seed: 3 })
+  assert.deepEqual(plain, montgomery)
+})
+
+test("certificates still verify with windowed modular exponentiation", () => {
+  assert.equal(verifyCertificate(provePrime(2n ** 127n - 1n)), true)
+})
+
+test("calibrate() times both paths and stores a crossover", () => {
+  const { crossover, timings } = calibrate({ bits: [256, 64, 128], minTime: 1 })
+  assert.deepEqual(timings.map(timing => timing.bits), [64, 128, 256])
+  for (const { plain, montgomery } of timings) assert.ok(plain > 0 && montgomery > 0)
+  assert.ok(crossover === null || typeof crossover === "bigint")
+
+  // Subsequent tests pick a path automatically, and stay correct either way
+  assert.equal(primalityTestBigint(2n ** 127n - 1n, { seed: 1 }), true)
+  assert.equal(primalityTestBigint(2n ** 521n - 1n, { seed: 1 }), true)
+  assert.equal(primalityTestBigint(2n ** 128n + 1n, { seed: 1 }), false)
+})
+
+test("calibrate() validates its options", () => {
+  for (const bits of [[], [8], [64.5], 64]) assert.throws(() => calibrate({ bits }), RangeError)
+  for (const minTime of [0, -1, Infinity]) assert.throws(() => calibrate({ minTime }), RangeError)
+})
@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { provePrime, verifyCertificate } = require("../isPrime.js")
+
+const PRIMES = [2n, 97n, 1000003n, 2n ** 61n - 1n, 2n ** 64n + 13n, 2n ** 89n - 1n, 2n ** 127n - 1n, 10n ** 30n + 57n]
+
+test("provePrime() certificates verify", () => {
+  for (const p of PRIMES) {
+    const cert = provePrime(p, { seed: 1 })
+    assert.equal(cert.n, String(p))
+    assert.equal(verifyCertificate(cert), true, `${p}`)
+    assert.equal(verifyCertificate(JSON.stringify(cert)), true, `${p}`)
+  }
+})
+
+test("provePrime() refuses composites", () => {
+  assert.throws(() => provePrime(2047n), RangeError)
+  assert.throws(() => provePrime(1n), RangeError)
+})
+
+test("verifyCertificate() rejects tampered certificates", () => {
+  const cert = provePrime(2n ** 89n - 1n, { seed: 1 })
+  assert.equal(verifyCertificate({ ...cert, n: String(2n ** 89n + 1n) }), false)
+  assert.equal(verifyCertificate({ ...cert, factors: [] }), false)
+  assert.equal(verifyCertificate({ type: "small", n: "2047" }), false)
+  assert.equal(verifyCertificate("not json"), false)
+  assert.equal(verifyCertificate(null), false)
+})
+
+test("verifyCertificate() rejects exponents that overshoot n-1 without computing the power", () => {
+  const cert = provePrime(2n ** 89n - 1n, { seed: 1 })
+  for (const exponent of [2e7, 1e6, 90]) {
+    const factors = cert.factors.map((factor, i) => i === 0 ? { ...factor, exponent } : factor)
+    assert.equal(verifyCertificate({ ...cert, factors }), false, `${exponent}`)
+  }
+})
+
+test("Pocklington certificates verify, and reject tampered witnesses and factors", () => {
+  // n-1 = 2^64 * p1 * p2: the factoring budget is too small to split p1 * p2, but 2^64 exceeds sqrt(n)
+  const n = 2n ** 64n * 1073741827n * 1073743129n + 1n
+  const cert = provePrime(n, { maxIterations: 100 })
+  assert.equal(cert.type, "pocklington")
+  assert.equal(verifyCertificate(JSON.stringify(cert)), true)
+
+  const [factor] = cert.factors
+  assert.equal(verifyCertificate({ ...cert, factors: [{ ...factor, witness: "1" }] }), false)
+  // 2^63 still exceeds sqrt(n), just above 2^62, but 2^62 does not
+  assert.equal(verifyCertificate({ ...cert, factors: [{ ...factor, exponent: 63 }] }), true)
+  assert.equal(verifyCertificate({ ...cert, factors: [{ ...factor, exponent: 62 }] }), false)
+  assert.equal(verifyCertificate({ ...cert, type: "bls" }), false)
+  assert.equal(verifyCertificate({ ...cert, n: String(n + 2n ** 64n) }), false)
+})
+
+test("BLS certificates verify, and the discriminant rejects composites with valid witnesses", () => {
+  // n-1 = 2^31 * p1 * p2: 2^31 only exceeds the cube root of n, and c1^2 - 4*c2 is positive but not a square
+  const n = 2n ** 31n * 1073741857n * 1073743331n + 1n
+  const cert = provePrime(n, { maxIterations: 100 })
+  assert.equal(cert.type, "bls")
+  assert.equal(verifyCertificate(JSON.stringify(cert)), true)
+  assert.equal(verifyCertificate({ ...cert, type: "pocklington" }), false)
+  assert.equal(verifyCertificate({ ...cert, factors: [{ ...cert.factors[0], exponent: 30 }] }), false)
+
+  // (35F + 1)(350F + 1) with F = 2^31: 41 passes Pocklington's conditions for F, since both prime factors are 1 (mod F),
+  // and only the discriminant, 315^2, shows that n is composite
+  const composite = 75161927681n * 751619276801n
+  const forged = {
+    type: "bls",
+    n: String(composite),
+    factors: [{ prime: provePrime(2n), exponent: 31, witness: "41" }],
+  }
+  assert.equal(verifyCertificate(forged), false)
+  assert.equal(verifyCertificate({ ...forged, type: "pocklington" }), false)
+})
@@ -0,0 +1,108 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const CLI = path.join(__dirname, "..", "bin", "primality.js")
+
+/**
+ * Runs the CLI with the given arguments and stdin.
+ * @param {string[]} args
+ * @param {string} [input]
+ * @returns {{ status: number, stdout: string, stderr: string }}
+ */
+function run(args, input) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { input, encoding: "utf8", timeout: 60000 })
+  return { status, stdout, stderr }
+}
+
+test("test prints the verdicts and exits with 1 on composites", () => {
+  assert.deepEqual(run(["test", "97", "0x61", "1_000_003"]), { status: 0, stdout: "97: prime\n0x61: prime\n1_000_003: prime\n", stderr: "" })
+  const mixed = run(["test", "97", "91"])
+  assert.equal(mixed.status, 1)
+  assert.equal(mixed.stdout, "97: prime\n91: composite\n")
+})
+
+test("test reads stdin line by line and prints JSON lines", () => {
+  const { status, stdout } = run(["test", "--json"], "97\n\n  18446744073709551557  \n-7\n")
+  assert.equal(status, 1)
+  assert.deepEqual(stdout.trim().split("\n").map(line => JSON.parse(line)), [
+    { n: "97", prime: true },
+    { n: "18446744073709551557", prime: true },
+    { n: "-7", prime: false },
+  ])
+})
+
+test("invalid numbers are reported and exit with 2", () => {
+  const plain = run(["test", "7.5", "97"])
+  assert.equal(plain.status, 2)
+  assert.equal(plain.stdout, "97: prime\n")
+  assert.match(plain.stderr, /invalid n/)
+
+  const json = run(["test", "--json", "abc"])
+  assert.equal(json.status, 2)
+  assert.equal(JSON.parse(json.stdout).n, "abc")
+  assert.match(JSON.parse(json.stdout).error, /invalid n/)
+})
+
+test("next, prev, range and factor", () => {
+  assert.equal(run(["next", "100", "18446744073709551557"]).stdout, "101\n18446744073709551629\n")
+  assert.equal(run(["prev", "100", "2"]).stdout, "97\nnone\n")
+  assert.equal(run(["range", "90", "110"]).stdout, "97\n101\n103\n107\n109\n")
+  assert.equal(run(["range", "--json", "0x5A", "100"]).stdout, '{"prime":"97"}\n')
+  assert.equal(run(["factor", "360", "1"]).stdout, "360: 2 2 2 3 3 5\n1:\n")
+  assert.deepEqual(JSON.parse(run(["factor", "--json", "18446744073709551617"]).stdout), {
+    n: "18446744073709551617",
+    factors: [["274177", 1], ["67280421310721", 1]],
+  })
+})
+
+test("the test options map onto primalityTestBigint()", () => {
+  // A strong pseudoprime to the first 12 prime bases passes with exactly those bases
+  const spsp = "318665857834031151167461"
+  assert.equal(run(["test", spsp, "--bases", "2,3,5,7,11,13,17,19,23,29,31,37", "--no-montgomery"]).status, 0)
+  assert.equal(run(["test", spsp, "--bases=2,3,5,7,11,13,17,19,23,29,31,37,41", "--montgomery"]).status, 1)
+  assert.equal(run(["test", spsp, "--seed", "1", "--rounds", "3"]).status, 1)
+  assert.equal(run(["test", spsp, "--method", "bpsw"]).status, 1)
+})
+
+test("bench prints one line per bit length", () => {
+  const { status, stdout } = run(["bench", "--json", "64", "128"])
+  assert.equal(status, 0)
+  const records = stdout.trim().split("\n").map(line => JSON.parse(line))
+  assert.deepEqual(records.map(record => record.bits), [64, 128])
+  assert.ok(records.every(record => record.microseconds > 0))
+})
+
+test("usage errors exit with 2", () => {
+  for (const args of [[], ["frob"], ["test", "--rounds", "0", "5"], ["test", "--frob"], ["range", "1"], ["bench", "1"]]) {
+    const { status, stderr } = run(args)
+    assert.equal(status, 2, args.join(" "))
+    if (args.length > 0) assert.match(stderr, /primality: /)
+  }
+  const help = run(["--help"])
+  assert.equal(help.status, 0)
+  assert.match(help.stdout, /^Usage: primality/)
+})
+
+test("factor reports numbers it cannot factor within the budget, exits with 2 and goes on", () => {
+  // The product of two 80-bit primes, out of reach of 1000 Pollard rho iterations
+  const semiprime = "473274620271641412857945060456178364594791822763"
+  const plain = run(["factor", "--max-iterations", "1000", semiprime, "360"])
+  assert.equal(plain.status, 2)
+  assert.equal(plain.stdout, "360: 2 2 2 3 3 5\n")
+  assert.match(plain.stderr, /^primality: factorization budget exhausted/)
+
+  const json = run(["factor", "--json", "--time-limit=50", semiprime, "360"])
+  assert.equal(json.status, 2)
+  const [failure, success] = json.stdout.trim().split("\n").map(line => JSON.parse(line))
+  assert.equal(failure.n, semiprime)
+  assert.match(failure.error, /factorization budget exhausted/)
+  assert.deepEqual(success, { n: "360", factors: [["2", 3], ["3", 2], ["5", 1]] })
+
+  for (const args of [["--max-iterations", "0"], ["--max-iterations", "1.5"], ["--time-limit", "-1"], ["--time-limit", "soon"]]) {
+    assert.equal(run(["factor", ...args, "15"]).status, 2, args.join(" "))
+  }
+})
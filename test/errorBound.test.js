@@ -0,0 +1,69 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { getRequiredNumRounds, getErrorBound, primalityTestDetailed, primalityTestBigint, getAdaptiveNumRounds } = require("../isPrime.js")
+
+// Table 4.4 of the Handbook of Applied Cryptography: rounds needed for an error probability of at most 2^-80
+const HAC_TABLE_4_4 = [[100, 27], [150, 18], [200, 15], [250, 12], [300, 9], [350, 8], [400, 7], [450, 6], [550, 5], [650, 4], [850, 3], [1300, 2]]
+
+test("getRequiredNumRounds() reproduces the average-case rounds of the Handbook of Applied Cryptography", () => {
+  for (const [bits, rounds] of HAC_TABLE_4_4) {
+    assert.equal(getRequiredNumRounds(bits, { securityBits: 80 }), rounds, `${bits} bits`)
+    assert.equal(getRequiredNumRounds(bits, { errorProbability: 2 ** -80 }), rounds, `${bits} bits`)
+  }
+})
+
+test("getRequiredNumRounds() uses 4^-k for adversarial inputs", () => {
+  for (const bits of [100, 1024, 4096]) {
+    assert.equal(getRequiredNumRounds(bits, { securityBits: 80, adversarial: true }), 40)
+    assert.equal(getRequiredNumRounds(bits, { securityBits: 81, adversarial: true }), 41)
+    assert.equal(getRequiredNumRounds(bits, { errorProbability: 1e-30, adversarial: true }), 50)
+  }
+})
+
+test("getRequiredNumRounds() validates its target", () => {
+  assert.throws(() => getRequiredNumRounds(1024, {}), TypeError)
+  assert.throws(() => getRequiredNumRounds(1024, { securityBits: 80, errorProbability: 1e-24 }), TypeError)
+  for (const errorProbability of [0, 1, -0.5, NaN]) assert.throws(() => getRequiredNumRounds(1024, { errorProbability }), RangeError)
+  for (const securityBits of [0, -1, Infinity, NaN]) assert.throws(() => getRequiredNumRounds(1024, { securityBits }), RangeError)
+})
+
+test("getErrorBound() decreases with the rounds and never exceeds 4^-k", () => {
+  for (const bits of [65, 256, 1024, 8192]) {
+    let previous = 1
+    for (let rounds = 1; rounds <= 64; rounds++) {
+      const bound = getErrorBound(bits, rounds)
+      assert.ok(bound > 0 && bound <= previous && bound <= 4 ** -rounds, `${bits} bits, ${rounds} rounds`)
+      assert.equal(getErrorBound(bits, rounds, { adversarial: true }), 4 ** -rounds)
+      previous = bound
+    }
+  }
+  assert.ok(getErrorBound(100000, 1000) > 0)
+})
+
+test("the errorProbability and securityBits options set the number of rounds", () => {
+  const n = 2n ** 521n - 1n
+  const result = primalityTestDetailed(n, { seed: 1, securityBits: 128 })
+  assert.equal(result.bases.length, getRequiredNumRounds(521, { securityBits: 128 }))
+  assert.ok(result.errorBound <= 2 ** -128)
+
+  const adversarial = primalityTestDetailed(n, { seed: 1, securityBits: 128, adversarial: true })
+  assert.equal(adversarial.bases.length, 64)
+  assert.equal(adversarial.errorBound, 4 ** -64)
+
+  const explicit = primalityTestDetailed(n, { seed: 1, securityBits: 128, numRounds: 3 })
+  assert.equal(explicit.bases.length, 3)
+  assert.equal(explicit.errorBound, getErrorBound(521, 3))
+})
+
+test("the default rounds keep reporting the worst-case bound", () => {
+  const result = primalityTestDetailed(2n ** 127n - 1n, { seed: 1 })
+  assert.equal(result.bases.length, getAdaptiveNumRounds(127))
+  assert.equal(result.errorBound, 4 ** -result.bases.length)
+})
+
+test("invalid targets throw", () => {
+  assert.throws(() => primalityTestBigint(2n ** 89n - 1n, { errorProbability: 2 }), RangeError)
+  assert.throws(() => primalityTestBigint(2n ** 89n - 1n, { securityBits: -1 }), RangeError)
+})
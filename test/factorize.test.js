@@ -0,0 +1,55 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { factorize, FactorizationBudgetError, primalityTest } = require("../isPrime.js")
+
+/**
+ * Multiplies a factorization back together.
+ * @param {Array<[bigint, number]>} factors
+ * @returns {bigint}
+ */
+function expand(factors) {
+  return factors.reduce((product, [p, e]) => product * BigInt(p) ** BigInt(e), 1n)
+}
+
+test("factorize() factors every n below 10^4", () => {
+  for (let n = 2; n < 10 ** 4; n++) {
+    const factors = factorize(n)
+    assert.equal(expand(factors), BigInt(n))
+    for (const [p] of factors) assert.equal(typeof p, "number")
+  }
+  assert.deepEqual(factorize(1), [])
+})
+
+test("factorize() returns sorted prime factors of large numbers", () => {
+  const inputs = [
+    2n ** 64n + 1n,
+    (2n ** 31n - 1n) * (2n ** 61n - 1n) ** 2n,
+    3n ** 40n,
+    1000000007n * 998244353n * 2n ** 10n,
+    2n ** 101n - 1n,
+  ]
+  for (const n of inputs) {
+    const factors = factorize(n, { seed: 1 })
+    assert.equal(expand(factors), n)
+    for (let i = 0; i < factors.length; i++) {
+      assert.equal(typeof factors[i][0], "bigint")
+      assert.equal(primalityTest(factors[i][0]), true)
+      if (i > 0) assert.ok(factors[i - 1][0] < factors[i][0])
+    }
+  }
+  assert.deepEqual(factorize(2n ** 64n + 1n), [[274177n, 1], [67280421310721n, 1]])
+})
+
+test("factorize() throws FactorizationBudgetError when out of budget", () => {
+  const n = 2n * (2n ** 89n - 1n) * (2n ** 107n - 1n)
+  try {
+    factorize(n, { maxIterations: 10 })
+    assert.fail("should have thrown")
+  } catch (err) {
+    assert.ok(err instanceof FactorizationBudgetError)
+    assert.deepEqual(err.factors, [[2n, 1]])
+    assert.deepEqual(err.remaining, [(2n ** 89n - 1n) * (2n ** 107n - 1n)])
+  }
+})
@@ -0,0 +1,99 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const vm = require("vm")
+const { primalityTest, primalityTestNumber, primalityTestBigint } = require("../isPrime.js")
+const { sieve, isPrimeByTrialDivision } = require("./helpers.js")
+
+const MIN = 2 ** 16
+const MAX = 2 ** 32
+
+// Strong pseudoprimes to base 2 between 2^16 and 2^32, from https://oeis.org/A001262, and one just below 2^32
+const SPSP_BASE_2 = [65281, 74665, 80581, 85489, 88357, 90751, 104653, 130561, 196093, 220729, 233017, 252601, 253241,
+  256999, 271951, 280601, 314821, 357761, 390937, 458989, 476971, 486737, 4294901761]
+
+// Carmichael numbers between 2^16 and 2^32 (https://oeis.org/A002997), and the strong pseudoprime to bases 2, 3, 5 and 7
+const CARMICHAEL = [75361, 101101, 115921, 126217, 162401, 172081, 188461, 252601, 278545, 294409, 314821, 334153, 340561,
+  399001, 410041, 449065, 488881, 512461, 3215031751]
+
+test("the table has a base below 2^16 for each of the 256 buckets", () => {
+  const source = fs.readFileSync(path.join(__dirname, "..", "isPrime.js"), "utf8")
+  const { HASHED_BASES } = vm.runInNewContext(`${source}\n;({ HASHED_BASES })`, {})
+  assert.equal(HASHED_BASES.length, 256)
+  for (const base of HASHED_BASES) assert.ok(Number.isInteger(base) && base >= 2 && base < MIN, `${base}`)
+})
+
+test("the table above 2^32 is either not generated yet or has a base below 2^16 for each of its buckets", () => {
+  const source = fs.readFileSync(path.join(__dirname, "..", "isPrime.js"), "utf8")
+  const { HASHED_BASES_53, HASHED_BASES_53_SIZE, hashedBaseIndex53 } = vm.runInNewContext(
+    `${source}\n;({ HASHED_BASES_53, HASHED_BASES_53_SIZE, hashedBaseIndex53 })`,
+    {}
+  )
+  if (HASHED_BASES_53.length > 0) assert.equal(HASHED_BASES_53.length, HASHED_BASES_53_SIZE)
+  for (const base of HASHED_BASES_53) assert.ok(Number.isInteger(base) && base >= 2 && base < MIN, `${base}`)
+
+  // Every bucket is reached, from the low and the high end of the range
+  for (const start of [MAX, 2 ** 53 - 2 ** 20]) {
+    const seen = new Set()
+    for (let n = start; n < start + 2 ** 16; n++) seen.add(hashedBaseIndex53(n))
+    assert.equal(seen.size, HASHED_BASES_53_SIZE)
+  }
+})
+
+test("consults the table above 2^32 once it is generated", () => {
+  // These p(2p - 1) are strong pseudoprimes to base 2, so with base 2 in every bucket they pass both rounds
+  const liars = [9839449621, 9856290601, 9866402101]
+  const source = fs.readFileSync(path.join(__dirname, "..", "isPrime.js"), "utf8").replace(/\r\n/g, "\n")
+  const table = /^const HASHED_BASES_53 = \[[\s\S]*?\]$/m
+  assert.ok(table.test(source))
+  const withTable = source.replace(table, `const HASHED_BASES_53 = Array(HASHED_BASES_53_SIZE).fill(2)`)
+  const { primalityTestNumber: withBase2 } = vm.runInNewContext(`${withTable}\n;({ primalityTestNumber })`, {})
+  for (const n of liars) {
+    assert.equal(withBase2(n, { trialDivision: false }), true, `${n}`)
+    assert.equal(primalityTestNumber(n, { trialDivision: false }), false, `${n}`)
+  }
+})
+
+test("agrees with BPSW in windows between 2^32 and 2^53", () => {
+  for (const start of [MAX + 2 ** 20, 2 ** 40 + 1, 10 ** 15, 2 ** 53 - 2001]) {
+    for (let n = start; n < start + 2000; n++) {
+      const expected = primalityTestBigint(BigInt(n), { method: "bpsw", trialDivision: false })
+      if (primalityTestNumber(n, { trialDivision: false }) !== expected) assert.fail(`primalityTestNumber(${n}) should be ${expected}`)
+    }
+  }
+})
+
+test("agrees with a sieve for every n in windows above 2^16 and below 2^32", () => {
+  const N = MIN + 2 * 10 ** 6
+  const isPrime = sieve(N)
+  for (let n = MIN; n < N; n++) {
+    const expected = isPrime[n] === 1
+    if (primalityTestNumber(n, { trialDivision: false }) !== expected) assert.fail(`primalityTestNumber(${n}) should be ${expected}`)
+  }
+  for (let n = MAX - 2 * 10 ** 4; n < MAX + 2 * 10 ** 4; n++) {
+    const expected = isPrimeByTrialDivision(n)
+    if (primalityTestNumber(n, { trialDivision: false }) !== expected) assert.fail(`primalityTestNumber(${n}) should be ${expected}`)
+  }
+})
+
+test("rejects strong pseudoprimes to base 2 and Carmichael numbers below 2^32", () => {
+  for (const n of [...SPSP_BASE_2, ...CARMICHAEL]) {
+    assert.equal(primalityTest(n), false, `${n}`)
+    assert.equal(primalityTestNumber(n, { trialDivision: false }), false, `${n}`)
+  }
+})
+
+test("rejects every p(2p - 1) below 2^32 with both factors prime", () => {
+  // These are strong pseudoprimes to about a quarter of all bases when p = 3 mod 4, the most of any composites
+  let count = 0
+  for (let p = 11; p * (2 * p - 1) < MAX; p += 2) {
+    if (!isPrimeByTrialDivision(p) || !isPrimeByTrialDivision(2 * p - 1)) continue
+    const n = p * (2 * p - 1)
+    if (primalityTestNumber(n, { trialDivision: false })) assert.fail(`primalityTestNumber(${n}) should be false`)
+    count++
+  }
+  assert.ok(count > 500)
+})
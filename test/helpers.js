@@ -0,0 +1,35 @@
+"use strict";
+
+// Independent primality oracles for the tests, sharing no code with isPrime.js
+
+/**
+ * Sieves the primes below `limit`.
+ * @param {number} limit The bound of the sieve
+ * @returns {Uint8Array} An array where index n holds 1 if n is prime
+ */
+function sieve(limit) {
+  const isPrime = new Uint8Array(limit).fill(1)
+  isPrime[0] = 0
+  if (limit > 1) isPrime[1] = 0
+  for (let i = 2; i * i < limit; i++) {
+    if (!isPrime[i]) continue
+    for (let j = i * i; j < limit; j += i) isPrime[j] = 0
+  }
+  return isPrime
+}
+
+/**
+ * Tests the primality of `n` by trial division. Only practical up to about 10^15.
+ * @param {number} n A safe integer
+ * @returns {boolean} Whether `n` is prime
+ */
+function isPrimeByTrialDivision(n) {
+  if (n < 2) return false
+  if (n % 2 == 0) return n == 2
+  for (let p = 3; p * p <= n; p += 2) {
+    if (n % p == 0) return false
+  }
+  return true
+}
+
+module.exports = { sieve, isPrimeByTrialDivision }
@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {
+  primalityTest, primalityTestNumber, primalityTestBigint, primalityTestDetailed, PrimalityInputError,
+  nextPrime, prevPrime, primesInRange, factorize, provePrime, randomPrime, primalityTestBatch,
+} = require("../isPrime.js")
+
+const INVALID = [7.5, -0.5, NaN, Infinity, -Infinity, 2 ** 60, "7.5", "abc", "1e3", " 7", "7 ", "", "-", "0x", "1__0", "_1", "1_", "0x_1f", "0b102", "0o8", null, undefined, true, {}, [7]]
+
+test("accepts decimal, hexadecimal, octal and binary strings", () => {
+  const cases = [
+    ["1000003", 1000003n], ["1_000_003", 1000003n], ["+97", 97n], ["0x61", 97n], ["0X6_1", 97n],
+    ["0o141", 97n], ["0b1100001", 97n], ["0b110_0001", 97n], ["0x1FFFFFFFFFFFFFFFFFFFFFF", 2n ** 89n - 1n],
+  ]
+  for (const [input, value] of cases) {
+    assert.equal(primalityTest(input), true, input)
+    assert.deepEqual(primalityTestDetailed(input).probablePrime, true, input)
+    assert.equal(nextPrime(input), nextPrime(value), input)
+  }
+  assert.equal(primalityTest("0x5B"), false)
+})
+
+test("throws PrimalityInputError for inputs that are not integers", () => {
+  for (const input of INVALID) {
+    assert.throws(() => primalityTest(input), PrimalityInputError, String(input))
+    assert.throws(() => primalityTestBigint(input), PrimalityInputError, String(input))
+    assert.throws(() => primalityTestDetailed(input), PrimalityInputError, String(input))
+    assert.throws(() => nextPrime(input), PrimalityInputError, String(input))
+    assert.throws(() => prevPrime(input), PrimalityInputError, String(input))
+    assert.throws(() => factorize(input), PrimalityInputError, String(input))
+    assert.throws(() => provePrime(input), PrimalityInputError, String(input))
+    assert.throws(() => primesInRange(input, 100).next(), PrimalityInputError, String(input))
+  }
+  assert.throws(() => primalityTest("0x1G"), err => err instanceof TypeError && err.name === "PrimalityInputError" && err.input === "0x1G")
+})
+
+test("primalityTestNumber() only accepts safe integer numbers", () => {
+  for (const input of ["97", 97n, 2 ** 53, 7.5, NaN]) assert.throws(() => primalityTestNumber(input), PrimalityInputError)
+  assert.equal(primalityTestNumber(97), true)
+})
+
+test("validates bases like other inputs", () => {
+  const n = 2n ** 89n - 1n
+  assert.equal(primalityTestBigint(n, { bases: ["0x2", "3", 5n, 7] }), true)
+  assert.throws(() => primalityTestBigint(n, { bases: [2.5] }), PrimalityInputError)
+  assert.throws(() => primalityTestBigint(n, { bases: ["two"] }), PrimalityInputError)
+  assert.throws(() => primalityTestBigint(n, { bases: ["-3"] }), RangeError)
+})
+
+test("validates the congruence of randomPrime()", () => {
+  assert.equal(randomPrime(32, { seed: 1, residue: "0x3", modulus: "0b100" }) % 4n, 3n)
+  assert.throws(() => randomPrime(32, { residue: 1, modulus: 4.5 }), PrimalityInputError)
+  assert.throws(() => randomPrime(32, { residue: NaN, modulus: 4 }), PrimalityInputError)
+})
+
+test("treats negative inputs consistently", () => {
+  for (const input of [-1, -7, "-7", "-0x7", "-0b111", -7n, -(2n ** 89n - 1n)]) {
+    assert.equal(primalityTest(input), false, String(input))
+    assert.equal(primalityTestBigint(input), false, String(input))
+    assert.equal(primalityTestDetailed(input).probablePrime, false, String(input))
+    assert.equal(prevPrime(input), null, String(input))
+    assert.throws(() => factorize(input), RangeError, String(input))
+    assert.throws(() => provePrime(input), RangeError, String(input))
+  }
+  assert.equal(nextPrime(-7), 2)
+  assert.equal(nextPrime("-7"), 2n)
+  assert.deepEqual([...primesInRange(-10, 10)], [2, 3, 5, 7])
+})
+
+test("primalityTestBatch() rejects invalid inputs", async () => {
+  await assert.rejects(primalityTestBatch([7, 7.5], { concurrency: 1 }), PrimalityInputError)
+  assert.deepEqual(await primalityTestBatch(["0x61", "1_000_003", -7], { concurrency: 1 }), [true, true, false])
+})
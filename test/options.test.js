@@ -0,0 +1,138 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {
+  primalityTestBigint, primalityTestDetailed, PrimalityResult, createSeededRng, bitLength, getAdaptiveNumRounds, setDefaultMethod,
+} = require("../isPrime.js")
+const { sieve } = require("./helpers.js")
+
+// p(2p - 1) with p = 3 mod 4, above 2^64: about a quarter of all bases are strong liars for it
+const MANY_LIARS = 1099511628211n * 2199023256421n
+const SPSP_BASE_2 = [2047n, 3277n, 4033n, 4681n, 8321n, 15841n, 29341n, 42799n, 49141n, 52633n, 65281n, 74665n, 80581n, 85489n]
+// Strong Lucas pseudoprimes with Selfridge's parameters, see https://oeis.org/A217255
+const STRONG_LUCAS_PSEUDOPRIMES = [5459n, 5777n, 10877n, 16109n, 18971n, 22499n, 24569n, 25199n, 40309n, 58519n, 75077n, 97439n]
+
+test("createSeededRng() is reproducible", () => {
+  const rng = createSeededRng(42)
+  const outputs = Array.from({ length: 4 }, () => rng() * 2 ** 32)
+  assert.deepEqual(outputs, [3415929203, 220504180, 3558451373, 2359703682])
+  const again = createSeededRng(42)
+  assert.equal(again() * 2 ** 32, 3415929203)
+  assert.notEqual(createSeededRng(43)() * 2 ** 32, 3415929203)
+})
+
+test("a seed makes the random bases reproducible", () => {
+  const bases = primalityTestDetailed(10n ** 30n + 57n, { seed: 42 }).bases
+  assert.deepEqual(bases, [
+    401882031120013747832773544795n, 223246226457008550777434900180n, 629753293294010596606266304342n,
+    90795181684562732736179764305n, 148475925749515082250479504922n, 966571840332261570459858452654n,
+  ])
+  const expected = [
+    225739192139678660806625586n, 178238727233442781851858387n, 451234756636966031178484881n,
+    164447411396029040757388783n, 195936476022159888571952301n, 554778310784109376083411410n,
+  ]
+  for (const useMontgomery of [false, true]) {
+    assert.deepEqual(primalityTestDetailed(2n ** 89n - 1n, { seed: "game", useMontgomery }).bases, expected)
+  }
+})
+
+test("a seeded round gives the same verdict on both paths, and the seed decides it", () => {
+  // With a single round, the verdict on MANY_LIARS is that of the first base drawn from the seed
+  const verdicts = new Set()
+  for (let seed = 0; seed < 20; seed++) {
+    const [base] = primalityTestDetailed(MANY_LIARS, { seed, numRounds: 1 }).bases
+    const expected = primalityTestBigint(MANY_LIARS, { bases: [base], findDivisor: false })
+    for (const useMontgomery of [false, true]) {
+      assert.equal(primalityTestBigint(MANY_LIARS, { seed, numRounds: 1, findDivisor: false, useMontgomery }), expected, `${seed}`)
+    }
+    verdicts.add(expected)
+  }
+  assert.equal(verdicts.size, 2)
+})
+
+test("a custom rng is used for the bases", () => {
+  let calls = 0
+  const rng = () => (calls++ % 7) / 7
+  assert.equal(primalityTestBigint(2n ** 89n - 1n, { rng }), true)
+  assert.ok(calls > 0)
+  assert.throws(() => primalityTestBigint(2n ** 89n - 1n, { rng: 1 }), TypeError)
+})
+
+test("primalityTestDetailed() reports deterministic results", () => {
+  const prime = primalityTestDetailed(1000000007)
+  assert.ok(prime instanceof PrimalityResult)
+  assert.equal(prime.probablePrime, true)
+  assert.equal(prime.deterministic, true)
+  assert.equal(prime.errorBound, 0)
+
+  const composite = primalityTestDetailed(2047n, { trialDivision: false, findDivisor: true })
+  assert.equal(composite.probablePrime, false)
+  assert.equal(composite.deterministic, true)
+  assert.equal(composite.witness, 3n)
+
+  const withDivisor = primalityTestDetailed(3215031751n, { trialDivision: false, findDivisor: true })
+  assert.equal(withDivisor.probablePrime, false)
+  assert.ok(withDivisor.divisor !== null && withDivisor.divisor > 1n && 3215031751n % withDivisor.divisor === 0n)
+})
+
+test("primalityTestDetailed() reports the error bound of random bases", () => {
+  const result = primalityTestDetailed(2n ** 89n - 1n, { seed: 1, numRounds: 5 })
+  assert.equal(result.probablePrime, true)
+  assert.equal(result.deterministic, false)
+  assert.equal(result.bases.length, 5)
+  assert.equal(result.errorBound, 4 ** -5)
+})
+
+test("primalityTestDetailed() reports the divisor found by trial division", () => {
+  const result = primalityTestDetailed(101n * (2n ** 89n - 1n))
+  assert.equal(result.probablePrime, false)
+  assert.equal(result.divisor, 101n)
+})
+
+test("bitLength() and getAdaptiveNumRounds()", () => {
+  assert.equal(bitLength(1n), 1)
+  assert.equal(bitLength(255n), 8)
+  assert.equal(bitLength(256n), 9)
+  assert.equal(bitLength(2n ** 1000n), 1001)
+  assert.ok(getAdaptiveNumRounds(2048) <= getAdaptiveNumRounds(256))
+  assert.ok(getAdaptiveNumRounds(256) >= 1)
+})
+
+test("BPSW agrees with a sieve below 10^5", () => {
+  const N = 10 ** 5
+  const isPrime = sieve(N)
+  for (let n = 0; n < N; n++) {
+    if (primalityTestBigint(BigInt(n), { method: "bpsw", trialDivision: false }) !== (isPrime[n] === 1)) {
+      assert.fail(`BPSW is wrong about ${n}`)
+    }
+  }
+})
+
+test("BPSW rejects strong pseudoprimes to base 2 and strong Lucas pseudoprimes", () => {
+  for (const n of [...SPSP_BASE_2, ...STRONG_LUCAS_PSEUDOPRIMES, 3825123056546413051n, 3317044064679887385961981n]) {
+    for (const useMontgomery of [false, true]) {
+      assert.equal(primalityTestBigint(n, { method: "bpsw", trialDivision: false, useMontgomery }), false, `${n}`)
+    }
+  }
+  assert.equal(primalityTestBigint(2n ** 127n - 1n, { method: "bpsw" }), true)
+  assert.throws(() => primalityTestBigint(2n ** 89n - 1n, { method: "fermat" }), RangeError)
+})
+
+test("setDefaultMethod() changes the default method", () => {
+  try {
+    setDefaultMethod("bpsw")
+    const result = primalityTestDetailed(2n ** 89n - 1n)
+    assert.equal(result.probablePrime, true)
+    assert.deepEqual(result.bases, [2n])
+  } finally {
+    setDefaultMethod("miller-rabin")
+  }
+  assert.throws(() => setDefaultMethod("fermat"), RangeError)
+})
+
+test("trialDivision validates its limit", () => {
+  assert.equal(primalityTestBigint(7919n * 7927n, { trialDivision: 10000 }), false)
+  assert.throws(() => primalityTestBigint(97n, { trialDivision: -1 }), RangeError)
+  assert.throws(() => primalityTestBigint(97n, { trialDivision: 2 ** 30 }), RangeError)
+})
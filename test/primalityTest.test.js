@@ -0,0 +1,158 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { primalityTest, primalityTestNumber, primalityTestBigint } = require("../isPrime.js")
+const { sieve, isPrimeByTrialDivision } = require("./helpers.js")
+
+// The deterministic thresholds of primalityTestNumber(): each is the smallest strong pseudoprime to the bases below it
+// See https://oeis.org/A014233
+const THRESHOLDS = [
+  { limit: 2047, bases: [2] },
+  { limit: 1373653, bases: [2, 3] },
+  { limit: 25326001, bases: [2, 3, 5] },
+  { limit: 3215031751, bases: [2, 3, 5, 7] },
+  { limit: 2152302898747, bases: [2, 3, 5, 7, 11] },
+  { limit: 3474749660383, bases: [2, 3, 5, 7, 11, 13] },
+  { limit: 341550071728321, bases: [2, 3, 5, 7, 11, 13, 17] },
+]
+
+// Strong pseudoprimes to the first 12 and 13 primes, above 2^64
+const SPSP_TO_37 = 318665857834031151167461n
+const SPSP_TO_41 = 3317044064679887385961981n
+const FIRST_PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41]
+
+// Strong pseudoprimes to base 2 (https://oeis.org/A001262) and Carmichael numbers (https://oeis.org/A002997)
+const SPSP_BASE_2 = [2047, 3277, 4033, 4681, 8321, 15841, 29341, 42799, 49141, 52633, 65281, 74665, 80581, 85489, 88357, 90751]
+const CARMICHAEL = [561, 1105, 1729, 2465, 2821, 6601, 8911, 10585, 15841, 29341, 41041, 46657, 52633, 62745, 63973, 75361]
+
+const LIMIT_DETERMINISM = 2n ** 64n
+const PATHS = [
+  { name: "plain", options: { useMontgomery: false } },
+  { name: "Montgomery", options: { useMontgomery: true } },
+]
+
+/**
+ * Finds Chernick's Carmichael numbers (6k+1)(12k+1)(18k+1) for k from `start`, using trial division on the factors.
+ * @param {number} start The first k to try
+ * @param {number} count How many Carmichael numbers to return
+ * @returns {bigint[]}
+ */
+function chernickCarmichaels(start, count) {
+  const found = []
+  for (let k = start; found.length < count; k++) {
+    const factors = [6 * k + 1, 12 * k + 1, 18 * k + 1]
+    if (factors.every(isPrimeByTrialDivision)) found.push(factors.reduce((product, f) => product * BigInt(f), 1n))
+  }
+  return found
+}
+
+test("agrees with a sieve for every n below 3 * 10^6", () => {
+  const N = 3 * 10 ** 6
+  const isPrime = sieve(N)
+  for (let n = 0; n < N; n++) {
+    const expected = isPrime[n] === 1
+    if (primalityTest(n) !== expected) assert.fail(`primalityTest(${n}) should be ${expected}`)
+    if (primalityTestNumber(n, { trialDivision: false }) !== expected) assert.fail(`primalityTestNumber(${n}) should be ${expected}`)
+  }
+})
+
+for (const { name, options } of PATHS) {
+  test(`the ${name} BigInt path agrees with a sieve for every n below 2 * 10^5`, () => {
+    const N = 2 * 10 ** 5
+    const isPrime = sieve(N)
+    for (let n = 0; n < N; n++) {
+      const expected = isPrime[n] === 1
+      if (primalityTestBigint(BigInt(n), { ...options, trialDivision: false }) !== expected) {
+        assert.fail(`primalityTestBigint(${n}n) should be ${expected}`)
+      }
+    }
+  })
+}
+
+test("rejects the strong pseudoprime at every deterministic threshold", () => {
+  for (const { limit } of THRESHOLDS) {
+    assert.equal(primalityTest(limit), false, `${limit}`)
+    assert.equal(primalityTest(limit, { trialDivision: false }), false, `${limit}`)
+    for (const { options } of PATHS) assert.equal(primalityTestBigint(BigInt(limit), options), false, `${limit}`)
+  }
+})
+
+test("is correct for the odd numbers around every deterministic threshold", () => {
+  for (const { limit } of THRESHOLDS) {
+    for (let n = limit - 10; n <= limit + 10; n += 2) {
+      assert.equal(primalityTest(n, { trialDivision: false }), isPrimeByTrialDivision(n), `${n}`)
+    }
+  }
+})
+
+test("is correct around LIMIT_DETERMINISM", () => {
+  const largestPrimeBelow = LIMIT_DETERMINISM - 59n
+  const smallestPrimeAbove = LIMIT_DETERMINISM + 13n
+  for (const { options } of PATHS) {
+    assert.equal(primalityTestBigint(largestPrimeBelow, options), true)
+    assert.equal(primalityTestBigint(smallestPrimeAbove, { ...options, seed: 1 }), true)
+    for (let n = largestPrimeBelow + 2n; n < smallestPrimeAbove; n += 2n) {
+      assert.equal(primalityTestBigint(n, { ...options, seed: 1 }), false, `${n}`)
+    }
+  }
+})
+
+test("rejects strong pseudoprimes to base 2 and Carmichael numbers", () => {
+  for (const n of [...SPSP_BASE_2, ...CARMICHAEL]) {
+    assert.equal(primalityTest(n), false, `${n}`)
+    assert.equal(primalityTest(n, { trialDivision: false }), false, `${n}`)
+  }
+})
+
+test("rejects large Carmichael numbers on either side of 2^53 and 2^64", () => {
+  // (6k+1)(12k+1)(18k+1) is about 1296k^3
+  const carmichaels = [
+    ...chernickCarmichaels(10 ** 4, 3), // ~2^50
+    ...chernickCarmichaels(2 * 10 ** 5, 3), // ~2^63
+    ...chernickCarmichaels(2 * 10 ** 6, 3), // ~2^73
+    ...chernickCarmichaels(3 * 10 ** 6, 3), // ~2^75
+  ]
+  for (const n of carmichaels) {
+    assert.equal(primalityTest(n, { seed: 1 }), false, `${n}`)
+    for (const { options } of PATHS) {
+      assert.equal(primalityTestBigint(n, { ...options, seed: 1, trialDivision: false }), false, `${n}`)
+    }
+  }
+})
+
+test("the bases option tests exactly the given bases above 2^64", () => {
+  for (const { options } of PATHS) {
+    assert.equal(primalityTestBigint(SPSP_TO_37, { ...options, bases: FIRST_PRIMES.slice(0, 12) }), true)
+    assert.equal(primalityTestBigint(SPSP_TO_37, { ...options, bases: FIRST_PRIMES }), false)
+    assert.equal(primalityTestBigint(SPSP_TO_41, { ...options, bases: FIRST_PRIMES }), true)
+    assert.equal(primalityTestBigint(SPSP_TO_41, { ...options, seed: 1 }), false)
+    assert.equal(primalityTestBigint(SPSP_TO_41, { ...options, method: "bpsw" }), false)
+  }
+  assert.throws(() => primalityTestBigint(SPSP_TO_41, { bases: [1] }), RangeError)
+  assert.throws(() => primalityTestBigint(SPSP_TO_41, { bases: 2 }), TypeError)
+})
+
+test("agrees between the plain and Montgomery paths on large primes and composites", () => {
+  const primes = [2n ** 89n - 1n, 2n ** 127n - 1n, 10n ** 100n + 267n, 2n ** 521n - 1n]
+  const composites = [(2n ** 89n - 1n) * (2n ** 107n - 1n), 2n ** 128n + 1n, 10n ** 1000n + 13n, 2n ** 521n + 1n]
+  for (const { options } of PATHS) {
+    for (const n of primes) assert.equal(primalityTestBigint(n, { ...options, seed: 1 }), true, `${n}`)
+    for (const n of composites) assert.equal(primalityTestBigint(n, { ...options, seed: 1 }), false, `${n}`)
+  }
+})
+
+test("accepts numbers, strings and bigints alike", () => {
+  for (const n of [97, "97", 97n, "1000000007", 2n ** 61n - 1n, String(2n ** 61n - 1n)]) {
+    assert.equal(primalityTest(n), true, `${n}`)
+  }
+  for (const n of [0, 1, 0n, 1n, "0", "1", 91, "91", 91n]) assert.equal(primalityTest(n), false, `${n}`)
+})
+
+test("rejects negative inputs", () => {
+  for (const n of [-1, -2, -7, "-7", -7n, -(2n ** 89n - 1n)]) assert.equal(primalityTest(n), false, `${n}`)
+})
+
+test("throws on strings that are not integers", () => {
+  for (const n of ["7.5", "abc", "1e3"]) assert.throws(() => primalityTest(n), TypeError)
+})
@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { primeCount, nthPrime, primesInRange, primalityTest, PrimalityInputError } = require("../isPrime.js")
+const { sieve } = require("./helpers.js")
+
+// pi(10^k) for k = 0 to 12 (https://oeis.org/A006880)
+const PI_POWERS_OF_10 = [0, 4, 25, 168, 1229, 9592, 78498, 664579, 5761455, 50847534, 455052511, 4118054813, 37607912018]
+
+// The 10^k-th prime for k = 0 to 10 (https://oeis.org/A006988)
+const PRIME_POWERS_OF_10 = [2, 29, 541, 7919, 104729, 1299709, 15485863, 179424673, 2038074743, 22801763489, 252097800623]
+
+test("primeCount() agrees with a sieve for small x", () => {
+  const isPrime = sieve(100000)
+  let count = 0
+  for (let x = 0; x <= 100000; x++) {
+    if (isPrime[x]) count++
+    if (x < 2000 || x % 997 === 0) assert.equal(primeCount(x), count, `${x}`)
+  }
+  assert.equal(primeCount(-5), 0)
+})
+
+test("primeCount() matches the tabulated values of pi(10^k) and pi(2^k)", () => {
+  PI_POWERS_OF_10.forEach((count, k) => assert.equal(primeCount(10 ** k), count, `10^${k}`))
+  assert.equal(primeCount(2 ** 22 - 1), 295947) // Around the switch from the sieve to the Lagarias-Miller-Odlyzko algorithm
+  assert.equal(primeCount(2 ** 22), 295947)
+  assert.equal(primeCount(2 ** 32), 203280221)
+  assert.equal(primeCount(2 ** 36), 2874398515)
+})
+
+test("primeCount() steps by one at each prime", () => {
+  for (const low of [2 ** 22, 10 ** 9, 3 * 10 ** 10]) {
+    let count = primeCount(low - 1)
+    for (const p of primesInRange(low, low + 150)) {
+      assert.equal(primeCount(p - 1), count, `${p - 1}`)
+      assert.equal(primeCount(p), ++count, `${p}`)
+    }
+  }
+})
+
+test("nthPrime() matches the tabulated 10^k-th primes and inverts primeCount()", () => {
+  PRIME_POWERS_OF_10.forEach((p, k) => assert.equal(nthPrime(10 ** k), p, `10^${k}`))
+  let n = 0
+  for (const p of primesInRange(2, 20000)) assert.equal(nthPrime(++n), p)
+  for (const n of [123456789, 987654321]) {
+    const p = nthPrime(n)
+    assert.ok(primalityTest(p))
+    assert.equal(primeCount(p), n)
+  }
+})
+
+test("primeCount() and nthPrime() keep the type of their input, and check its range", () => {
+  assert.equal(primeCount(10n ** 6n), 78498n)
+  assert.equal(primeCount("0x100000"), 82025n)
+  assert.equal(nthPrime(10n ** 6n), 15485863n)
+  assert.equal(nthPrime("1000"), 7919n)
+  assert.throws(() => primeCount(10n ** 14n + 1n), RangeError)
+  assert.throws(() => primeCount(1.5), PrimalityInputError)
+  assert.throws(() => nthPrime(0), RangeError)
+  assert.throws(() => nthPrime(10 ** 13), RangeError)
+})
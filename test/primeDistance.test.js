@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createPrimeDistanceIndex, primalityTest, primesInRange, setDefaultMethod } = require("../isPrime.js")
+const { sieve } = require("./helpers.js")
+
+test("agrees with a sieve below 10^5, whatever the sieve limit and the order of the queries", () => {
+  const N = 10 ** 5
+  const isPrime = sieve(N)
+  const expected = []
+  for (let d = 0; d < N; d++) if (isPrime[d]) expected.push(d)
+
+  for (const sieveLimit of [2, 1000, 2 ** 20]) {
+    const index = createPrimeDistanceIndex({ sieveLimit })
+    // Out of order, so that the sieve grows in the middle of the queries
+    assert.equal(index.isPrimeDistance(99991), true)
+    assert.deepEqual(index.primeDistances(50000, N - 1), expected.filter(d => d >= 50000))
+    assert.deepEqual(index.primeDistances(-10, 49999), expected.filter(d => d < 50000))
+    for (let d = 0; d < 3000; d++) {
+      assert.equal(index.isPrimeDistance(d), isPrime[d] === 1, `${d}`)
+      assert.equal(index.nextPrimeDistance(d), expected.find(p => p >= d), `${d}`)
+    }
+  }
+})
+
+test("never reports distances beyond maxDistance, until it is extended", () => {
+  const index = createPrimeDistanceIndex({ maxDistance: 100 })
+  assert.deepEqual(index.primeDistances(80, 1000), [83, 89, 97])
+  assert.equal(index.nextPrimeDistance(98), null)
+  assert.deepEqual([...index.primeDistancesFrom(80)], [83, 89, 97])
+  assert.equal(index.isPrimeDistance(101), true)
+
+  assert.equal(index.extend(101), index)
+  assert.equal(index.nextPrimeDistance(98), 101)
+  assert.deepEqual(index.primeDistances(80n, 1000n), [83n, 89n, 97n, 101n])
+  assert.throws(() => index.extend(100), RangeError)
+  assert.throws(() => createPrimeDistanceIndex().extend(10 ** 6), RangeError)
+
+  // An open-ended index keeps going
+  const ray = createPrimeDistanceIndex().primeDistancesFrom(2)
+  for (const p of [2, 3, 5, 7, 11]) assert.equal(ray.next().value, p)
+})
+
+test("gives identical answers on large distances, whatever the sieve limit and the default method", () => {
+  const seeded = n => primalityTest(n, { method: "miller-rabin", seed: "huygen" })
+  const start = 2n ** 64n - 200n
+  const expected = [...primesInRange(start, start + 600n, { method: "miller-rabin", seed: "huygen" })]
+  try {
+    setDefaultMethod("bpsw")
+    for (const sieveLimit of [2, 2 ** 20]) {
+      const index = createPrimeDistanceIndex({ sieveLimit })
+      assert.deepEqual(index.primeDistances(start, start + 600n), expected)
+      const ray = index.primeDistancesFrom(start)
+      for (const p of expected) assert.equal(ray.next().value, p)
+      for (let d = start; d < start + 600n; d++) assert.equal(index.isPrimeDistance(d), seeded(d), `${d}`)
+    }
+  } finally {
+    setDefaultMethod("miller-rabin")
+  }
+
+  assert.equal(createPrimeDistanceIndex().nextPrimeDistance(10n ** 20n), 100000000000000000039n)
+  assert.equal(createPrimeDistanceIndex().nextPrimeDistance("1000"), 1009n)
+  assert.equal(createPrimeDistanceIndex().isPrimeDistance(2n ** 127n - 1n), true)
+})
+
+test("rejects invalid options", () => {
+  assert.throws(() => createPrimeDistanceIndex({ sieveLimit: 1 }), RangeError)
+  assert.throws(() => createPrimeDistanceIndex({ sieveLimit: 2 ** 30 }), RangeError)
+  assert.throws(() => createPrimeDistanceIndex({ maxDistance: -1 }), RangeError)
+  assert.throws(() => createPrimeDistanceIndex({ maxDistance: "ten" }), TypeError)
+  assert.throws(() => createPrimeDistanceIndex({ seed: null }), TypeError)
+})
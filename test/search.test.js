@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { nextPrime, prevPrime, primesInRange, primalityTest, randomPrime, bitLength } = require("../isPrime.js")
+const { sieve } = require("./helpers.js")
+
+test("nextPrime() and prevPrime() walk the primes below 10^5", () => {
+  const N = 10 ** 5
+  const isPrime = sieve(N)
+  const primes = []
+  for (let n = 0; n < N; n++) if (isPrime[n]) primes.push(n)
+
+  let p = nextPrime(0)
+  for (let i = 0; i < primes.length; i++, p = nextPrime(p)) assert.equal(p, primes[i])
+  for (let i = primes.length - 1; i > 0; i--) assert.equal(prevPrime(primes[i]), primes[i - 1])
+  assert.equal(prevPrime(2), null)
+  assert.equal(prevPrime(3), 2)
+})
+
+test("nextPrime() and prevPrime() keep the type of their input", () => {
+  assert.equal(prevPrime(2 ** 53 - 1), 2 ** 53 - 111)
+  assert.equal(nextPrime(2n ** 64n - 60n), 2n ** 64n - 59n)
+  assert.equal(nextPrime("18446744073709551557"), 2n ** 64n + 13n)
+  assert.equal(prevPrime(2n ** 64n + 13n), 2n ** 64n - 59n)
+  assert.equal(nextPrime(2n ** 127n - 2n), 2n ** 127n - 1n)
+})
+
+test("primesInRange() agrees with a sieve", () => {
+  const N = 10 ** 5
+  const isPrime = sieve(N)
+  const expected = []
+  for (let n = 500; n <= 20000; n++) if (isPrime[n]) expected.push(n)
+  assert.deepEqual([...primesInRange(500, 20000)], expected)
+  assert.deepEqual([...primesInRange(500n, 20000n)], expected.map(BigInt))
+  assert.deepEqual([...primesInRange(20000, 500)], [])
+})
+
+test("primesInRange() sieves large ranges like the per-number test", () => {
+  const low = 2 ** 50
+  const sieved = [...primesInRange(low, low + 10 ** 5)]
+  const tested = []
+  for (let n = low; n <= low + 10 ** 5; n++) if (primalityTest(n)) tested.push(n)
+  assert.deepEqual(sieved, tested)
+
+  const big = [...primesInRange(2n ** 64n - 1000n, 2n ** 64n + 1000n)]
+  assert.ok(big.includes(2n ** 64n - 59n) && big.includes(2n ** 64n + 13n))
+  assert.ok(big.every(p => primalityTest(p)))
+})
+
+test("randomPrime() is reproducible with a seed", () => {
+  assert.equal(randomPrime(64, { seed: 7 }), 11642026106171805343n)
+  assert.equal(randomPrime(128, { seed: "fixture", safe: true }), 323354214561569753281572942804272531543n)
+})
+
+test("randomPrime() has the requested bit length and constraints", () => {
+  for (const bits of [2, 3, 8, 32, 64, 100, 256]) {
+    const p = randomPrime(bits, { seed: bits })
+    assert.equal(bitLength(p), bits)
+    assert.equal(primalityTest(p), true)
+  }
+  const safe = randomPrime(64, { seed: 3, safe: true })
+  assert.equal(primalityTest((safe - 1n) / 2n), true)
+  const congruent = randomPrime(64, { seed: 3, residue: 3, modulus: 4 })
+  assert.equal(congruent % 4n, 3n)
+  assert.throws(() => randomPrime(1), RangeError)
+  assert.throws(() => randomPrime(64, { residue: 2, modulus: 4 }), RangeError)
+})
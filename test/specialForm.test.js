@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { primalityTestSpecialForm, primalityTest, primalityTestDetailed, primalityTestAsync } = require("../isPrime.js")
+const { sieve } = require("./helpers.js")
+
+// The Mersenne prime exponents up to 1300 (https://oeis.org/A000043)
+const MERSENNE_EXPONENTS = [2, 3, 5, 7, 13, 17, 19, 31, 61, 89, 107, 127, 521, 607, 1279]
+
+test("primalityTestSpecialForm() runs the Lucas-Lehmer test on Mersenne numbers", () => {
+  for (let p = 2; p < 1300; p++) {
+    assert.equal(primalityTestSpecialForm(2n ** BigInt(p) - 1n), MERSENNE_EXPONENTS.includes(p), `2^${p}-1`)
+  }
+  assert.equal(primalityTestSpecialForm(2n ** 2203n - 1n), true)
+})
+
+test("primalityTestSpecialForm() runs Pepin's test on Fermat numbers", () => {
+  for (let m = 0; m < 12; m++) assert.equal(primalityTestSpecialForm(2n ** (2n ** BigInt(m)) + 1n), m <= 4, `F${m}`)
+  assert.equal(primalityTestSpecialForm(2n ** 96n + 1n), false)
+})
+
+test("primalityTestSpecialForm() agrees with Miller-Rabin on Proth and Riesel numbers", () => {
+  for (const sign of [1n, -1n]) {
+    for (let m = 64n; m < 160n; m += 5n) {
+      for (let k = 3n; k < 200n; k += 2n) {
+        const n = k * 2n ** m + sign
+        assert.equal(primalityTestSpecialForm(n), primalityTest(n, { numRounds: 10, seed: 1 }), `${k}*2^${m}${sign > 0n ? "+" : "-"}1`)
+      }
+    }
+  }
+
+  // Primes 3*2^m+1 and 3*2^m-1 (https://oeis.org/A002253 and https://oeis.org/A002235)
+  for (const m of [189n, 201n, 209n, 276n, 353n, 408n, 438n, 534n]) assert.equal(primalityTestSpecialForm(3n * 2n ** m + 1n), true)
+  for (const m of [206n, 216n, 306n, 324n, 391n, 458n, 470n, 827n]) assert.equal(primalityTestSpecialForm(3n * 2n ** m - 1n), true)
+})
+
+test("primalityTestSpecialForm() accepts exactly the numbers of special form", () => {
+  const isPrime = sieve(5000)
+  for (let n = 3; n < 5000; n += 2) {
+    const m = [n - 1, n + 1].map(x => Math.log2(x & -x))
+    const k = [(n - 1) / 2 ** m[0], (n + 1) / 2 ** m[1]]
+    if (k[0] < 2 ** m[0] || k[1] < 2 ** m[1]) assert.equal(primalityTestSpecialForm(n), isPrime[n] === 1, `${n}`)
+    else assert.throws(() => primalityTestSpecialForm(n), RangeError)
+  }
+  assert.throws(() => primalityTestSpecialForm(2n ** 100n + 3n), RangeError)
+  assert.throws(() => primalityTestSpecialForm(2), RangeError)
+  assert.throws(() => primalityTestSpecialForm(-7), RangeError)
+})
+
+test("the specialForm option proves the primality of numbers of special form", async () => {
+  const n = 3n * 2n ** 827n - 1n
+  assert.equal(primalityTest(n, { specialForm: true }), true)
+  assert.equal(primalityTestDetailed(n, { specialForm: true }).deterministic, true)
+  assert.equal(primalityTestDetailed(n, { specialForm: true }).errorBound, 0)
+  assert.equal(primalityTestDetailed(n).deterministic, false)
+  assert.equal(primalityTest(2n ** 1279n - 1n, { specialForm: true, method: "bpsw" }), true)
+  assert.equal(await primalityTestAsync(2n ** 1277n - 1n, { specialForm: true }), false)
+
+  // Other numbers still get the usual test
+  assert.equal(primalityTestDetailed(2n ** 127n + 45n, { specialForm: true }).deterministic, false)
+})
@@ -0,0 +1,48 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { primalityTest, primalityTestBigint, createSeededRng } = require("../isPrime.js")
+
+// primalityTest() runs the 64-bit engine between Number.MAX_SAFE_INTEGER and 2^64, while primalityTestBigint() always
+// runs the BigInt path, so the two must agree on that range
+const LOW = BigInt(Number.MAX_SAFE_INTEGER)
+const HIGH = 2n ** 64n
+
+test("agrees with the BigInt path on runs of consecutive integers", () => {
+  for (const start of [LOW, 2n ** 56n - 1500n, 2n ** 63n - 1500n, HIGH - 3000n]) {
+    for (let n = start; n < start + 3000n && n < HIGH; n++) {
+      for (const trialDivision of [undefined, false]) {
+        if (primalityTest(n, { trialDivision }) !== primalityTestBigint(n, { trialDivision })) assert.fail(`disagreement on ${n}`)
+      }
+    }
+  }
+})
+
+test("agrees with the BigInt path on random odd 64-bit numbers", () => {
+  const rng = createSeededRng("uint64")
+  for (let i = 0; i < 5000; i++) {
+    const n = (BigInt(Math.floor(rng() * 2 ** 32)) << 32n | BigInt(Math.floor(rng() * 2 ** 32)) | 1n) % (HIGH - LOW) + LOW
+    if (primalityTest(n, { trialDivision: false }) !== primalityTestBigint(n, { trialDivision: false })) assert.fail(`disagreement on ${n}`)
+  }
+})
+
+test("rejects strong pseudoprimes and semiprimes of large factors", () => {
+  const composites = [
+    3825123056546413051n, // Strong pseudoprime to the bases 2 through 23
+    4294967291n * 4294967279n, // The two largest primes below 2^32
+    2147483647n * 4294967291n, // The Mersenne prime 2^31 - 1 times the largest prime below 2^32
+    HIGH - 1n,
+    LOW,
+  ]
+  for (const n of composites) assert.equal(primalityTest(n, { trialDivision: false }), false, `${n}`)
+})
+
+test("accepts the primes at both ends of the range", () => {
+  for (const n of [LOW + 6n, HIGH - 59n, HIGH - 83n, HIGH - 95n]) assert.equal(primalityTest(n), true, `${n}`)
+})
+
+test("still honours the bpsw method", () => {
+  assert.equal(primalityTest(3825123056546413051n, { method: "bpsw" }), false)
+  assert.equal(primalityTest(HIGH - 59n, { method: "bpsw" }), true)
+})
@@ -0,0 +1,86 @@
+"use strict";
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const { spawnSync } = require("child_process")
+const { primalityTestDetailed, primalityTest, randomPrime, createSeededRng, isBackendAvailable } = require("../isPrime.js")
+const { assemble } = require("../scripts/wat2wasm.js")
+
+const ROOT = path.join(__dirname, "..")
+
+// Carmichael numbers, which pass the Fermat test to every coprime base: the smallest ones with 3 to 10 and 12 prime factors
+// (https://oeis.org/A006931)
+const CARMICHAEL = [561n, 41041n, 825265n, 321197185n, 5394826801n, 232250619601n, 9746347772161n, 1436697831295441n,
+  7156857700403137441n]
+
+/** Tests `n` with both backends, and checks that they agree on every field of the result */
+function assertSameResult(n, options) {
+  const wasm = primalityTestDetailed(n, { ...options, backend: "wasm" })
+  const bigint = primalityTestDetailed(n, { ...options, backend: "bigint" })
+  assert.deepEqual(wasm, bigint, `${n}`)
+  return wasm
+}
+
+test("the embedded module is the assembled wasm/montgomery.wat", () => {
+  const source = fs.readFileSync(path.join(ROOT, "isPrime.js"), "utf8")
+  const embedded = /^const MONTGOMERY_WASM = "(.*)"$/m.exec(source)[1]
+  const assembled = assemble(fs.readFileSync(path.join(ROOT, "wasm", "montgomery.wat"), "utf8"))
+  assert.equal(embedded, Buffer.from(assembled).toString("base64"), "run npm run build:wasm")
+})
+
+test("the wasm backend is available on Node.js, and rejects invalid backends", () => {
+  assert.equal(isBackendAvailable("wasm"), true)
+  assert.equal(isBackendAvailable("bigint"), true)
+  assert.throws(() => isBackendAvailable("gpu"), RangeError)
+  assert.throws(() => primalityTestDetailed(2n ** 89n - 1n, { backend: "WASM" }), RangeError)
+  assert.throws(() => primalityTest(2n ** 89n - 1n, { backend: null, method: "bpsw" }), RangeError)
+})
+
+test("the wasm and bigint backends give identical results on random moduli", () => {
+  const rng = createSeededRng("wasm")
+  const randomOdd = bits => {
+    let n = 1n
+    for (let i = 1; i < bits; i++) n = (n << 1n) | (rng() < 0.5 ? 1n : 0n)
+    return n | 1n
+  }
+  for (let i = 0; i < 120; i++) {
+    const n = randomOdd(5 + Math.floor(rng() * 700))
+    for (const method of ["miller-rabin", "bpsw"]) {
+      assertSameResult(n, { method, seed: i, trialDivision: 0 })
+      assertSameResult(n, { method, seed: i, trialDivision: 0, useMontgomery: true, findDivisor: false })
+    }
+  }
+
+  // Odd numbers below 2^64 get the deterministic bases, and numbers with a single limb exercise the edge of the layout
+  for (let n = 5n; n < 3000n; n += 2n) assertSameResult(n, { trialDivision: 0 })
+  for (const n of [2n ** 32n - 5n, 2n ** 32n + 15n, 2n ** 64n - 59n, 2n ** 64n + 13n]) assertSameResult(n, { seed: 1 })
+})
+
+test("the wasm and bigint backends give identical results on primes and pseudoprimes", () => {
+  for (const bits of [65, 96, 128, 160, 256, 384, 512, 1024, 2048]) {
+    const p = randomPrime(bits, { seed: bits })
+    assert.equal(assertSameResult(p, { seed: bits, numRounds: bits > 512 ? 2 : 5 }).probablePrime, true)
+    assert.equal(assertSameResult(p, { method: "bpsw" }).probablePrime, true)
+
+    // p * (2p - 1) has nontrivial square roots of 1 that the rounds find, and report the divisor of
+    const q = randomPrime(bits >> 1, { seed: bits })
+    assertSameResult(q * (2n * q - 1n), { seed: bits, trialDivision: 0 })
+  }
+  for (const n of CARMICHAEL) {
+    const result = assertSameResult(n, { bases: [2n, 3n, 5n, 7n, 11n, 13n, 17n], trialDivision: 0 })
+    assert.equal(result.probablePrime, false)
+  }
+})
+
+test("the wasm backend falls back on BigInts without WebAssembly", () => {
+  const script = `
+    const { isBackendAvailable, primalityTestDetailed } = require(${JSON.stringify(path.join(ROOT, "isPrime.js"))})
+    const result = primalityTestDetailed(2n ** 127n - 1n, { backend: "wasm", seed: 1 })
+    console.log(JSON.stringify([typeof WebAssembly, isBackendAvailable("wasm"), result.probablePrime]))
+  `
+  // WebAssembly is disabled in jitless mode
+  const { stdout } = spawnSync(process.execPath, ["--jitless", "-e", script], { encoding: "utf8", timeout: 60000 })
+  assert.deepEqual(JSON.parse(stdout), ["undefined", false, true])
+})
@@ -0,0 +1,190 @@
+;; Montgomery multiplication and exponentiation modulo an odd n of `len` 32-bit limbs, for the "wasm" backend of isPrime.js.
+;; Numbers are stored in linear memory as little-endian arrays of 32-bit limbs, at byte addresses chosen by the caller.
+;; With R = 2^(32*len), the Montgomery form of x is x*R mod n, and every result is fully reduced into [0, n).
+;; scripts/build-wasm.js assembles this file and embeds the bytes in isPrime.js.
+(module
+  (memory (export "memory") 1)
+
+  ;; out = a * b / R mod n, by Finely Integrated Operand Scanning (Koc, Acar and Kaliski, 1996): each limb b[i] adds a * b[i]
+  ;; to t and reduces the sum in the same pass, adding the multiple m * n that clears its lowest limb and shifting it by a limb.
+  ;; t is scratch space of len+1 limbs, and nInv = -n^-1 mod 2^32. out may be the same as a or b.
+  (func $montMul (export "montMul")
+    (param $out i32) (param $a i32) (param $b i32) (param $n i32) (param $t i32) (param $len i32) (param $nInv i32)
+    (local $i i32) (local $j i32) (local $tTop i32) (local $subtract i32) (local $x i32) (local $y i32)
+    (local $bi i64) (local $m i64) (local $carry i64) (local $sum i64) (local $reduceCarry i64) (local $reduced i64)
+
+    ;; tTop is the address of t[len]
+    (local.set $tTop (i32.add (local.get $t) (i32.shl (local.get $len) (i32.const 2))))
+    (call $zero (local.get $t) (i32.add (local.get $len) (i32.const 1)))
+
+    (local.set $i (i32.const 0))
+    (block $outerDone
+      (loop $outer
+        (br_if $outerDone (i32.ge_u (local.get $i) (local.get $len)))
+        (local.set $bi (i64.load32_u (i32.add (local.get $b) (i32.shl (local.get $i) (i32.const 2)))))
+
+        ;; The lowest limb of t + a * b[i] picks m, and vanishes once m * n is added
+        (local.set $sum (i64.add (i64.load32_u (local.get $t)) (i64.mul (i64.load32_u (local.get $a)) (local.get $bi))))
+        (local.set $carry (i64.shr_u (local.get $sum) (i64.const 32)))
+        (local.set $sum (i64.and (local.get $sum) (i64.const 0xffffffff)))
+        (local.set $m (i64.and (i64.mul (local.get $sum) (i64.extend_i32_u (local.get $nInv))) (i64.const 0xffffffff)))
+        (local.set $reduceCarry
+          (i64.shr_u (i64.add (local.get $sum) (i64.mul (local.get $m) (i64.load32_u (local.get $n)))) (i64.const 32)))
+
+        ;; t[j-1] = t[j] + a[j] * b[i] + m * n[j], with a carry for each product
+        (local.set $j (i32.const 4))
+        (local.set $x (i32.shl (local.get $len) (i32.const 2)))
+        (block $innerDone
+          (loop $inner
+            (br_if $innerDone (i32.ge_u (local.get $j) (local.get $x)))
+            (local.set $sum
+              (i64.add
+                (i64.add
+                  (i64.load32_u (i32.add (local.get $t) (local.get $j)))
+                  (i64.mul (i64.load32_u (i32.add (local.get $a) (local.get $j))) (local.get $bi)))
+                (local.get $carry)))
+            (local.set $carry (i64.shr_u (local.get $sum) (i64.const 32)))
+            (local.set $reduced
+              (i64.add
+                (i64.add
+                  (i64.and (local.get $sum) (i64.const 0xffffffff))
+                  (i64.mul (local.get $m) (i64.load32_u (i32.add (local.get $n) (local.get $j)))))
+                (local.get $reduceCarry)))
+            (local.set $reduceCarry (i64.shr_u (local.get $reduced) (i64.const 32)))
+            (i64.store32 (i32.sub (i32.add (local.get $t) (local.get $j)) (i32.const 4)) (local.get $reduced))
+            (local.set $j (i32.add (local.get $j) (i32.const 4)))
+            (br $inner)))
+
+        ;; The two carries go into the top limbs
+        (local.set $sum (i64.add (i64.load32_u (local.get $tTop)) (local.get $carry)))
+        (local.set $reduced (i64.add (i64.and (local.get $sum) (i64.const 0xffffffff)) (local.get $reduceCarry)))
+        (i64.store32 (i32.sub (local.get $tTop) (i32.const 4)) (local.get $reduced))
+        (i64.store32 (local.get $tTop)
+          (i64.add (i64.shr_u (local.get $sum) (i64.const 32)) (i64.shr_u (local.get $reduced) (i64.const 32))))
+
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $outer)))
+
+    ;; Now t < 2n: subtract n if t >= n, comparing from the most significant limb
+    (local.set $subtract (i32.ne (i32.load (local.get $tTop)) (i32.const 0)))
+    (if (i32.eqz (local.get $subtract))
+      (then
+        (local.set $subtract (i32.const 1))
+        (local.set $j (local.get $len))
+        (block $compareDone
+          (loop $compare
+            (br_if $compareDone (i32.eqz (local.get $j)))
+            (local.set $j (i32.sub (local.get $j) (i32.const 1)))
+            (local.set $x (i32.load (i32.add (local.get $t) (i32.shl (local.get $j) (i32.const 2)))))
+            (local.set $y (i32.load (i32.add (local.get $n) (i32.shl (local.get $j) (i32.const 2)))))
+            (if (i32.ne (local.get $x) (local.get $y))
+              (then
+                (local.set $subtract (i32.gt_u (local.get $x) (local.get $y)))
+                (br $compareDone)))
+            (br $compare)))))
+
+    ;; out = t - n if subtract, t otherwise
+    (local.set $carry (i64.const 0))
+    (local.set $j (i32.const 0))
+    (block $subtractDone
+      (loop $subtractLoop
+        (br_if $subtractDone (i32.ge_u (local.get $j) (local.get $len)))
+        (local.set $x (i32.shl (local.get $j) (i32.const 2)))
+        (local.set $sum
+          (i64.sub
+            (i64.sub
+              (i64.load32_u (i32.add (local.get $t) (local.get $x)))
+              (i64.mul (i64.load32_u (i32.add (local.get $n) (local.get $x))) (i64.extend_i32_u (local.get $subtract))))
+            (local.get $carry)))
+        (i64.store32 (i32.add (local.get $out) (local.get $x)) (local.get $sum))
+        ;; The borrow is the sign bit of the difference
+        (local.set $carry (i64.shr_u (local.get $sum) (i64.const 63)))
+        (local.set $j (i32.add (local.get $j) (i32.const 1)))
+        (br $subtractLoop))))
+
+  ;; out = base^exp in Montgomery form, with fixed 4-bit windows. base and one (R mod n) are in Montgomery form,
+  ;; exp has expLen limbs, and table is scratch space of 16*len limbs for the powers base^0 to base^15.
+  ;; out must not be the same as base.
+  (func $montPow (export "montPow")
+    (param $out i32) (param $base i32) (param $exp i32) (param $expLen i32) (param $one i32)
+    (param $n i32) (param $t i32) (param $table i32) (param $len i32) (param $nInv i32)
+    (local $size i32) (local $k i32) (local $i i32) (local $shift i32) (local $window i32) (local $started i32)
+
+    ;; table[k] = base^k
+    (local.set $size (i32.shl (local.get $len) (i32.const 2)))
+    (call $copy (local.get $table) (local.get $one) (local.get $len))
+    (call $copy (i32.add (local.get $table) (local.get $size)) (local.get $base) (local.get $len))
+    (local.set $k (i32.const 2))
+    (block $tableDone
+      (loop $tableLoop
+        (br_if $tableDone (i32.ge_u (local.get $k) (i32.const 16)))
+        (call $montMul
+          (i32.add (local.get $table) (i32.mul (local.get $k) (local.get $size)))
+          (i32.add (local.get $table) (i32.mul (i32.sub (local.get $k) (i32.const 1)) (local.get $size)))
+          (local.get $base) (local.get $n) (local.get $t) (local.get $len) (local.get $nInv))
+        (local.set $k (i32.add (local.get $k) (i32.const 1)))
+        (br $tableLoop)))
+
+    ;; Scan the exponent 4 bits at a time, from the most significant ones, skipping the leading zeros
+    (call $copy (local.get $out) (local.get $one) (local.get $len))
+    (local.set $started (i32.const 0))
+    (local.set $i (local.get $expLen))
+    (block $limbsDone
+      (loop $limbs
+        (br_if $limbsDone (i32.eqz (local.get $i)))
+        (local.set $i (i32.sub (local.get $i) (i32.const 1)))
+        (local.set $shift (i32.const 32))
+        (block $windowsDone
+          (loop $windows
+            (br_if $windowsDone (i32.eqz (local.get $shift)))
+            (local.set $shift (i32.sub (local.get $shift) (i32.const 4)))
+            (local.set $window
+              (i32.and
+                (i32.shr_u (i32.load (i32.add (local.get $exp) (i32.shl (local.get $i) (i32.const 2)))) (local.get $shift))
+                (i32.const 15)))
+            (if (local.get $started)
+              (then
+                (call $montMul (local.get $out) (local.get $out) (local.get $out) (local.get $n) (local.get $t) (local.get $len) (local.get $nInv))
+                (call $montMul (local.get $out) (local.get $out) (local.get $out) (local.get $n) (local.get $t) (local.get $len) (local.get $nInv))
+                (call $montMul (local.get $out) (local.get $out) (local.get $out) (local.get $n) (local.get $t) (local.get $len) (local.get $nInv))
+                (call $montMul (local.get $out) (local.get $out) (local.get $out) (local.get $n) (local.get $t) (local.get $len) (local.get $nInv))
+                (if (local.get $window)
+                  (then
+                    (call $montMul
+                      (local.get $out) (local.get $out)
+                      (i32.add (local.get $table) (i32.mul (local.get $window) (local.get $size)))
+                      (local.get $n) (local.get $t) (local.get $len) (local.get $nInv)))))
+              (else
+                (if (local.get $window)
+                  (then
+                    (call $copy
+                      (local.get $out)
+                      (i32.add (local.get $table) (i32.mul (local.get $window) (local.get $size)))
+                      (local.get $len))
+                    (local.set $started (i32.const 1))))))
+            (br $windows)))
+        (br $limbs))))
+
+  ;; dst[0..len) = src[0..len)
+  (func $copy (param $dst i32) (param $src i32) (param $len i32)
+    (local $end i32)
+    (local.set $end (i32.add (local.get $src) (i32.shl (local.get $len) (i32.const 2))))
+    (block $done
+      (loop $next
+        (br_if $done (i32.ge_u (local.get $src) (local.get $end)))
+        (i32.store (local.get $dst) (i32.load (local.get $src)))
+        (local.set $dst (i32.add (local.get $dst) (i32.const 4)))
+        (local.set $src (i32.add (local.get $src) (i32.const 4)))
+        (br $next))))
+
+  ;; dst[0..len) = 0
+  (func $zero (param $dst i32) (param $len i32)
+    (local $end i32)
+    (local.set $end (i32.add (local.get $dst) (i32.shl (local.get $len) (i32.const 2))))
+    (block $done
+      (loop $next
+        (br_if $done (i32.ge_u (local.get $dst) (local.get $end)))
+        (i32.store (local.get $dst) (i32.const 0))
+        (local.set $dst (i32.add (local.get $dst) (i32.const 4)))
+        (br $next))))
+)